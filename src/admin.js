@@ -0,0 +1,212 @@
+/**
+ * Administrative API for key lifecycle management
+ *
+ * Requests under /_admin/ must send "Authorization: Bearer <ADMIN_SECRET>".
+ * When ADMIN_SECRET is not set the admin API is switched off and answers 404.
+ *
+ *   GET    /_admin/keys              List keys (without key material), a page at a time
+ *   POST   /_admin/keys              Create a key, the plaintext is returned once
+ *   GET    /_admin/keys/:id          Inspect a key
+ *   POST   /_admin/keys/:id/disable  Disable a key
+ *   POST   /_admin/keys/:id/enable   Re-enable a key
+ *   DELETE /_admin/keys/:id          Delete a key
+ *
+ * Listing returns { keys, cursor }: pass ?cursor=<cursor> to get the next page, until
+ * cursor is null. ?limit= sets the page size (default 100, at most 1000).
+ *
+ * Errors are problem details like the rest of the Worker's (see errors.js); a missing
+ * or wrong secret gets 401 with a Bearer challenge.
+ */
+import { bytesToHex, computeKeyIndex, computeKeyVersion, encryptApiKey, timingSafeEqual, KEY_INDEX_PREFIX } from './crypto';
+import { findKeyById, keyIdFromName, listKeyRecordPage } from './keys';
+import { normalizeKeyMetadata } from './key-metadata';
+import { getRequestId, problemResponse } from './errors';
+
+export const ADMIN_PATH_PREFIX = '/_admin/';
+
+// Keys listed per page unless the request asks for another limit, and the most KV returns
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+// Challenge sent with 401 responses to admin requests
+const ADMIN_CHALLENGES = ['Bearer realm="admin"'];
+
+// Thrown for requests the admin API rejects, carries the problem code to answer with
+class AdminRequestError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'AdminRequestError';
+    this.code = code;
+  }
+}
+
+// Build a JSON response
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+// Check the bearer token against ADMIN_SECRET
+function isAuthorized(request, env) {
+  const authorization = request.headers.get('Authorization') || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  return match !== null && timingSafeEqual(match[1], env.ADMIN_SECRET);
+}
+
+// Generate a random API key in the same format as the CLI's generateApiKey
+function generateApiKey(prefix = 'api-key-', length = 32) {
+  const bytes = crypto.getRandomValues(new Uint8Array(Math.ceil(length / 2)));
+  const apiKey = prefix + bytesToHex(bytes).slice(0, length);
+  return apiKey.match(/.{1,8}/g).join('-');
+}
+
+// Validate the metadata of a key creation request into a record (without key material)
+// The rules are the CLI's, see key-metadata.js
+function validateKeyMetadata(body) {
+  try {
+    return { ...normalizeKeyMetadata(body), createdAt: new Date().toISOString() };
+  } catch (error) {
+    throw new AdminRequestError('invalid_request', error.message);
+  }
+}
+
+// Describe a stored key without its key material
+function describeKey({ name, record }) {
+  const { encryptedKey, ...metadata } = record;
+  return { id: keyIdFromName(name), ...metadata };
+}
+
+// Read a JSON request body, an empty body is treated as {}
+async function readJsonBody(request) {
+  const text = await request.text();
+  if (!text) {
+    return {};
+  }
+  try {
+    const body = JSON.parse(text);
+    if (body && typeof body === 'object' && !Array.isArray(body)) {
+      return body;
+    }
+  } catch {
+    // Reported below
+  }
+  throw new AdminRequestError('invalid_request', 'Request body must be a JSON object');
+}
+
+// List a page of keys, as chosen by the limit and cursor query parameters
+async function listKeys(request, env) {
+  const params = new URL(request.url).searchParams;
+
+  const limit = params.has('limit') ? Number(params.get('limit')) : DEFAULT_PAGE_SIZE;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new AdminRequestError('invalid_request', `limit must be an integer from 1 to ${MAX_PAGE_SIZE}`);
+  }
+
+  const { keys, cursor } = await listKeyRecordPage(env, { limit, cursor: params.get('cursor') });
+  return jsonResponse({ keys: keys.map(describeKey), cursor });
+}
+
+// Create a key and return its plaintext
+async function createKey(request, env) {
+  const body = await readJsonBody(request);
+  const record = validateKeyMetadata(body);
+  const apiKey = generateApiKey(typeof body.prefix === 'string' ? body.prefix : undefined);
+
+  const name = KEY_INDEX_PREFIX + await computeKeyIndex(apiKey, env.ENCRYPTION_KEY);
+  const stored = {
+    encryptedKey: await encryptApiKey(apiKey, env.ENCRYPTION_KEY),
+    keyVersion: await computeKeyVersion(env.ENCRYPTION_KEY),
+    ...record
+  };
+  await env.API_KEYS.put(name, JSON.stringify(stored));
+
+  return jsonResponse({ ...describeKey({ name, record: stored }), key: apiKey }, 201);
+}
+
+// Set a key's status
+async function setKeyStatus(key, status, env) {
+  const record = { ...key.record, status };
+  await env.API_KEYS.put(key.name, JSON.stringify(record));
+  return jsonResponse(describeKey({ name: key.name, record }));
+}
+
+// Route an admin request
+async function routeAdminRequest(request, env, path) {
+  const segments = path.slice(ADMIN_PATH_PREFIX.length).split('/').filter(Boolean);
+  const method = request.method;
+
+  if (segments[0] !== 'keys') {
+    throw new AdminRequestError('not_found', `No admin endpoint at ${path}`);
+  }
+
+  if (segments.length === 1) {
+    if (method === 'GET') {
+      return listKeys(request, env);
+    }
+    if (method === 'POST') {
+      return createKey(request, env);
+    }
+    throw new AdminRequestError('method_not_allowed', `Method ${method} not allowed`);
+  }
+
+  const key = await findKeyById(segments[1], env);
+  if (!key) {
+    throw new AdminRequestError('not_found', `Key ${segments[1]} not found`);
+  }
+
+  if (segments.length === 2) {
+    if (method === 'GET') {
+      return jsonResponse(describeKey(key));
+    }
+    if (method === 'DELETE') {
+      await env.API_KEYS.delete(key.name);
+      return jsonResponse({ id: keyIdFromName(key.name), deleted: true });
+    }
+    throw new AdminRequestError('method_not_allowed', `Method ${method} not allowed`);
+  }
+
+  if (segments.length === 3 && (segments[2] === 'disable' || segments[2] === 'enable')) {
+    if (method !== 'POST') {
+      throw new AdminRequestError('method_not_allowed', `Method ${method} not allowed`);
+    }
+    if (key.record.status === 'revoked') {
+      throw new AdminRequestError('key_state_conflict', `Key ${segments[1]} has been revoked`);
+    }
+    return setKeyStatus(key, segments[2] === 'disable' ? 'disabled' : 'active', env);
+  }
+
+  throw new AdminRequestError('not_found', `No admin endpoint at ${path}`);
+}
+
+// Handle a request under ADMIN_PATH_PREFIX
+export async function handleAdminRequest(request, env, path) {
+  const requestId = getRequestId(request);
+
+  if (!env.ADMIN_SECRET) {
+    return problemResponse('not_found', { requestId });
+  }
+
+  if (!isAuthorized(request, env)) {
+    return problemResponse('invalid_admin_credentials', {
+      requestId,
+      detail: 'Send the admin secret as a Bearer token',
+      challenges: ADMIN_CHALLENGES
+    });
+  }
+
+  if (!env.ENCRYPTION_KEY) {
+    console.error('Missing encryption key in Worker Secrets');
+    return problemResponse('server_misconfigured', { requestId, detail: 'Missing encryption key' });
+  }
+
+  try {
+    return await routeAdminRequest(request, env, path);
+  } catch (error) {
+    if (error instanceof AdminRequestError) {
+      return problemResponse(error.code, { requestId, detail: error.message });
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,216 @@
+/**
+ * Audit log of validation decisions
+ *
+ * Every request to a protected route (require-key and deny rules, and /_sign-url)
+ * produces one JSON event, except CORS preflights, which are answered without a key:
+ *   { "timestamp", "requestId", "keyId", "clientIp", "method", "path", "decision", "reason", "latencyMs", "colo" }
+ * - keyId: the 16-character ID of the key used (an HMAC prefix), null when the
+ *   request carried no known key. Keys themselves and query strings are never logged
+ * - clientIp: the CF-Connecting-IP address, so locked-out clients (reason locked_out) can be traced
+ * - decision: "allow" or "deny"
+ * - reason: valid_api_key or valid_signature when allowed, otherwise the problem code
+ *   the request was rejected with (see errors.js)
+ * - latencyMs: time taken to reach the decision
+ *
+ * AUDIT_SINKS lists where events are written, console only when it is not set:
+ *   { "type": "console" }
+ *   { "type": "queue", "binding": "AUDIT_QUEUE" }
+ *   { "type": "http", "url": "https://logs.example.com/ingest", "tokenSecret": "AUDIT_LOG_TOKEN",
+ *     "batchSize": 100, "flushInterval": 1000 }
+ * - console: one line per event, picked up by Workers Logs
+ * - queue: each event is sent to the Queue bound under binding
+ * - http: events are batched per isolate and POSTed as newline-delimited JSON, the
+ *   format Logpush HTTP destinations take. tokenSecret names a secret sent as a
+ *   Bearer token; a batch goes out once it holds batchSize events (default 100) or
+ *   flushInterval ms (default 1000) after its first event
+ * Sink failures are logged and never affect the response.
+ */
+import { keyIdFromName } from './keys';
+
+export const AUDIT_SINK_TYPES = ['console', 'queue', 'http'];
+
+const DEFAULT_AUDIT_SINKS = [{ type: 'console' }];
+
+const DEFAULT_BATCH_SIZE = 100;
+const DEFAULT_FLUSH_INTERVAL = 1000;
+
+// Thrown when the audit sink configuration can't be compiled
+export class AuditConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid AUDIT_SINKS configuration:\n${errors.join('\n')}`);
+    this.name = 'AuditConfigError';
+    this.errors = errors;
+  }
+}
+
+// Compiled sinks are cached per configuration so they're validated once per isolate,
+// which also keeps each http sink's pending batch across requests
+let cachedSource;
+let cachedSinks;
+
+// Validate and compile one sink, collecting problems into errors
+function compileSink(sink, index, env, errors) {
+  const label = `AUDIT_SINKS[${index}]`;
+
+  if (!sink || typeof sink !== 'object' || !AUDIT_SINK_TYPES.includes(sink.type)) {
+    errors.push(`${label}: type must be one of ${AUDIT_SINK_TYPES.join(', ')}`);
+    return null;
+  }
+
+  if (sink.type === 'queue' && (typeof sink.binding !== 'string' || !env[sink.binding])) {
+    errors.push(`${label}: binding must name a Queue bound to the Worker`);
+  }
+
+  if (sink.type === 'http') {
+    let url = null;
+    try {
+      url = new URL(sink.url);
+    } catch {
+      // Reported below
+    }
+    if (!url || url.protocol !== 'https:') {
+      errors.push(`${label}: url must be an https URL`);
+    }
+    if (sink.tokenSecret !== undefined && (typeof sink.tokenSecret !== 'string' || !env[sink.tokenSecret])) {
+      errors.push(`${label}: tokenSecret must name a secret set on the Worker`);
+    }
+    for (const field of ['batchSize', 'flushInterval']) {
+      if (sink[field] !== undefined && (!Number.isInteger(sink[field]) || sink[field] <= 0)) {
+        errors.push(`${label}: ${field} must be a positive integer`);
+      }
+    }
+  }
+
+  return {
+    type: sink.type,
+    binding: sink.binding || null,
+    url: sink.url || null,
+    tokenSecret: sink.tokenSecret || null,
+    batchSize: sink.batchSize || DEFAULT_BATCH_SIZE,
+    flushInterval: sink.flushInterval || DEFAULT_FLUSH_INTERVAL,
+    batch: [],
+    pendingFlush: null
+  };
+}
+
+// Validate and compile an audit sink configuration, throws AuditConfigError listing every problem
+// env is checked for the bindings and secrets the sinks name
+export function compileAuditSinks(config, env = {}) {
+  let sinks = config;
+  if (typeof sinks === 'string') {
+    try {
+      sinks = JSON.parse(sinks);
+    } catch (error) {
+      throw new AuditConfigError([`AUDIT_SINKS is not valid JSON: ${error.message}`]);
+    }
+  }
+
+  if (!Array.isArray(sinks)) {
+    throw new AuditConfigError(['AUDIT_SINKS must be an array of sinks']);
+  }
+
+  const errors = [];
+  const compiled = sinks.map((sink, index) => compileSink(sink, index, env, errors));
+
+  if (errors.length > 0) {
+    throw new AuditConfigError(errors);
+  }
+
+  return compiled;
+}
+
+// Get the compiled audit sinks for an environment
+export function getAuditSinks(env) {
+  const config = env.AUDIT_SINKS !== undefined ? env.AUDIT_SINKS : DEFAULT_AUDIT_SINKS;
+  const source = typeof config === 'string' ? config : JSON.stringify(config);
+
+  if (source !== cachedSource) {
+    cachedSinks = compileAuditSinks(config, env);
+    cachedSource = source;
+  }
+
+  return cachedSinks;
+}
+
+// Build the audit event for a decision
+// storedKey is the key the request was made with, if it was found
+export function auditEvent(request, { requestId, startedAt, decision, reason, storedKey }) {
+  const url = new URL(request.url);
+  return {
+    timestamp: new Date().toISOString(),
+    requestId,
+    keyId: storedKey && !storedKey.legacy ? keyIdFromName(storedKey.name) : null,
+    clientIp: request.headers.get('CF-Connecting-IP'),
+    method: request.method,
+    path: url.pathname,
+    decision,
+    reason,
+    latencyMs: Date.now() - startedAt,
+    colo: (request.cf && request.cf.colo) || null
+  };
+}
+
+// POST an http sink's pending batch
+async function flushBatch(sink, env) {
+  const events = sink.batch;
+  sink.batch = [];
+  sink.pendingFlush = null;
+
+  if (events.length === 0) {
+    return;
+  }
+
+  const headers = { 'Content-Type': 'application/x-ndjson' };
+  if (sink.tokenSecret) {
+    headers['Authorization'] = `Bearer ${env[sink.tokenSecret]}`;
+  }
+
+  const response = await fetch(sink.url, {
+    method: 'POST',
+    headers,
+    body: events.map(event => JSON.stringify(event)).join('\n') + '\n'
+  });
+  if (!response.ok) {
+    throw new Error(`${sink.url} answered ${response.status}, ${events.length} audit events dropped`);
+  }
+}
+
+// Add an event to an http sink's batch, sending it when full or once the flush interval passes
+function batchEvent(sink, event, env) {
+  sink.batch.push(event);
+
+  if (sink.batch.length >= sink.batchSize) {
+    return flushBatch(sink, env);
+  }
+
+  if (!sink.pendingFlush) {
+    sink.pendingFlush = new Promise(resolve => setTimeout(resolve, sink.flushInterval))
+      .then(() => flushBatch(sink, env));
+  }
+  return sink.pendingFlush;
+}
+
+// Write one event to one sink
+async function writeToSink(sink, event, env) {
+  switch (sink.type) {
+    case 'console':
+      console.log(JSON.stringify(event));
+      return;
+    case 'queue':
+      await env[sink.binding].send(event);
+      return;
+    case 'http':
+      await batchEvent(sink, event, env);
+      return;
+  }
+}
+
+// Write an event to every sink without delaying the response
+export function writeAuditEvent(event, sinks, env, ctx) {
+  for (const sink of sinks) {
+    const write = writeToSink(sink, event, env).catch(error => {
+      console.error(`Audit ${sink.type} sink failed: ${error.message}`);
+    });
+    ctx.waitUntil(write);
+  }
+}
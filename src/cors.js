@@ -0,0 +1,155 @@
+/**
+ * Allowed origins and CORS for browser-facing keys
+ *
+ * A key record may list the sites a key embedded in front-end code can be used from:
+ *   { "allowedOrigins": ["https://www.example.com", "https://*.example.com", "example.org"] }
+ * - A pattern is a host, optionally preceded by a scheme and followed by a port. Without
+ *   a scheme both http and https match; without a port only the scheme's default port does
+ * - "*." matches any subdomain (at any depth) of the rest of the host, but not the host itself
+ * The request's Origin header, or the origin of its Referer when there is none, must match
+ * one of the patterns. Requests sending neither are rejected. Signed URLs made with the key
+ * are not checked.
+ *
+ * CORS on require-key routes:
+ * - A route may list the sites it takes cross-origin requests from, with the same patterns:
+ *   { "pattern": "/media/", "action": "require-key", "allowedOrigins": ["https://*.example.com"] }
+ * - Preflight requests are answered by the Worker without a key, since browsers never send
+ *   credentials with them, but only for origins the route allows and methods it handles.
+ *   They allow the credential headers, Content-Type and Range. The actual request is still checked
+ * - Responses, rejections included, carry Access-Control-Allow-Origin for the request's Origin
+ *   when the route or the key allows it, and expose the headers the Worker adds. When the route
+ *   or the key lists origins they carry Vary: Origin whatever the Origin, so caches keep apart
+ *   the answers to different sites
+ */
+import { HTTP_METHODS } from './key-metadata';
+
+// How long browsers may cache a preflight answer, in seconds
+const PREFLIGHT_MAX_AGE = 7200;
+
+// The request headers a preflight answer depends on, refusals included
+export const PREFLIGHT_VARY = 'Origin, Access-Control-Request-Method';
+
+// Check whether an origin (scheme://host[:port]) matches an allowed origin pattern
+export function matchOriginPattern(origin, pattern) {
+  let url;
+  try {
+    url = new URL(origin);
+  } catch {
+    return false;
+  }
+
+  const [, scheme, hostPattern] = pattern.toLowerCase().match(/^(?:(https?):\/\/)?(.*)$/);
+  if (scheme ? url.protocol !== `${scheme}:` : url.protocol !== 'https:' && url.protocol !== 'http:') {
+    return false;
+  }
+
+  // URL drops default ports, so patterns naming one never match
+  const host = url.host;
+  if (hostPattern.startsWith('*.')) {
+    return host.endsWith(hostPattern.slice(1));
+  }
+  return host === hostPattern;
+}
+
+// The origin a request was made from: its Origin header, or the origin of its Referer
+export function requestOrigin(request) {
+  const origin = request.headers.get('Origin');
+  if (origin && origin !== 'null') {
+    return origin;
+  }
+
+  const referer = request.headers.get('Referer');
+  if (referer) {
+    try {
+      return new URL(referer).origin;
+    } catch {
+      // Treated as missing
+    }
+  }
+  return null;
+}
+
+// Check a request against a key record's allowed origins
+// Returns null when the request may proceed, otherwise { code, detail } with the problem code to answer with
+export function getOriginViolation(record, request) {
+  if (!record.allowedOrigins || record.allowedOrigins.length === 0) {
+    return null;
+  }
+
+  const origin = requestOrigin(request);
+  if (!origin || !record.allowedOrigins.some(pattern => matchOriginPattern(origin, pattern))) {
+    return { code: 'origin_not_allowed', detail: `API key may not be used from ${origin || 'an unknown origin'}` };
+  }
+  return null;
+}
+
+// Check whether a request is a CORS preflight
+export function isPreflight(request) {
+  return request.method === 'OPTIONS' &&
+    request.headers.has('Origin') &&
+    request.headers.has('Access-Control-Request-Method');
+}
+
+// Check whether an allowed origins list restricts anything
+function hasOrigins(allowedOrigins) {
+  return Boolean(allowedOrigins) && allowedOrigins.length > 0;
+}
+
+// Check whether an origin matches any of a list of allowed origin patterns
+function isOriginAllowed(origin, allowedOrigins) {
+  return hasOrigins(allowedOrigins) && allowedOrigins.some(pattern => matchOriginPattern(origin, pattern));
+}
+
+// Check a preflight against the route it asks about
+// Returns null when it may be answered, otherwise { code, detail } with the problem code to answer with
+export function getPreflightViolation(request, route) {
+  const origin = request.headers.get('Origin');
+  if (!isOriginAllowed(origin, route.allowedOrigins)) {
+    return { code: 'origin_not_allowed', detail: `Cross-origin requests from ${origin} are not allowed here` };
+  }
+
+  const method = request.headers.get('Access-Control-Request-Method').toUpperCase();
+  if (!HTTP_METHODS.includes(method)) {
+    return { code: 'method_not_allowed', detail: `Cross-origin ${method} requests are not allowed here` };
+  }
+  return null;
+}
+
+// Answer a CORS preflight the route allows, for the method it asks about and the headers a key can be sent in
+// allowedHeaders names the headers the credential sources read
+export function preflightResponse(request, allowedHeaders) {
+  const headers = {
+    'Access-Control-Allow-Origin': request.headers.get('Origin'),
+    'Access-Control-Allow-Methods': request.headers.get('Access-Control-Request-Method').toUpperCase(),
+    'Access-Control-Allow-Headers': [...allowedHeaders, 'Content-Type', 'Range'].join(', '),
+    'Access-Control-Allow-Credentials': 'true',
+    'Access-Control-Max-Age': String(PREFLIGHT_MAX_AGE),
+    'Vary': PREFLIGHT_VARY
+  };
+
+  return new Response(null, { status: 204, headers });
+}
+
+// CORS headers for the response to a request on a route, made with a key or rejected before one was found
+// exposed lists the response headers the Worker adds, so scripts can read them
+export function corsHeaders(request, route, record, exposed = []) {
+  if (!hasOrigins(route.allowedOrigins) && !(record && hasOrigins(record.allowedOrigins))) {
+    return {};
+  }
+
+  // The response depends on the Origin whether or not it is allowed, so caches must keep them apart
+  const origin = request.headers.get('Origin');
+  if (!origin || !(isOriginAllowed(origin, route.allowedOrigins) || (record && isOriginAllowed(origin, record.allowedOrigins)))) {
+    return { 'Vary': 'Origin' };
+  }
+
+  const headers = {
+    'Access-Control-Allow-Origin': origin,
+    'Access-Control-Allow-Credentials': 'true',
+    'Vary': 'Origin'
+  };
+  if (exposed.length > 0) {
+    headers['Access-Control-Expose-Headers'] = exposed.join(', ');
+  }
+  return headers;
+}
@@ -0,0 +1,204 @@
+/**
+ * Where the Worker looks for API keys
+ *
+ * CREDENTIAL_SOURCES is an ordered list; the first source present in a request supplies the key:
+ *   { "type": "header", "name": "x-api-key" }
+ *   { "type": "authorization", "scheme": "Bearer" }
+ *   { "type": "query", "name": "api_key" }
+ *   { "type": "cookie", "name": "api_key" }
+ * - header: a request header
+ * - authorization: the Authorization header with the given scheme
+ * - query: a URL query parameter, for clients like <img> and <video> that can't set headers
+ * - cookie: a cookie
+ * Without CREDENTIAL_SOURCES only the x-api-key header is read.
+ *
+ * Every configured source is removed from a request before it is forwarded, so
+ * the origin never sees the key.
+ */
+
+export const CREDENTIAL_SOURCE_TYPES = ['header', 'authorization', 'query', 'cookie'];
+
+const DEFAULT_CREDENTIAL_SOURCES = [{ type: 'header', name: 'x-api-key' }];
+
+// Thrown when the credential source configuration can't be compiled
+export class CredentialConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid CREDENTIAL_SOURCES configuration:\n${errors.join('\n')}`);
+    this.name = 'CredentialConfigError';
+    this.errors = errors;
+  }
+}
+
+// Compiled sources are cached per configuration so they're validated once per isolate
+let cachedSource;
+let cachedSources;
+
+// Validate one source, collecting problems into errors
+function compileSource(source, index, errors) {
+  const label = `CREDENTIAL_SOURCES[${index}]`;
+
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    errors.push(`${label}: source must be an object`);
+    return null;
+  }
+
+  if (!CREDENTIAL_SOURCE_TYPES.includes(source.type)) {
+    errors.push(`${label}: type must be one of ${CREDENTIAL_SOURCE_TYPES.join(', ')} (got ${JSON.stringify(source.type)})`);
+    return null;
+  }
+
+  if (source.type === 'authorization') {
+    if (typeof source.scheme !== 'string' || !/^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/.test(source.scheme)) {
+      errors.push(`${label}: scheme must be an authentication scheme name such as Bearer`);
+    }
+    return { type: 'authorization', scheme: source.scheme };
+  }
+
+  if (typeof source.name !== 'string' || !source.name) {
+    errors.push(`${label}: name must be a non-empty string`);
+  }
+
+  return {
+    type: source.type,
+    name: source.type === 'header' ? String(source.name).toLowerCase() : source.name
+  };
+}
+
+// Validate and compile a credential source configuration, throws CredentialConfigError listing every problem
+export function compileCredentialSources(config) {
+  let sources = config;
+  if (typeof sources === 'string') {
+    try {
+      sources = JSON.parse(sources);
+    } catch (error) {
+      throw new CredentialConfigError([`CREDENTIAL_SOURCES is not valid JSON: ${error.message}`]);
+    }
+  }
+
+  if (!Array.isArray(sources) || sources.length === 0) {
+    throw new CredentialConfigError(['CREDENTIAL_SOURCES must be a non-empty array of sources']);
+  }
+
+  const errors = [];
+  const compiled = sources.map((source, index) => compileSource(source, index, errors));
+
+  if (errors.length > 0) {
+    throw new CredentialConfigError(errors);
+  }
+
+  return compiled;
+}
+
+// Get the compiled credential sources for an environment
+export function getCredentialSources(env) {
+  const config = env.CREDENTIAL_SOURCES !== undefined ? env.CREDENTIAL_SOURCES : DEFAULT_CREDENTIAL_SOURCES;
+  const source = typeof config === 'string' ? config : JSON.stringify(config);
+
+  if (source !== cachedSource) {
+    cachedSources = compileCredentialSources(config);
+    cachedSource = source;
+  }
+
+  return cachedSources;
+}
+
+// Split a Cookie header into [name, value] pairs
+function parseCookies(header) {
+  return (header || '').split(';')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const separator = part.indexOf('=');
+      return separator === -1 ? [part, ''] : [part.slice(0, separator), part.slice(separator + 1)];
+    });
+}
+
+// Match the Authorization header against a scheme, returns the credential or null
+function authorizationCredential(header, scheme) {
+  const match = (header || '').match(/^(\S+)\s+(.+)$/);
+  return match && match[1].toLowerCase() === scheme.toLowerCase() ? match[2].trim() : null;
+}
+
+// Read one source from a request, returns the credential or null
+function readSource(source, request, url) {
+  switch (source.type) {
+    case 'header':
+      return request.headers.get(source.name);
+    case 'authorization':
+      return authorizationCredential(request.headers.get('Authorization'), source.scheme);
+    case 'query':
+      return url.searchParams.get(source.name);
+    case 'cookie': {
+      const cookie = parseCookies(request.headers.get('Cookie')).find(([name]) => name === source.name);
+      return cookie ? cookie[1] : null;
+    }
+  }
+  return null;
+}
+
+// Find the API key sent with a request
+// Returns { apiKey, source } for the first source that carries one, or null
+export function findCredential(sources, request, url) {
+  for (const source of sources) {
+    const apiKey = readSource(source, request, url);
+    if (apiKey) {
+      return { apiKey, source };
+    }
+  }
+  return null;
+}
+
+// Build a copy of a request with every configured credential source removed
+export function stripCredentials(sources, request) {
+  const url = new URL(request.url);
+  for (const source of sources) {
+    if (source.type === 'query') {
+      url.searchParams.delete(source.name);
+    }
+  }
+
+  const stripped = new Request(url, request);
+  const { headers } = stripped;
+
+  for (const source of sources) {
+    if (source.type === 'header') {
+      headers.delete(source.name);
+    } else if (source.type === 'authorization') {
+      if (authorizationCredential(headers.get('Authorization'), source.scheme) !== null) {
+        headers.delete('Authorization');
+      }
+    } else if (source.type === 'cookie' && headers.has('Cookie')) {
+      const cookies = parseCookies(headers.get('Cookie')).filter(([name]) => name !== source.name);
+      if (cookies.length > 0) {
+        headers.set('Cookie', cookies.map(([name, value]) => `${name}=${value}`).join('; '));
+      } else {
+        headers.delete('Cookie');
+      }
+    }
+  }
+
+  return stripped;
+}
+
+// Names of the request headers a key can be sent in, for CORS preflights
+export function credentialHeaderNames(sources) {
+  const names = sources.map(source =>
+    source.type === 'header' ? source.name : source.type === 'authorization' ? 'Authorization' : null);
+  return [...new Set(names.filter(Boolean))];
+}
+
+// Build the WWW-Authenticate challenges advertising where a key can be sent
+export function credentialChallenges(sources) {
+  const challenges = sources
+    .filter(source => source.type === 'authorization')
+    .map(source => `${source.scheme} realm="api"`);
+
+  const params = sources
+    .filter(source => source.type !== 'authorization')
+    .map(source => `${source.type}="${source.name}"`);
+  if (params.length > 0) {
+    challenges.push(['ApiKey realm="api"', ...params].join(', '));
+  }
+
+  return challenges;
+}
@@ -0,0 +1,170 @@
+/**
+ * Crypto helpers for the API key validator
+ * Everything here uses the Web Crypto API so it runs inside the Workers runtime.
+ * The formats match utils/test-utils.js so keys written by the CLI can be read
+ * by the Worker and vice versa.
+ */
+
+// Label mixed into the HMAC key derivation so the index key is never the raw ENCRYPTION_KEY
+const KEY_INDEX_LABEL = 'api-key-index';
+
+// Label for the fingerprint that tags records with the encryption key that wrote them
+const KEY_VERSION_LABEL = 'api-key-version';
+
+// Label for the key that signs expiring URLs (see signed-urls.js)
+const URL_SIGNING_LABEL = 'api-key-url-signing';
+
+// Label for the key that hashes key prefixes tracked by brute-force protection (see lockout.js)
+const KEY_PREFIX_LABEL = 'api-key-prefix';
+
+// Prefix for KV names that hold indexed key entries
+export const KEY_INDEX_PREFIX = 'key:';
+
+// Convert a hex string to bytes
+export function hexToBytes(hex) {
+  return new Uint8Array((hex.match(/.{1,2}/g) || []).map(byte => parseInt(byte, 16)));
+}
+
+// Convert bytes to a hex string
+export function bytesToHex(bytes) {
+  return Array.from(new Uint8Array(bytes)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Convert an encryption key (hex, optionally with dashes) to bytes
+function encryptionKeyToBytes(encryptionKey) {
+  return hexToBytes(encryptionKey.replace(/-/g, ''));
+}
+
+// Function to decrypt an API key
+export async function decryptApiKey(encryptedKey, encryptionKey) {
+  try {
+    // Extract IV (first 32 chars) and auth tag (next 32 chars) from the encrypted string
+    const iv = hexToBytes(encryptedKey.slice(0, 32));
+    const authTag = hexToBytes(encryptedKey.slice(32, 64));
+    const encrypted = encryptedKey.slice(64);
+
+    // Use Web Crypto API for decryption (compatible with Cloudflare Workers)
+    const key = await crypto.subtle.importKey(
+      "raw",
+      encryptionKeyToBytes(encryptionKey),
+      { name: "AES-GCM" },
+      false,
+      ["decrypt"]
+    );
+
+    // Create ciphertext
+    const encryptedBytes = hexToBytes(encrypted);
+
+    // Combine auth tag with encrypted bytes for Web Crypto API
+    const ciphertext = new Uint8Array(encryptedBytes.length + authTag.length);
+    ciphertext.set(encryptedBytes);
+    ciphertext.set(authTag, encryptedBytes.length);
+
+    // Decrypt
+    const decrypted = await crypto.subtle.decrypt(
+      {
+        name: "AES-GCM",
+        iv: iv,
+        additionalData: new Uint8Array(0),
+        tagLength: 128
+      },
+      key,
+      ciphertext
+    );
+
+    // Convert to string
+    return new TextDecoder().decode(decrypted);
+  } catch (error) {
+    console.error('Decryption error:', error);
+    return null;
+  }
+}
+
+// Function to encrypt an API key
+// Produces IV + auth tag + ciphertext, the same layout as the CLI's encryptApiKey
+export async function encryptApiKey(apiKey, encryptionKey) {
+  // Generate random IV
+  const iv = crypto.getRandomValues(new Uint8Array(16));
+
+  // Import key using WebCrypto API
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encryptionKeyToBytes(encryptionKey),
+    { name: "AES-GCM" },
+    false,
+    ["encrypt"]
+  );
+
+  // Encrypt
+  const encrypted = new Uint8Array(await crypto.subtle.encrypt(
+    {
+      name: "AES-GCM",
+      iv,
+      additionalData: new Uint8Array(0),
+      tagLength: 128
+    },
+    key,
+    new TextEncoder().encode(apiKey)
+  ));
+
+  // Web Crypto appends the 16-byte auth tag to the ciphertext; move it in front
+  const ciphertext = encrypted.slice(0, encrypted.length - 16);
+  const authTag = encrypted.slice(encrypted.length - 16);
+
+  return bytesToHex(iv) + bytesToHex(authTag) + bytesToHex(ciphertext);
+}
+
+// Compute an HMAC-SHA256 digest as hex
+async function hmacHex(keyBytes, message) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    keyBytes,
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const signature = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(message));
+  return bytesToHex(signature);
+}
+
+// Derive the deterministic KV index for an API key
+// The index is HMAC-SHA256(HMAC-SHA256(ENCRYPTION_KEY, label), apiKey) so it
+// can't be computed without the secret, but the same key always maps to the same name
+export async function computeKeyIndex(apiKey, encryptionKey) {
+  const indexKey = hexToBytes(await hmacHex(encryptionKeyToBytes(encryptionKey), KEY_INDEX_LABEL));
+  return hmacHex(indexKey, apiKey);
+}
+
+// Fingerprint an encryption key, stored as keyVersion on each record it encrypts
+export async function computeKeyVersion(encryptionKey) {
+  return (await hmacHex(encryptionKeyToBytes(encryptionKey), KEY_VERSION_LABEL)).slice(0, 8);
+}
+
+// Sign a signed URL's canonical string with a key derived from the encryption key
+export async function computeUrlSignature(message, encryptionKey) {
+  const signingKey = hexToBytes(await hmacHex(encryptionKeyToBytes(encryptionKey), URL_SIGNING_LABEL));
+  return hmacHex(signingKey, message);
+}
+
+// Hash the prefix of a presented key so it can be tracked without storing key material
+export async function computeKeyPrefixHash(prefix, encryptionKey) {
+  const prefixKey = hexToBytes(await hmacHex(encryptionKeyToBytes(encryptionKey), KEY_PREFIX_LABEL));
+  return (await hmacHex(prefixKey, prefix)).slice(0, 32);
+}
+
+// Compute an HMAC-SHA256 of a message with a text secret, as hex
+export async function computeHmac(secret, message) {
+  return hmacHex(new TextEncoder().encode(secret), message);
+}
+
+// Compare two strings without short-circuiting on the first difference
+export function timingSafeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
@@ -0,0 +1,89 @@
+/**
+ * Error responses in the problem details format (RFC 9457)
+ *
+ * Every request the Worker rejects is answered with an application/problem+json body:
+ *   { "type", "title", "status", "code", "detail", "requestId", ...extensions }
+ * code is a stable machine-readable identifier clients can branch on, title its
+ * fixed summary and detail a human-readable explanation of this occurrence.
+ * Missing or unusable credentials are answered with 401 and a WWW-Authenticate
+ * challenge; a valid key that may not access the resource gets 403.
+ */
+
+export const PROBLEM_TYPE_PREFIX = 'urn:api-key-validator:problem:';
+
+// Problems the Worker answers with, by code
+export const PROBLEMS = {
+  missing_api_key: { status: 401, title: 'Missing API key' },
+  invalid_api_key: { status: 401, title: 'Invalid API key' },
+  api_key_revoked: { status: 401, title: 'API key revoked' },
+  api_key_disabled: { status: 401, title: 'API key disabled' },
+  api_key_expired: { status: 401, title: 'API key expired' },
+  api_key_retired: { status: 401, title: 'API key retired after rotation' },
+  invalid_signature: { status: 401, title: 'Invalid URL signature' },
+  signature_expired: { status: 401, title: 'Signed URL expired' },
+  invalid_admin_credentials: { status: 401, title: 'Invalid admin credentials' },
+  invalid_request: { status: 400, title: 'Invalid request' },
+  access_denied: { status: 403, title: 'Access denied' },
+  scope_violation: { status: 403, title: 'API key scope does not allow this request' },
+  ip_not_allowed: { status: 403, title: 'Client address not allowed for this API key' },
+  country_not_allowed: { status: 403, title: 'Country not allowed for this API key' },
+  origin_not_allowed: { status: 403, title: 'Origin not allowed for this API key' },
+  not_found: { status: 404, title: 'Not found' },
+  method_not_allowed: { status: 405, title: 'Method not allowed' },
+  key_state_conflict: { status: 409, title: 'Key state does not allow this change' },
+  rate_limited: { status: 429, title: 'Rate limit exceeded' },
+  quota_exceeded: { status: 429, title: 'Monthly quota exceeded' },
+  locked_out: { status: 429, title: 'Too many invalid API keys' },
+  server_misconfigured: { status: 500, title: 'Server configuration error' },
+  origin_unresolved: { status: 502, title: 'No origin for this request' },
+  upstream_unavailable: { status: 502, title: 'Origin unavailable' },
+  upstream_timeout: { status: 504, title: 'Origin timed out' }
+};
+
+// ID correlating a response with the Worker's logs: Cloudflare's ray ID, or a random UUID
+export function getRequestId(request) {
+  return request.headers.get('cf-ray') || crypto.randomUUID();
+}
+
+// Challenges sent with 401 responses when the caller doesn't pass its own
+const DEFAULT_CHALLENGES = ['ApiKey realm="api", header="x-api-key"'];
+
+// Build the WWW-Authenticate header, naming the error when a key was sent but not accepted
+// Bearer challenges may only name RFC 6750's errors, so they say invalid_token and the body has the code
+function authenticateHeader(code, challenges) {
+  return challenges
+    .map(challenge => {
+      if (code === 'missing_api_key') {
+        return challenge;
+      }
+      return `${challenge}, error="${challenge.startsWith('Bearer ') ? 'invalid_token' : code}"`;
+    })
+    .join(', ');
+}
+
+// Build a problem details response
+// options: requestId, detail, WWW-Authenticate challenges, headers to add and any extension members for the body
+export function problemResponse(code, options = {}) {
+  const { requestId, detail, challenges = DEFAULT_CHALLENGES, headers = {}, ...extensions } = options;
+  const { status, title } = PROBLEMS[code];
+
+  const body = {
+    type: PROBLEM_TYPE_PREFIX + code,
+    title,
+    status,
+    code,
+    ...(detail ? { detail } : {}),
+    requestId,
+    ...extensions
+  };
+
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      'Content-Type': 'application/problem+json',
+      'X-Request-Id': requestId,
+      ...(status === 401 ? { 'WWW-Authenticate': authenticateHeader(code, challenges) } : {}),
+      ...headers
+    }
+  });
+}
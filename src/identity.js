@@ -0,0 +1,144 @@
+/**
+ * Caller identity headers for the origin
+ *
+ * IDENTITY_HEADERS maps identity fields to the request headers that carry them to the origin:
+ *   { "keyId": "X-Api-Key-Id", "owner": "X-Api-Key-Owner", "label": "X-Api-Key-Label", "scopes": "X-Api-Key-Scopes" }
+ * - keyId: the key's 16-character ID
+ * - owner, label: from the key record, left out when the record has none
+ * - scopes: the key's scopes as JSON, {} for an unrestricted key
+ * Values outside printable ASCII are percent-encoded.
+ *
+ * With the IDENTITY_SECRET secret set, the identity is signed so the origin can
+ * trust it even if requests could reach it without passing through the Worker:
+ *   X-Identity-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256(IDENTITY_SECRET, canonical)>
+ * canonical joins with newlines: t, the method, the path and query, then
+ * "<header name>:<value>" for every configured header in configuration order
+ * (lowercase names, empty values for missing fields).
+ *
+ * Headers with these names sent by the client are always removed, on every route,
+ * so the origin never receives an identity the Worker didn't set.
+ */
+import { computeHmac } from './crypto';
+import { keyIdFromName } from './keys';
+
+export const IDENTITY_FIELDS = ['keyId', 'owner', 'label', 'scopes'];
+
+export const IDENTITY_SIGNATURE_HEADER = 'x-identity-signature';
+
+// Thrown when the identity header configuration can't be compiled
+export class IdentityConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid IDENTITY_HEADERS configuration:\n${errors.join('\n')}`);
+    this.name = 'IdentityConfigError';
+    this.errors = errors;
+  }
+}
+
+// Compiled headers are cached per configuration so they're validated once per isolate
+let cachedSource;
+let cachedHeaders;
+
+// Validate and compile an identity header configuration into [{ field, header }]
+// Throws IdentityConfigError listing every problem
+export function compileIdentityHeaders(config) {
+  let mapping = config;
+  if (typeof mapping === 'string') {
+    try {
+      mapping = JSON.parse(mapping);
+    } catch (error) {
+      throw new IdentityConfigError([`IDENTITY_HEADERS is not valid JSON: ${error.message}`]);
+    }
+  }
+
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new IdentityConfigError(['IDENTITY_HEADERS must be an object mapping fields to header names']);
+  }
+
+  const errors = [];
+  const headers = Object.entries(mapping).map(([field, header]) => {
+    if (!IDENTITY_FIELDS.includes(field)) {
+      errors.push(`IDENTITY_HEADERS.${field}: unknown field (expected ${IDENTITY_FIELDS.join(', ')})`);
+    }
+    if (typeof header !== 'string' || !/^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/.test(header)) {
+      errors.push(`IDENTITY_HEADERS.${field}: header must be a valid header name`);
+    }
+    return { field, header: String(header).toLowerCase() };
+  });
+
+  if (errors.length > 0) {
+    throw new IdentityConfigError(errors);
+  }
+
+  return headers;
+}
+
+// Get the compiled identity headers for an environment, empty when none are configured
+export function getIdentityHeaders(env) {
+  if (env.IDENTITY_HEADERS === undefined) {
+    return [];
+  }
+
+  const config = env.IDENTITY_HEADERS;
+  const source = typeof config === 'string' ? config : JSON.stringify(config);
+
+  if (source !== cachedSource) {
+    cachedHeaders = compileIdentityHeaders(config);
+    cachedSource = source;
+  }
+
+  return cachedHeaders;
+}
+
+// Percent-encode a value that can't be sent as a plain header value
+function headerValue(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : encodeURIComponent(value);
+}
+
+// Read one identity field of a key, or null when the key has none
+function identityValue(field, storedKey) {
+  const record = storedKey.record;
+  switch (field) {
+    case 'keyId':
+      return storedKey.legacy ? null : keyIdFromName(storedKey.name);
+    case 'owner':
+    case 'label':
+      return record[field] ? headerValue(String(record[field])) : null;
+    case 'scopes':
+      return JSON.stringify(record.scopes || {});
+  }
+  return null;
+}
+
+// Build the string an identity signature covers
+export function identityMessage(timestamp, request, values) {
+  const url = new URL(request.url);
+  return [
+    timestamp,
+    request.method,
+    url.pathname + url.search,
+    ...values.map(({ header, value }) => `${header}:${value || ''}`)
+  ].join('\n');
+}
+
+// Build a copy of a request with client-sent identity headers removed and,
+// when a key was used, the key's identity (signed if IDENTITY_SECRET is set) added
+export async function applyIdentityHeaders(request, identityHeaders, storedKey, env) {
+  const forwarded = new Request(request);
+  forwarded.headers.delete(IDENTITY_SIGNATURE_HEADER);
+  identityHeaders.forEach(({ header }) => forwarded.headers.delete(header));
+
+  if (!storedKey || identityHeaders.length === 0) {
+    return forwarded;
+  }
+
+  const values = identityHeaders.map(({ field, header }) => ({ header, value: identityValue(field, storedKey) }));
+  values.filter(({ value }) => value !== null).forEach(({ header, value }) => forwarded.headers.set(header, value));
+
+  if (env.IDENTITY_SECRET) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const signature = await computeHmac(env.IDENTITY_SECRET, identityMessage(timestamp, forwarded, values));
+    forwarded.headers.set(IDENTITY_SIGNATURE_HEADER, `t=${timestamp},v1=${signature}`);
+  }
+
+  return forwarded;
+}
@@ -2,164 +2,330 @@
  * API Key validator for protected endpoints
  * Validates API keys for requests to protected paths while excluding specified paths
  * Uses environment variables to configure:
- * - PROTECTED_PATH_PREFIX: The path prefix that requires API key validation
- * - EXCLUDED_PATHS: Array of path prefixes that should be excluded from validation
+ * - ROUTES: Ordered route rules deciding which requests need a key and which origin they go to
+ *   (see routes.js and upstream.js)
+ * - PROTECTED_PATH_PREFIX: Legacy path prefix that requires API key validation, used when ROUTES is not set
+ * - EXCLUDED_PATHS: Legacy array of path prefixes that should be excluded from validation
+ * - CREDENTIAL_SOURCES: Ordered list of places the API key is read from (see credentials.js)
+ * - IDENTITY_HEADERS: Headers telling the origin which key made the request, signed with
+ *   the IDENTITY_SECRET secret when it is set (see identity.js)
+ * - ENCRYPTION_KEY_PREVIOUS: Optional secret, the old encryption key while the namespace is being rekeyed
+ * - LEGACY_KEY_LOOKUP: Set to "true" to also accept keys stored in the pre-index layout
+ * - DEFAULT_RATE_LIMIT: Rate limit for keys without their own (see rate-limit.js)
+ * - SIGNED_URL_MAX_TTL: Longest lifetime in seconds of URLs issued by /_sign-url (see signed-urls.js)
+ * - ADMIN_SECRET: Bearer token for the key management API under /_admin/ (see admin.js)
+ * - AUDIT_SINKS: Where the audit event of each protected request is written (see audit.js)
+ * - LAST_USED_INTERVAL: Seconds between writes of a key's last-used time (see last-used.js)
+ * - LOCKOUT: Limits for locking out clients that send invalid keys, through the
+ *   LOCKOUT_TRACKER binding (see lockout.js)
+ * CORS preflights to require-key routes are answered without a key (see cors.js)
+ * Per-key monthly usage is counted and quotas enforced through the USAGE_COUNTER binding (see usage.js)
+ * Rejected requests are answered with problem details JSON (see errors.js)
  */
+import { lookupApiKey, getKeyRejectionReason, deprecationHeaders } from './keys';
+import { getRoutes, matchRoute } from './routes';
+import { checkRateLimit, rateLimitHeaders, RateLimiter } from './rate-limit';
+import { recordUsage, UsageCounter } from './usage';
+import { getScopeViolation } from './scopes';
+import { getNetworkViolation } from './network';
+import { getOriginViolation, getPreflightViolation, isPreflight, preflightResponse, corsHeaders, PREFLIGHT_VARY } from './cors';
+import { handleAdminRequest, ADMIN_PATH_PREFIX } from './admin';
+import { getRequestId, problemResponse } from './errors';
+import { getCredentialSources, findCredential, stripCredentials, credentialChallenges, credentialHeaderNames } from './credentials';
+import { isSignedUrl, verifySignedUrl, stripSignature, handleSignUrlRequest, SIGN_URL_PATH } from './signed-urls';
+import { getIdentityHeaders, applyIdentityHeaders } from './identity';
+import { resolveUpstream, fetchUpstream, UpstreamError } from './upstream';
+import { getAuditSinks, auditEvent, writeAuditEvent } from './audit';
+import { recordLastUsed } from './last-used';
+import { getLockoutPolicy, checkClientLockout, checkPrefixLockout, recordFailedValidation, LockoutTracker } from './lockout';
 
-// Function to decrypt an API key
-async function decryptApiKey(encryptedKey, encryptionKey) {
-  try {
-    // Extract IV (first 32 chars) and auth tag (next 32 chars) from the encrypted string
-    const iv = new Uint8Array(encryptedKey.slice(0, 32).match(/.{1,2}/g).map(byte => parseInt(byte, 16)));
-    const authTag = new Uint8Array(encryptedKey.slice(32, 64).match(/.{1,2}/g).map(byte => parseInt(byte, 16)));
-    const encrypted = encryptedKey.slice(64);
-    
-    // Convert encryption key from hex to bytes
-    const keyBytes = new Uint8Array(encryptionKey.replace(/-/g, '').match(/.{1,2}/g).map(byte => parseInt(byte, 16)));
-    
-    // Use Web Crypto API for decryption (compatible with Cloudflare Workers)
-    const key = await crypto.subtle.importKey(
-      "raw",
-      keyBytes, 
-      { name: "AES-GCM" },
-      false,
-      ["decrypt"]
-    );
-    
-    // Create ciphertext
-    const encryptedBytes = new Uint8Array(encrypted.match(/.{1,2}/g).map(byte => parseInt(byte, 16)));
-    
-    // Combine auth tag with encrypted bytes for Web Crypto API
-    const ciphertext = new Uint8Array(encryptedBytes.length + authTag.length);
-    ciphertext.set(encryptedBytes);
-    ciphertext.set(authTag, encryptedBytes.length);
-    
-    // Decrypt
-    const decrypted = await crypto.subtle.decrypt(
-      {
-        name: "AES-GCM",
-        iv: iv,
-        additionalData: new Uint8Array(0),
-        tagLength: 128
-      },
-      key,
-      ciphertext
-    );
-    
-    // Convert to string
-    return new TextDecoder().decode(decrypted);
-  } catch (error) {
-    console.error('Decryption error:', error);
-    return null;
+// Durable Object classes must be exported from the main module
+export { RateLimiter, UsageCounter, LockoutTracker };
+
+// Reject a request, keeping the problem code and the key (once identified) for the audit log
+function reject(code, options, storedKey = null) {
+  return { response: problemResponse(code, options), reason: code, storedKey };
+}
+
+// Reject a request from a locked-out client or with a locked-out key prefix
+function rejectLockedOut(lockout, requestId) {
+  return reject('locked_out', {
+    requestId,
+    detail: `Too many invalid attempts from this ${lockout.kind === 'ip' ? 'address' : 'key prefix'}`,
+    headers: { 'Retry-After': String(lockout.retryAfter) }
+  });
+}
+
+// Identify the key a request is made with, from a credential source or a signed URL
+// Returns { storedKey, signed } for a usable key, otherwise a rejection with the error to answer with
+async function authenticate(request, url, env, credentialSources, requestId, { allowSignedUrl, lockoutPolicy }) {
+  // Get the API key from the first credential source that carries one
+  const challenges = credentialChallenges(credentialSources);
+  const credential = findCredential(credentialSources, request, url);
+  const signed = !credential && allowSignedUrl && isSignedUrl(url);
+  
+  if (!credential && !signed) {
+    return reject('missing_api_key', { requestId, challenges, detail: 'No API key was sent with the request' });
+  }
+  
+  // Get the encryption key from Worker Secret
+  if (!env.ENCRYPTION_KEY) {
+    console.error('Missing encryption key in Worker Secrets');
+    return reject('server_misconfigured', {
+      requestId,
+      detail: 'Missing encryption key. Please set the ENCRYPTION_KEY Worker Secret.'
+    });
+  }
+  
+  // Refuse clients locked out after repeated invalid attempts, before any lookup
+  const lockout = await checkClientLockout(request, env, lockoutPolicy);
+  
+  if (lockout) {
+    return rejectLockedOut(lockout, requestId);
+  }
+  
+  let storedKey;
+  if (signed) {
+    // The signature names the key that signed the URL
+    const verified = await verifySignedUrl(request, url, env);
+    
+    if (verified.error) {
+      if (verified.error === 'invalid_signature') {
+        await recordFailedValidation(request, null, env, lockoutPolicy);
+      }
+      return reject(verified.error, { requestId, challenges, detail: verified.detail });
+    }
+    
+    storedKey = verified.storedKey;
+  } else {
+    // Look up the key by its HMAC index (a single KV read)
+    storedKey = await lookupApiKey(credential.apiKey, env);
+    
+    if (!storedKey) {
+      // A locked-out prefix only refuses keys that don't exist, so valid keys sharing it still work
+      const prefixLockout = await checkPrefixLockout(request, credential, env, lockoutPolicy);
+      await recordFailedValidation(request, credential, env, lockoutPolicy);
+      
+      if (prefixLockout) {
+        return rejectLockedOut(prefixLockout, requestId);
+      }
+      return reject('invalid_api_key', { requestId, challenges });
+    }
+  }
+  
+  // Reject keys that have been revoked, disabled or have passed their expiry or sunset date
+  const rejectionReason = getKeyRejectionReason(storedKey.record);
+  
+  if (rejectionReason) {
+    return reject(`api_key_${rejectionReason}`, { requestId, challenges }, storedKey);
+  }
+  
+  // Reject requests from outside the key's IP ranges and countries
+  const networkViolation = getNetworkViolation(storedKey.record, request);
+  
+  if (networkViolation) {
+    return reject(networkViolation.code, { requestId, detail: networkViolation.detail }, storedKey);
+  }
+  
+  // Reject keys used from sites they weren't issued for (signed URLs are meant to be passed around)
+  const originViolation = !signed && getOriginViolation(storedKey.record, request);
+  
+  if (originViolation) {
+    return reject(originViolation.code, { requestId, detail: originViolation.detail }, storedKey);
+  }
+  
+  return { storedKey, signed };
+}
+
+// Check a request to a require-key route: its key, scopes, rate limit and quota
+// Returns { storedKey, signed, headers } with the headers to add to the response
+// when the request may go on to the origin, otherwise a rejection
+async function authorize(request, url, route, env, credentialSources, requestId, lockoutPolicy) {
+  const auth = await authenticate(request, url, env, credentialSources, requestId, { allowSignedUrl: true, lockoutPolicy });
+  
+  if (auth.response) {
+    return auth;
+  }
+  
+  const storedKey = auth.storedKey;
+  
+  // Check the request against the key's path and method scopes
+  const scopeViolation = getScopeViolation(storedKey.record, request.method, url.pathname);
+  
+  if (scopeViolation) {
+    return reject('scope_violation', {
+      requestId,
+      detail: `API key scope does not include ${scopeViolation.scope} ${scopeViolation.value}`,
+      scope: scopeViolation.scope
+    }, storedKey);
+  }
+  
+  // Enforce the key's rate limit
+  const rateLimit = await checkRateLimit(storedKey, env);
+  
+  if (rateLimit && !rateLimit.allowed) {
+    return reject('rate_limited', { requestId, headers: rateLimitHeaders(rateLimit) }, storedKey);
   }
+  
+  const headers = {
+    ...deprecationHeaders(storedKey.record),
+    ...(rateLimit ? rateLimitHeaders(rateLimit) : {})
+  };
+  Object.assign(headers, corsHeaders(request, route, storedKey.record, Object.keys(headers)));
+  
+  // Count the request towards the key's monthly usage and enforce its quota
+  const usage = await recordUsage(storedKey, env);
+  
+  if (usage && !usage.allowed) {
+    return reject('quota_exceeded', {
+      requestId,
+      headers: { 'Retry-After': String(usage.retryAfter) }
+    }, storedKey);
+  }
+  
+  return { storedKey, signed: auth.signed, headers };
 }
 
-// Function to encrypt an API key (needed for validation)
-async function encryptApiKey(apiKey, encryptionKey) {
-  // Convert encryption key from hex to bytes
-  const keyBytes = new Uint8Array(encryptionKey.replace(/-/g, '').match(/.{1,2}/g).map(byte => parseInt(byte, 16)));
-  
-  // Generate random IV
-  const iv = crypto.getRandomValues(new Uint8Array(16));
-  
-  // Import key using WebCrypto API
-  const key = await crypto.subtle.importKey(
-    "raw",
-    keyBytes,
-    { name: "AES-GCM" },
-    false,
-    ["encrypt"]
-  );
-  
-  // Encrypt
-  const encrypted = await crypto.subtle.encrypt(
-    {
-      name: "AES-GCM",
-      iv,
-      additionalData: new Uint8Array(0),
-      tagLength: 128
-    },
-    key,
-    new TextEncoder().encode(apiKey)
-  );
-  
-  // Convert encrypted data to hex
-  const encryptedArray = Array.from(new Uint8Array(encrypted));
-  const encryptedHex = encryptedArray.map(b => b.toString(16).padStart(2, '0')).join('');
-  
-  // Convert IV to hex
-  const ivHex = Array.from(iv).map(b => b.toString(16).padStart(2, '0')).join('');
-  
-  // Return IV + encrypted data (first 32 chars will be the IV)
-  return ivHex + encryptedHex;
+// Write the audit event for the validation result of a protected request
+function auditDecision(request, result, { requestId, startedAt, auditSinks, env, ctx }) {
+  const event = auditEvent(request, {
+    requestId,
+    startedAt,
+    decision: result.response ? 'deny' : 'allow',
+    reason: result.response ? result.reason : result.signed ? 'valid_signature' : 'valid_api_key',
+    storedKey: result.storedKey
+  });
+  writeAuditEvent(event, auditSinks, env, ctx);
 }
 
 export default {
   async fetch(request, env, ctx) {
+    const startedAt = Date.now();
     const url = new URL(request.url);
     const path = url.pathname;
     
-    // Get path patterns from environment variables
-    const protectedPathPrefix = env.PROTECTED_PATH_PREFIX;
-    const excludedPaths = env.EXCLUDED_PATHS || [];
+    // Key management API, authenticated separately from API keys
+    if (path.startsWith(ADMIN_PATH_PREFIX)) {
+      return handleAdminRequest(request, env, path);
+    }
     
-    // Check if path matches the protected path pattern that requires validation
-    // and is not in the excluded paths list
-    if (path.startsWith(protectedPathPrefix) && 
-        !excludedPaths.some(excludedPath => path.startsWith(excludedPath))) {
-      
-      // Get API key from request headers
-      const apiKey = request.headers.get('x-api-key');
+    // Correlates error responses with the logs
+    const requestId = getRequestId(request);
+    
+    // Compile the route rules, credential sources, identity headers, audit sinks and lockout policy
+    // (validated once per configuration)
+    let routes;
+    let credentialSources;
+    let identityHeaders;
+    let auditSinks;
+    let lockoutPolicy;
+    try {
+      routes = getRoutes(env);
+      credentialSources = getCredentialSources(env);
+      identityHeaders = getIdentityHeaders(env);
+      auditSinks = getAuditSinks(env);
+      lockoutPolicy = getLockoutPolicy(env);
+    } catch (error) {
+      console.error(error.message);
+      return problemResponse('server_misconfigured', { requestId, detail: error.message });
+    }
+    
+    // Context for the audit events of protected requests
+    const audit = { requestId, startedAt, auditSinks, env, ctx };
+    
+    // Signed URLs are issued to callers authenticated with an API key (not another signed URL)
+    if (path === SIGN_URL_PATH) {
+      const auth = await authenticate(request, url, env, credentialSources, requestId, { allowSignedUrl: false, lockoutPolicy });
+      auditDecision(request, auth, audit);
       
-      if (!apiKey) {
-        return new Response('Unauthorized: Missing API key', {
-          status: 403,
-          headers: { 'Content-Type': 'application/json' }
-        });
+      if (auth.response) {
+        return auth.response;
       }
       
-      // Get the encryption key from Worker Secret
-      const encryptionKey = env.ENCRYPTION_KEY;
-      
-      if (!encryptionKey) {
-        console.error('Missing encryption key in Worker Secrets');
-        return new Response('Server configuration error: Missing encryption key. Please set the ENCRYPTION_KEY Worker Secret.', { 
-          status: 500,
-          headers: { 'Content-Type': 'application/json' }
-        });
+      recordLastUsed(auth.storedKey, request, env, ctx);
+      return handleSignUrlRequest(request, env, auth.storedKey, requestId);
+    }
+    
+    // The first matching rule decides how the request is handled, preflights by the method they ask about
+    const preflight = isPreflight(request);
+    const method = preflight ? request.headers.get('Access-Control-Request-Method').toUpperCase() : request.method;
+    const route = matchRoute(routes, method, url);
+    
+    // Headers added to the response once the request has been let through
+    let extraHeaders = {};
+    
+    // The key the request was let through with, and whether it came as a signed URL
+    let authenticatedKey = null;
+    let signedUrl = false;
+    
+    if (route && route.action === 'deny') {
+      const denied = reject('access_denied', { requestId, detail: 'Access to this path is denied' });
+      auditDecision(request, denied, audit);
+      return denied.response;
+    }
+    
+    if (route && route.action === 'require-key') {
+      // Browsers don't send credentials with preflights, the actual request is checked instead
+      if (preflight) {
+        const violation = getPreflightViolation(request, route);
+        if (violation) {
+          return problemResponse(violation.code, { requestId, detail: violation.detail, headers: { 'Vary': PREFLIGHT_VARY } });
+        }
+        return preflightResponse(request, credentialHeaderNames(credentialSources));
       }
       
-      // Encrypt the API key to check against stored encrypted keys
-      const encryptedKey = await encryptApiKey(apiKey, encryptionKey);
-      
-      // List all keys in KV to find a match
-      // (This is a simplified approach - in production you would optimize this)
-      const keyList = await env.API_KEYS.list();
-      let isValidKey = false;
+      const result = await authorize(request, url, route, env, credentialSources, requestId, lockoutPolicy);
+      auditDecision(request, result, audit);
       
-      // Check each key
-      for (const key of keyList.keys) {
-        const storedEncryptedKey = key.name;
-        
-        // Try to decrypt both and compare
-        const decryptedStored = await decryptApiKey(storedEncryptedKey, encryptionKey);
-        
-        if (decryptedStored === apiKey) {
-          isValidKey = true;
-          break;
+      // Scripts on allowed sites may read why their request was rejected
+      if (result.response) {
+        const exposed = [...result.response.headers.keys()].filter(name => name !== 'content-type');
+        const headers = corsHeaders(request, route, result.storedKey && result.storedKey.record, exposed);
+        for (const [name, value] of Object.entries(headers)) {
+          result.response.headers.set(name, value);
         }
+        return result.response;
       }
       
-      if (!isValidKey) {
-        return new Response('Unauthorized: Invalid API key', {
-          status: 403,
-          headers: { 'Content-Type': 'application/json' }
-        });
-      }
+      recordLastUsed(result.storedKey, request, env, ctx);
+      
+      extraHeaders = result.headers;
+      authenticatedKey = result.storedKey;
+      signedUrl = result.signed;
+    }
+    
+    // Keep credentials away from the origin on every route
+    let upstreamRequest = stripCredentials(credentialSources, request);
+    if (signedUrl) {
+      upstreamRequest = stripSignature(upstreamRequest);
     }
     
     // For paths that don't need validation or if validation passes, 
-    // continue with the request
-    return fetch(request);
+    // continue with the request at the route's or key's origin, telling it who the caller is
+    let response;
+    try {
+      const upstream = resolveUpstream(upstreamRequest, route, authenticatedKey);
+      response = await fetchUpstream(upstream, target =>
+        applyIdentityHeaders(new Request(target, upstreamRequest), identityHeaders, authenticatedKey, env));
+    } catch (error) {
+      if (!(error instanceof UpstreamError)) {
+        throw error;
+      }
+      return problemResponse(error.code, { requestId, detail: error.message });
+    }
+    
+    if (Object.keys(extraHeaders).length === 0) {
+      return response;
+    }
+    
+    const decorated = new Response(response.body, response);
+    for (const [name, value] of Object.entries(extraHeaders)) {
+      if (name === 'Vary') {
+        decorated.headers.append(name, value);
+      } else {
+        decorated.headers.set(name, value);
+      }
+    }
+    return decorated;
   },
 };
@@ -0,0 +1,212 @@
+/**
+ * Key metadata validation
+ *
+ * The rules for the metadata a key record may carry (status, expiry, scopes, network
+ * restrictions, allowed origins, rate limit, quota and origin), as the admin API applies
+ * them. The CLI validates uploads with the same rules in utils/key-metadata.js, which
+ * runs under Node; test/key-metadata.spec.js checks the two accept, normalize and
+ * refuse metadata alike, so change both together.
+ */
+import { parseCidr } from './network';
+
+// Statuses a stored key record can have
+export const KEY_STATUSES = ['active', 'disabled'];
+
+// HTTP methods a key can be scoped to
+export const HTTP_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+
+// Two-character codes as found in request.cf.country (including XX and T1)
+export const COUNTRY_CODE_PATTERN = /^[A-Z][A-Z0-9]$/;
+
+// Allowed origin pattern: [scheme://][*.]host[:port], as cors.js matches them
+export const ORIGIN_PATTERN = /^(?:https?:\/\/)?(?:\*\.)?[a-z0-9-]+(?:\.[a-z0-9-]+)*(?::\d{1,5})?$/i;
+
+// Periods a rate limit can be expressed in
+export const RATE_PERIODS = ['second', 'minute', 'hour'];
+
+// Split a list given as an array or a comma-separated string into trimmed, non-empty items
+function toList(value) {
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+// Normalize key scopes into { paths, methods } lists, null when unrestricted
+export function normalizeKeyScopes(scopes) {
+  if (!scopes) {
+    return null;
+  }
+
+  const normalized = {};
+
+  if (scopes.paths) {
+    normalized.paths = toList(scopes.paths);
+    const invalidPath = normalized.paths.find(pattern => !pattern.startsWith('/'));
+    if (invalidPath) {
+      throw new Error(`invalid path scope "${invalidPath}" (paths must start with /)`);
+    }
+  }
+
+  if (scopes.methods) {
+    normalized.methods = toList(scopes.methods).map(method => method.toUpperCase());
+    const invalidMethod = normalized.methods.find(method => !HTTP_METHODS.includes(method));
+    if (invalidMethod) {
+      throw new Error(`invalid method scope "${invalidMethod}" (expected one of ${HTTP_METHODS.join(', ')})`);
+    }
+  }
+
+  return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+// Normalize a key's network restrictions into { ips, countries, blockedCountries } lists, null when unrestricted
+export function normalizeKeyNetwork(network) {
+  if (!network) {
+    return null;
+  }
+
+  const normalized = {};
+
+  if (network.ips) {
+    normalized.ips = toList(network.ips);
+    const invalidRange = normalized.ips.find(range => !parseCidr(range));
+    if (invalidRange) {
+      throw new Error(`invalid IP range "${invalidRange}" (expected an IPv4 or IPv6 address or CIDR range)`);
+    }
+  }
+
+  for (const field of ['countries', 'blockedCountries']) {
+    if (network[field]) {
+      normalized[field] = toList(network[field]).map(code => code.toUpperCase());
+      const invalidCode = normalized[field].find(code => !COUNTRY_CODE_PATTERN.test(code));
+      if (invalidCode) {
+        throw new Error(`invalid country code "${invalidCode}" (expected a two-letter code such as GB)`);
+      }
+    }
+  }
+
+  return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+// Normalize the sites a browser-facing key may be used from into lower-cased patterns, null for anywhere
+export function normalizeAllowedOrigins(allowedOrigins) {
+  if (!allowedOrigins) {
+    return null;
+  }
+
+  const patterns = toList(allowedOrigins).map(pattern => pattern.toLowerCase());
+
+  const invalidPattern = patterns.find(pattern => !ORIGIN_PATTERN.test(pattern));
+  if (invalidPattern) {
+    throw new Error(`invalid allowed origin "${invalidPattern}" (expected a host such as https://*.example.com)`);
+  }
+
+  return patterns.length > 0 ? patterns : null;
+}
+
+// Parse a rate limit written as "<requests>/<period>", e.g. "100/minute"
+function parseRateLimitSpec(spec) {
+  const [requests, per] = String(spec).split('/');
+  return { requests: Number(requests), per: (per || '').trim().toLowerCase() };
+}
+
+// Normalize a key's rate limit into { requests, per, burst }, null for the namespace default
+export function normalizeRateLimit(rateLimit) {
+  if (!rateLimit) {
+    return null;
+  }
+
+  const limit = typeof rateLimit === 'string' ? parseRateLimitSpec(rateLimit) : rateLimit;
+
+  if (!Number.isInteger(limit.requests) || limit.requests <= 0) {
+    throw new Error(`invalid rate limit requests "${limit.requests}" (expected a positive integer)`);
+  }
+  if (!RATE_PERIODS.includes(limit.per)) {
+    throw new Error(`invalid rate limit period "${limit.per}" (expected ${RATE_PERIODS.join(', ')})`);
+  }
+  if (limit.burst !== undefined && (!Number.isInteger(limit.burst) || limit.burst <= 0)) {
+    throw new Error(`invalid rate limit burst "${limit.burst}" (expected a positive integer)`);
+  }
+
+  const normalized = { requests: limit.requests, per: limit.per };
+  if (limit.burst !== undefined) {
+    normalized.burst = limit.burst;
+  }
+  return normalized;
+}
+
+// Normalize a key's monthly request quota, null for no quota
+export function normalizeMonthlyQuota(quota) {
+  if (quota === undefined || quota === null || quota === '') {
+    return null;
+  }
+
+  const value = Number(quota);
+  if (!Number.isInteger(value) || value <= 0) {
+    throw new Error(`invalid monthlyQuota "${quota}" (expected a positive integer)`);
+  }
+  return value;
+}
+
+// Normalize the http(s) base URL a key's requests are forwarded to, null to use the route's origin
+export function normalizeOrigin(origin) {
+  if (origin === undefined || origin === null || origin === '') {
+    return null;
+  }
+
+  let url;
+  try {
+    url = new URL(origin);
+  } catch {
+    url = null;
+  }
+  if (!url || !['http:', 'https:'].includes(url.protocol) || url.search || url.hash) {
+    throw new Error(`invalid origin "${origin}" (expected an http(s) URL without a query)`);
+  }
+  return origin;
+}
+
+// Normalize a key's expiry date into an ISO timestamp, null when the key doesn't expire
+export function normalizeExpiresAt(expiresAt) {
+  if (!expiresAt) {
+    return null;
+  }
+
+  const time = Date.parse(expiresAt);
+  if (Number.isNaN(time)) {
+    throw new Error(`invalid expiresAt "${expiresAt}" (expected an ISO 8601 date)`);
+  }
+  return new Date(time).toISOString();
+}
+
+// Normalize a free-text field such as owner or label, null when empty
+function normalizeText(value, field) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (typeof value !== 'string') {
+    throw new Error(`invalid ${field} (expected a string)`);
+  }
+  return value;
+}
+
+// Validate and normalize the metadata of a key record (everything but the key material)
+// Throws an Error naming the first invalid field
+export function normalizeKeyMetadata(fields) {
+  const status = fields.status || 'active';
+  if (!KEY_STATUSES.includes(status)) {
+    throw new Error(`invalid status "${status}" (expected ${KEY_STATUSES.join(' or ')})`);
+  }
+
+  return {
+    owner: normalizeText(fields.owner, 'owner'),
+    label: normalizeText(fields.label, 'label'),
+    expiresAt: normalizeExpiresAt(fields.expiresAt),
+    status,
+    scopes: normalizeKeyScopes(fields.scopes),
+    network: normalizeKeyNetwork(fields.network),
+    allowedOrigins: normalizeAllowedOrigins(fields.allowedOrigins),
+    rateLimit: normalizeRateLimit(fields.rateLimit),
+    monthlyQuota: normalizeMonthlyQuota(fields.monthlyQuota),
+    origin: normalizeOrigin(fields.origin)
+  };
+}
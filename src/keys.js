@@ -0,0 +1,194 @@
+/**
+ * API key lookup against the API_KEYS KV namespace
+ *
+ * Keys are stored under a deterministic index name ("key:" + HMAC of the key),
+ * so validating a request is a single KV get. The value is a JSON record:
+ *   { encryptedKey, owner, label, createdAt, expiresAt, status, scopes, network, allowedOrigins, rateLimit, monthlyQuota, origin }
+ * Rotated keys also carry deprecatedAt, sunsetAt and replacedBy; their replacements carry replaces.
+ * keyVersion is the fingerprint of the encryption key that wrote the record.
+ * Rekeyed keys carry counterName, the KV name their rate limit and usage counters
+ * were created under, so a new encryption key doesn't reset them.
+ * The encrypted key is decrypted and compared to confirm the match. A key's ID is
+ * the first 16 hex characters of its index, which is enough to find it with a
+ * prefix list without knowing the plaintext.
+ *
+ * Namespaces written before indexing used the encrypted key itself as the KV
+ * name. Set LEGACY_KEY_LOOKUP to "true" to fall back to scanning those entries
+ * until they have been migrated with `api-key-tools migrate`.
+ */
+import { computeKeyIndex, computeKeyVersion, decryptApiKey, timingSafeEqual, KEY_INDEX_PREFIX } from './crypto';
+
+// Legacy entries are named by their IV + auth tag + ciphertext in hex
+const LEGACY_NAME_PATTERN = /^[0-9a-f]{66,}$/i;
+
+// Parse a stored KV value into a key record
+// Values that are not JSON are bare encrypted keys and are treated as active keys without metadata
+export function parseKeyRecord(value) {
+  try {
+    const record = JSON.parse(value);
+    if (record && typeof record === 'object' && typeof record.encryptedKey === 'string') {
+      return record;
+    }
+  } catch {
+    // Fall through to the bare encrypted key format
+  }
+  return { encryptedKey: value, status: 'active' };
+}
+
+// Length of the key ID taken from the start of the index
+const KEY_ID_LENGTH = 16;
+
+// Derive a key's ID from its KV name
+export function keyIdFromName(name) {
+  return name.slice(KEY_INDEX_PREFIX.length, KEY_INDEX_PREFIX.length + KEY_ID_LENGTH);
+}
+
+// Name the key's rate limit and usage Durable Objects are addressed by, which survives rekeying
+export function counterName(storedKey) {
+  return storedKey.record.counterName || storedKey.name;
+}
+
+// Check whether a string looks like a key ID
+export function isKeyId(value) {
+  return new RegExp(`^[0-9a-f]{${KEY_ID_LENGTH}}$`).test(value);
+}
+
+// Find a stored key by its ID, returns null if no single key matches
+export async function findKeyById(id, env) {
+  if (!isKeyId(id)) {
+    return null;
+  }
+
+  const page = await env.API_KEYS.list({ prefix: KEY_INDEX_PREFIX + id });
+  if (page.keys.length !== 1) {
+    return null;
+  }
+
+  const name = page.keys[0].name;
+  const value = await env.API_KEYS.get(name);
+  return value ? { name, record: parseKeyRecord(value) } : null;
+}
+
+// Find a key by its full KV index, as carried by signed URLs
+export async function findKeyByIndex(index, env) {
+  const name = KEY_INDEX_PREFIX + index;
+  const value = await env.API_KEYS.get(name);
+  return value ? { name, record: parseKeyRecord(value) } : null;
+}
+
+// List one page of indexed keys with their records
+// Returns { keys, cursor }, cursor is null on the last page
+export async function listKeyRecordPage(env, { limit, cursor } = {}) {
+  const page = await env.API_KEYS.list({ prefix: KEY_INDEX_PREFIX, limit, cursor: cursor || undefined });
+  const values = await Promise.all(page.keys.map(key => env.API_KEYS.get(key.name)));
+
+  const keys = [];
+  page.keys.forEach((key, index) => {
+    if (values[index]) {
+      keys.push({ name: key.name, record: parseKeyRecord(values[index]) });
+    }
+  });
+  return { keys, cursor: page.list_complete ? null : page.cursor };
+}
+
+// Check whether a key record may be used at the given time
+// Returns null when the key is usable, otherwise the reason it was rejected
+export function getKeyRejectionReason(record, now = Date.now()) {
+  if (record.status === 'revoked') {
+    return 'revoked';
+  }
+  if (record.status === 'disabled') {
+    return 'disabled';
+  }
+  if (record.expiresAt && Date.parse(record.expiresAt) <= now) {
+    return 'expired';
+  }
+  if (record.sunsetAt && Date.parse(record.sunsetAt) <= now) {
+    return 'retired';
+  }
+  return null;
+}
+
+// Headers telling clients a rotated key is on its way out
+// Deprecation uses the RFC 9745 "@<unix time>" form, Sunset an HTTP date (RFC 8594)
+export function deprecationHeaders(record) {
+  if (!record.sunsetAt) {
+    return {};
+  }
+  const deprecatedAt = Date.parse(record.deprecatedAt || record.sunsetAt);
+  return {
+    'Deprecation': `@${Math.floor(deprecatedAt / 1000)}`,
+    'Sunset': new Date(record.sunsetAt).toUTCString()
+  };
+}
+
+// Encryption keys to try, current first
+// ENCRYPTION_KEY_PREVIOUS keeps records written with the old key readable while
+// `api-key-tools rekey` moves them to the new one
+export function encryptionKeys(env) {
+  return [env.ENCRYPTION_KEY, env.ENCRYPTION_KEY_PREVIOUS].filter(Boolean);
+}
+
+// Pick the key to decrypt a record with from its keyVersion tag
+// Records without a tag, or with an unknown one, use the key whose index matched
+async function decryptionKeyFor(record, indexKey, env) {
+  if (record.keyVersion) {
+    for (const encryptionKey of encryptionKeys(env)) {
+      if (await computeKeyVersion(encryptionKey) === record.keyVersion) {
+        return encryptionKey;
+      }
+    }
+  }
+  return indexKey;
+}
+
+// Find the stored record for an API key, returns null if no entry matches
+export async function lookupApiKey(apiKey, env) {
+  for (const encryptionKey of encryptionKeys(env)) {
+    const name = KEY_INDEX_PREFIX + await computeKeyIndex(apiKey, encryptionKey);
+    const value = await env.API_KEYS.get(name);
+
+    if (value) {
+      const record = parseKeyRecord(value);
+      const decrypted = await decryptApiKey(record.encryptedKey, await decryptionKeyFor(record, encryptionKey, env));
+      if (timingSafeEqual(decrypted, apiKey)) {
+        return { name, record };
+      }
+    }
+  }
+
+  if (isLegacyLookupEnabled(env)) {
+    return findLegacyApiKey(apiKey, env);
+  }
+
+  return null;
+}
+
+// Check whether the legacy scan fallback is switched on
+function isLegacyLookupEnabled(env) {
+  return env.LEGACY_KEY_LOOKUP === true || env.LEGACY_KEY_LOOKUP === 'true';
+}
+
+// Scan legacy entries (encrypted key as KV name) page by page
+async function findLegacyApiKey(apiKey, env) {
+  let cursor;
+  do {
+    const page = await env.API_KEYS.list(cursor ? { cursor } : undefined);
+
+    for (const key of page.keys) {
+      // Legacy names are bare hex ciphertext; skip indexed keys and other records
+      if (!LEGACY_NAME_PATTERN.test(key.name)) {
+        continue;
+      }
+
+      const decrypted = await decryptApiKey(key.name, env.ENCRYPTION_KEY);
+      if (timingSafeEqual(decrypted, apiKey)) {
+        return { name: key.name, record: { encryptedKey: key.name, status: 'active' }, legacy: true };
+      }
+    }
+
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+
+  return null;
+}
@@ -0,0 +1,74 @@
+/**
+ * Last-used tracking
+ *
+ * When a key is let through, the time and the client's IP address and country are
+ * stored in KV as "last-used:<key name>" (in the value and the list metadata):
+ *   { "lastUsedAt": "2025-06-01T14:02:11.512Z", "lastUsedIp": "203.0.113.7", "lastUsedCountry": "GB" }
+ * which `api-key-tools list` shows and `api-key-tools stale` reads to find keys
+ * nobody uses any more. Keeping it out of the key record means the write can never
+ * race with a change to the key's status.
+ *
+ * Writes are coalesced: each isolate records a key at most once per
+ * LAST_USED_INTERVAL seconds (default 3600), after the response via ctx.waitUntil,
+ * so busy keys don't cost a KV write per request. Entries are dropped once their
+ * interval has passed, and the oldest ones beyond MAX_RECENT_WRITES, so an isolate
+ * serving many keys doesn't hold on to all of them.
+ */
+import { keyIdFromName } from './keys';
+
+export const LAST_USED_PREFIX = 'last-used:';
+
+const DEFAULT_LAST_USED_INTERVAL = 3600;
+
+// Most keys an isolate remembers writing for, an evicted key is just written again sooner
+const MAX_RECENT_WRITES = 10000;
+
+// When this isolate last recorded each key, by key name, oldest first
+const recentWrites = new Map();
+
+// Forget the writes whose interval has passed, and the oldest ones beyond the cap
+function pruneRecentWrites(now, intervalMs) {
+  for (const [name, writtenAt] of recentWrites) {
+    if (now - writtenAt < intervalMs && recentWrites.size <= MAX_RECENT_WRITES) {
+      break;
+    }
+    recentWrites.delete(name);
+  }
+}
+
+// Seconds between writes for the same key
+function lastUsedInterval(env) {
+  const value = Number(env.LAST_USED_INTERVAL);
+  return value > 0 ? value : DEFAULT_LAST_USED_INTERVAL;
+}
+
+// Record that a key was let through, unless this isolate already did within the interval
+export function recordLastUsed(storedKey, request, env, ctx) {
+  if (storedKey.legacy) {
+    return;
+  }
+
+  const now = Date.now();
+  const intervalMs = lastUsedInterval(env) * 1000;
+  const lastWrite = recentWrites.get(storedKey.name);
+  if (lastWrite && now - lastWrite < intervalMs) {
+    return;
+  }
+
+  // Re-inserted so the map stays ordered by write time
+  recentWrites.delete(storedKey.name);
+  recentWrites.set(storedKey.name, now);
+  pruneRecentWrites(now, intervalMs);
+
+  const lastUsed = {
+    lastUsedAt: new Date(now).toISOString(),
+    lastUsedIp: request.headers.get('CF-Connecting-IP'),
+    lastUsedCountry: (request.cf && request.cf.country) || null
+  };
+  const write = env.API_KEYS.put(LAST_USED_PREFIX + storedKey.name, JSON.stringify(lastUsed), { metadata: lastUsed })
+    .catch(error => {
+      recentWrites.delete(storedKey.name);
+      console.error(`Failed to record the last use of key ${keyIdFromName(storedKey.name)}: ${error.message}`);
+    });
+  ctx.waitUntil(write);
+}
@@ -0,0 +1,251 @@
+/**
+ * Brute-force protection
+ *
+ * Invalid API keys and URL signatures are counted per client IP (CF-Connecting-IP),
+ * and invalid API keys also per key prefix (their first characters, catching guesses
+ * spread over many addresses), in LockoutTracker Durable Objects. A prefix is only
+ * ever tracked, stored and reported as an HMAC keyed with ENCRYPTION_KEY, so no key
+ * material leaves the request. Once a client or prefix reaches the threshold within
+ * the window it is locked out: a locked-out client's requests are answered with
+ * 429 locked_out before any key lookup, and so are keys with a locked-out prefix once
+ * the lookup misses, so valid keys sharing the prefix keep working. Each further
+ * lockout of the same client doubles the delay, up to maxDelay; the count of lockouts
+ * is forgotten after maxDelay without failures.
+ *
+ * LOCKOUT tunes the limits, these are the defaults:
+ *   { "threshold": 10, "window": 600, "baseDelay": 60, "maxDelay": 86400,
+ *     "prefixLength": 16, "prefixThreshold": 100 }
+ * - threshold/window: invalid attempts from one IP within window seconds that lock it out
+ * - baseDelay/maxDelay: seconds the first and the longest lockout last
+ * - prefixLength: characters of the key that make up its prefix. Keep it longer than
+ *   the prefix your keys share, so guesses at one key don't lock out guesses at another
+ * - prefixThreshold: invalid keys with one prefix within the window that lock it out,
+ *   0 to track IPs only
+ *
+ * Each lockout is copied to KV as "lockout:<ip|prefix>:<address or prefix hash>" for
+ * `api-key-tools abuse`, kept for a week after it ends. Brute-force protection is
+ * off when the LOCKOUT_TRACKER binding is missing.
+ */
+import { DurableObject } from 'cloudflare:workers';
+import { computeKeyPrefixHash } from './crypto';
+
+export const LOCKOUT_PREFIX = 'lockout:';
+
+const DEFAULT_LOCKOUT_POLICY = {
+  threshold: 10,
+  window: 600,
+  baseDelay: 60,
+  maxDelay: 86400,
+  prefixLength: 16,
+  prefixThreshold: 100
+};
+
+// How long the KV copy of a lockout is kept after it ends, in seconds
+const LOCKOUT_REPORT_RETENTION = 7 * 24 * 60 * 60;
+
+// Thrown when the lockout configuration can't be compiled
+export class LockoutConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid LOCKOUT configuration:\n${errors.join('\n')}`);
+    this.name = 'LockoutConfigError';
+    this.errors = errors;
+  }
+}
+
+// Compiled policies are cached per configuration so they're validated once per isolate
+let cachedSource;
+let cachedPolicy;
+
+// Validate and compile a lockout configuration, throws LockoutConfigError listing every problem
+export function compileLockoutPolicy(config) {
+  let options = config;
+  if (typeof options === 'string') {
+    try {
+      options = JSON.parse(options);
+    } catch (error) {
+      throw new LockoutConfigError([`LOCKOUT is not valid JSON: ${error.message}`]);
+    }
+  }
+
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new LockoutConfigError(['LOCKOUT must be an object']);
+  }
+
+  const errors = [];
+  const unknown = Object.keys(options).filter(field => !(field in DEFAULT_LOCKOUT_POLICY));
+  if (unknown.length > 0) {
+    errors.push(`LOCKOUT: unknown fields ${unknown.join(', ')}`);
+  }
+
+  const policy = { ...DEFAULT_LOCKOUT_POLICY, ...options };
+  for (const field of Object.keys(DEFAULT_LOCKOUT_POLICY)) {
+    const minimum = field === 'prefixThreshold' ? 0 : 1;
+    if (!Number.isInteger(policy[field]) || policy[field] < minimum) {
+      errors.push(`LOCKOUT: ${field} must be ${minimum === 0 ? 'a whole number' : 'a positive integer'}`);
+    }
+  }
+  if (policy.maxDelay < policy.baseDelay) {
+    errors.push('LOCKOUT: maxDelay must not be shorter than baseDelay');
+  }
+
+  if (errors.length > 0) {
+    throw new LockoutConfigError(errors);
+  }
+
+  return policy;
+}
+
+// Get the compiled lockout policy for an environment
+export function getLockoutPolicy(env) {
+  const config = env.LOCKOUT !== undefined ? env.LOCKOUT : {};
+  const source = typeof config === 'string' ? config : JSON.stringify(config);
+
+  if (source !== cachedSource) {
+    cachedPolicy = compileLockoutPolicy(config);
+    cachedSource = source;
+  }
+
+  return cachedPolicy;
+}
+
+// The clients and key prefixes a request's failures count against, with their thresholds
+// credential is the API key the request sent, null for signed URLs
+async function lockoutSubjects(request, credential, env, policy) {
+  const subjects = [];
+
+  const clientIp = request.headers.get('CF-Connecting-IP');
+  if (clientIp) {
+    subjects.push({ kind: 'ip', subject: clientIp, threshold: policy.threshold });
+  }
+
+  if (credential && policy.prefixThreshold > 0) {
+    const prefixHash = await computeKeyPrefixHash(credential.apiKey.slice(0, policy.prefixLength), env.ENCRYPTION_KEY);
+    subjects.push({ kind: 'prefix', subject: prefixHash, threshold: policy.prefixThreshold });
+  }
+
+  return subjects;
+}
+
+// Get the tracker of one client or prefix
+function trackerFor(env, { kind, subject }) {
+  return env.LOCKOUT_TRACKER.get(env.LOCKOUT_TRACKER.idFromName(`${kind}:${subject}`));
+}
+
+// The longest lockout among some clients and key prefixes
+// Returns null when none is locked out, otherwise { kind, retryAfter }
+async function longestLockout(env, subjects) {
+  const retryAfters = await Promise.all(subjects.map(subject => trackerFor(env, subject).check()));
+
+  let lockout = null;
+  subjects.forEach(({ kind }, index) => {
+    if (retryAfters[index] > 0 && (!lockout || retryAfters[index] > lockout.retryAfter)) {
+      lockout = { kind, retryAfter: retryAfters[index] };
+    }
+  });
+  return lockout;
+}
+
+// Check whether a request comes from a locked-out client, before its key is looked up
+// Returns null when it may go on, otherwise { kind, retryAfter }
+export async function checkClientLockout(request, env, policy) {
+  if (!env.LOCKOUT_TRACKER) {
+    return null;
+  }
+
+  return longestLockout(env, await lockoutSubjects(request, null, env, policy));
+}
+
+// Check whether an API key that wasn't found has a locked-out prefix
+// Only checked after the lookup misses, so a locked prefix never blocks valid keys
+// Returns null when it may go on, otherwise { kind, retryAfter }
+export async function checkPrefixLockout(request, credential, env, policy) {
+  if (!env.LOCKOUT_TRACKER) {
+    return null;
+  }
+
+  const subjects = await lockoutSubjects(request, credential, env, policy);
+  return longestLockout(env, subjects.filter(({ kind }) => kind === 'prefix'));
+}
+
+// Count an invalid API key or signature against the request's client and key prefix
+export async function recordFailedValidation(request, credential, env, policy) {
+  if (!env.LOCKOUT_TRACKER) {
+    return;
+  }
+
+  const subjects = await lockoutSubjects(request, credential, env, policy);
+  await Promise.all(subjects.map(subject => trackerFor(env, subject).fail(subject, policy)));
+}
+
+// Durable Object counting the failed validations of one client IP or key prefix
+export class LockoutTracker extends DurableObject {
+  constructor(ctx, env) {
+    super(ctx, env);
+    this.state = null;
+  }
+
+  // Load the failure state, kept in memory between requests
+  async load() {
+    if (!this.state) {
+      this.state = (await this.ctx.storage.get('state')) ||
+        { failures: 0, windowStart: 0, lockouts: 0, lockedUntil: 0, lastFailureAt: 0, totalFailures: 0 };
+    }
+    return this.state;
+  }
+
+  // Seconds until the current lockout ends, 0 when not locked out
+  async check(now = Date.now()) {
+    const state = await this.load();
+    return state.lockedUntil > now ? Math.ceil((state.lockedUntil - now) / 1000) : 0;
+  }
+
+  // Count a failure, locking the subject out once it reaches the threshold within the window
+  // Returns the seconds until the lockout ends, 0 when not locked out
+  async fail({ kind, subject, threshold }, policy, now = Date.now()) {
+    const state = await this.load();
+
+    if (state.lockedUntil > now) {
+      return Math.ceil((state.lockedUntil - now) / 1000);
+    }
+
+    if (now - state.lastFailureAt > policy.maxDelay * 1000) {
+      state.lockouts = 0;
+    }
+    if (now - state.windowStart >= policy.window * 1000) {
+      state.failures = 0;
+      state.windowStart = now;
+    }
+
+    state.failures += 1;
+    state.totalFailures += 1;
+    state.lastFailureAt = now;
+
+    let retryAfter = 0;
+    if (state.failures >= threshold) {
+      state.lockouts += 1;
+      retryAfter = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (state.lockouts - 1));
+      state.lockedUntil = now + retryAfter * 1000;
+      state.failures = 0;
+      state.windowStart = state.lockedUntil;
+    }
+
+    await this.ctx.storage.put('state', state);
+
+    if (retryAfter > 0) {
+      const lockout = {
+        kind,
+        subject,
+        lockouts: state.lockouts,
+        totalFailures: state.totalFailures,
+        lockedAt: new Date(now).toISOString(),
+        lockedUntil: new Date(state.lockedUntil).toISOString()
+      };
+      await this.env.API_KEYS.put(`${LOCKOUT_PREFIX}${kind}:${subject}`, JSON.stringify(lockout), {
+        metadata: lockout,
+        expirationTtl: retryAfter + LOCKOUT_REPORT_RETENTION
+      });
+    }
+
+    return retryAfter;
+  }
+}
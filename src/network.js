@@ -0,0 +1,145 @@
+/**
+ * Per-key network restrictions
+ *
+ * A key record may limit where the key can be used from:
+ *   { "network": { "ips": ["203.0.113.0/24", "2001:db8::/32"], "countries": ["GB", "DE"], "blockedCountries": ["RU"] } }
+ * - ips: IPv4 and IPv6 ranges in CIDR notation (a bare address is a single host)
+ *   that the client address (CF-Connecting-IP) must fall in
+ * - countries: country codes (request.cf.country) the key may be used from
+ * - blockedCountries: country codes the key may not be used from
+ * The restrictions apply to signed URLs made with the key as well. A request whose
+ * address or country is unknown fails the checks that need it.
+ */
+
+// Bits in an address of each IP version
+const ADDRESS_BITS = { 4: 32, 6: 128 };
+
+// Parse a dotted IPv4 address into a number, null if malformed
+function parseIpv4(text) {
+  const parts = text.split('.');
+  if (parts.length !== 4 || parts.some(part => !/^\d{1,3}$/.test(part) || Number(part) > 255)) {
+    return null;
+  }
+  return parts.reduce((value, part) => (value << 8n) + BigInt(part), 0n);
+}
+
+// Parse an IPv6 address (with :: compression and an optional trailing IPv4 part) into a number, null if malformed
+function parseIpv6(text) {
+  let groups = text;
+  let embedded = 0n;
+  if (text.includes('.')) {
+    const split = text.lastIndexOf(':');
+    const ipv4 = parseIpv4(text.slice(split + 1));
+    if (ipv4 === null) {
+      return null;
+    }
+    groups = `${text.slice(0, split + 1)}0:0`;
+    embedded = ipv4;
+  }
+
+  const halves = groups.split('::');
+  if (halves.length > 2) {
+    return null;
+  }
+
+  const head = halves[0] ? halves[0].split(':') : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 2 ? missing < 1 : missing !== 0) {
+    return null;
+  }
+
+  const all = [...head, ...new Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+  if (all.some(group => !/^[0-9a-f]{1,4}$/i.test(group))) {
+    return null;
+  }
+
+  return all.reduce((value, group) => (value << 16n) + BigInt(parseInt(group, 16)), 0n) + embedded;
+}
+
+// Parse an IPv4 or IPv6 address into { version, value }, null if malformed
+function parseAddress(text) {
+  if (typeof text !== 'string') {
+    return null;
+  }
+  if (text.includes(':')) {
+    const value = parseIpv6(text);
+    return value === null ? null : { version: 6, value };
+  }
+  const value = parseIpv4(text);
+  return value === null ? null : { version: 4, value };
+}
+
+// Parse a range in CIDR notation into { version, value, bits }, null if malformed
+// A bare address is a single host. The CLI parses ranges the same way (utils/key-metadata.js)
+export function parseCidr(text) {
+  if (typeof text !== 'string') {
+    return null;
+  }
+
+  const [addressText, bitsText, ...rest] = text.trim().split('/');
+  const address = parseAddress(addressText);
+  if (!address || rest.length > 0) {
+    return null;
+  }
+
+  if (bitsText !== undefined && !/^\d{1,3}$/.test(bitsText)) {
+    return null;
+  }
+
+  const maxBits = ADDRESS_BITS[address.version];
+  const bits = bitsText === undefined ? maxBits : Number(bitsText);
+  if (bits > maxBits) {
+    return null;
+  }
+
+  return { ...address, bits };
+}
+
+// Parse a client address, treating IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) as IPv4
+export function parseIpAddress(text) {
+  const address = parseAddress(text);
+  if (address && address.version === 6 && address.value >> 32n === 0xffffn) {
+    return { version: 4, value: address.value & 0xffffffffn };
+  }
+  return address;
+}
+
+// Check whether an address falls in a range
+export function ipInRange(address, range) {
+  if (address.version !== range.version) {
+    return false;
+  }
+  const shift = BigInt(ADDRESS_BITS[range.version] - range.bits);
+  return address.value >> shift === range.value >> shift;
+}
+
+// Check a request against a key record's network restrictions
+// Returns null when the request may proceed, otherwise { code, detail } with the problem code to answer with
+export function getNetworkViolation(record, request) {
+  const network = record.network;
+  if (!network) {
+    return null;
+  }
+
+  if (network.ips && network.ips.length > 0) {
+    const clientIp = request.headers.get('CF-Connecting-IP');
+    const address = parseIpAddress(clientIp);
+    const ranges = network.ips.map(parseCidr).filter(Boolean);
+    if (!address || !ranges.some(range => ipInRange(address, range))) {
+      return { code: 'ip_not_allowed', detail: `API key may not be used from ${clientIp || 'an unknown address'}` };
+    }
+  }
+
+  const country = request.cf && request.cf.country ? String(request.cf.country).toUpperCase() : null;
+
+  if (network.countries && network.countries.length > 0 && !network.countries.includes(country)) {
+    return { code: 'country_not_allowed', detail: `API key may not be used from ${country || 'an unknown country'}` };
+  }
+
+  if (network.blockedCountries && country && network.blockedCountries.includes(country)) {
+    return { code: 'country_not_allowed', detail: `API key may not be used from ${country}` };
+  }
+
+  return null;
+}
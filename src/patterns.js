@@ -0,0 +1,49 @@
+/**
+ * Path pattern matching shared by key scopes and route rules
+ * A pattern without wildcards is a prefix ("/media/partner-a/").
+ * Otherwise it is a glob matched against the whole path:
+ * - "*" matches any characters within a single path segment
+ * - "**" matches any characters across segments
+ * - "?" matches a single character within a segment
+ */
+
+// Cache compiled globs, patterns come from a small fixed set of records and config
+const globCache = new Map();
+
+// Check whether a pattern uses glob syntax
+function isGlob(pattern) {
+  return /[*?]/.test(pattern);
+}
+
+// Convert a glob pattern into an anchored regular expression
+export function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+// Check whether a path matches a prefix or glob pattern
+export function matchesPathPattern(path, pattern) {
+  if (!isGlob(pattern)) {
+    return path.startsWith(pattern);
+  }
+
+  let regex = globCache.get(pattern);
+  if (!regex) {
+    regex = globToRegExp(pattern);
+    globCache.set(pattern, regex);
+  }
+  return regex.test(path);
+}
@@ -0,0 +1,102 @@
+/**
+ * Per-key rate limiting
+ *
+ * Each key gets a token bucket held in a RateLimiter Durable Object, addressed by
+ * the key's counter name (see keys.js) so every request for the same key hits the
+ * same counter.
+ * Limits come from the key record's rateLimit field, or the DEFAULT_RATE_LIMIT var:
+ *   { "requests": 100, "per": "minute", "burst": 20 }
+ * - requests/per: sustained rate, per is "second", "minute" or "hour"
+ * - burst: bucket size, defaults to requests
+ */
+import { DurableObject } from 'cloudflare:workers';
+import { counterName } from './keys';
+
+// Length of each rate period in seconds
+export const RATE_PERIODS = { second: 1, minute: 60, hour: 3600 };
+
+// Resolve the limit that applies to a key, or null when the key is unlimited
+export function resolveRateLimit(record, env) {
+  const limit = record.rateLimit || parseDefaultRateLimit(env.DEFAULT_RATE_LIMIT);
+  if (!limit || !(limit.requests > 0) || !RATE_PERIODS[limit.per]) {
+    return null;
+  }
+  return {
+    requests: limit.requests,
+    per: limit.per,
+    burst: limit.burst > 0 ? limit.burst : limit.requests
+  };
+}
+
+// DEFAULT_RATE_LIMIT may be a JSON object var or a JSON string secret
+function parseDefaultRateLimit(value) {
+  if (typeof value !== 'string') {
+    return value || null;
+  }
+  try {
+    return JSON.parse(value);
+  } catch {
+    console.error('Ignoring DEFAULT_RATE_LIMIT: not valid JSON');
+    return null;
+  }
+}
+
+// Take one request from the key's bucket
+// Returns null when rate limiting isn't configured, otherwise the bucket state
+export async function checkRateLimit(storedKey, env) {
+  const limit = resolveRateLimit(storedKey.record, env);
+  if (!limit || !env.RATE_LIMITER) {
+    return null;
+  }
+
+  const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(counterName(storedKey)));
+  return stub.consume(limit);
+}
+
+// Build the RateLimit-* headers (and Retry-After when limited) for a bucket state
+export function rateLimitHeaders(state) {
+  const headers = {
+    'RateLimit-Limit': String(state.limit),
+    'RateLimit-Remaining': String(state.remaining),
+    'RateLimit-Reset': String(state.reset)
+  };
+  if (!state.allowed) {
+    headers['Retry-After'] = String(state.retryAfter);
+  }
+  return headers;
+}
+
+// Durable Object holding one key's token bucket
+export class RateLimiter extends DurableObject {
+  constructor(ctx, env) {
+    super(ctx, env);
+    this.bucket = null;
+  }
+
+  // Take a token from the bucket, refilling it for the time since the last request
+  async consume(limit, now = Date.now()) {
+    if (!this.bucket) {
+      this.bucket = (await this.ctx.storage.get('bucket')) || { tokens: limit.burst, updatedAt: now };
+    }
+
+    const rate = limit.requests / RATE_PERIODS[limit.per];
+    const elapsed = Math.max(0, now - this.bucket.updatedAt) / 1000;
+    let tokens = Math.min(limit.burst, this.bucket.tokens + elapsed * rate);
+
+    const allowed = tokens >= 1;
+    if (allowed) {
+      tokens -= 1;
+    }
+
+    this.bucket = { tokens, updatedAt: now };
+    await this.ctx.storage.put('bucket', this.bucket);
+
+    return {
+      allowed,
+      limit: limit.burst,
+      remaining: Math.floor(tokens),
+      reset: Math.ceil((limit.burst - tokens) / rate),
+      retryAfter: allowed ? 0 : Math.ceil((1 - tokens) / rate)
+    };
+  }
+}
@@ -0,0 +1,158 @@
+/**
+ * Route rules deciding how each request is handled
+ *
+ * ROUTES is an ordered list of rules; the first rule that matches a request wins:
+ *   { "pattern": "/media/icons/", "action": "public" }
+ *   { "regex": "^/media/.+\\.mp4$", "host": "*.example.com", "methods": ["GET"], "action": "require-key" }
+ * - pattern: prefix or glob (see patterns.js), or
+ * - regex: regular expression tested against the path
+ * - host: optional hostname, "*." matches any subdomain
+ * - methods: optional list of HTTP methods the rule applies to
+ * - action: "require-key", "public" or "deny"
+ * - allowedOrigins: optional list of sites a require-key route takes cross-origin
+ *   requests from, as patterns like a key's (see cors.js)
+ * - origin, fallback, timeout, stripPrefix: optional, where matching requests are
+ *   forwarded (see upstream.js)
+ * Requests that match no rule are passed through.
+ *
+ * Without ROUTES the legacy PROTECTED_PATH_PREFIX and EXCLUDED_PATHS vars are
+ * turned into equivalent rules.
+ */
+import { matchesPathPattern } from './patterns';
+import { compileUpstream } from './upstream';
+import { ORIGIN_PATTERN } from './key-metadata';
+
+export const ROUTE_ACTIONS = ['require-key', 'public', 'deny'];
+
+// Thrown when the route configuration can't be compiled
+export class RouteConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid ROUTES configuration:\n${errors.join('\n')}`);
+    this.name = 'RouteConfigError';
+    this.errors = errors;
+  }
+}
+
+// Compiled routes are cached per configuration so they're validated once per isolate
+let cachedSource;
+let cachedRoutes;
+
+// Build rules from the legacy single-prefix configuration
+function legacyRouteConfig(env) {
+  const rules = (env.EXCLUDED_PATHS || []).map(pattern => ({ pattern, action: 'public' }));
+  if (env.PROTECTED_PATH_PREFIX) {
+    rules.push({ pattern: env.PROTECTED_PATH_PREFIX, action: 'require-key' });
+  }
+  return rules;
+}
+
+// Validate and compile one rule, collecting problems into errors
+function compileRule(rule, index, errors) {
+  const label = `ROUTES[${index}]`;
+
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    errors.push(`${label}: rule must be an object`);
+    return null;
+  }
+
+  if (!ROUTE_ACTIONS.includes(rule.action)) {
+    errors.push(`${label}: action must be one of ${ROUTE_ACTIONS.join(', ')} (got ${JSON.stringify(rule.action)})`);
+  }
+
+  let matchPath;
+  if (rule.pattern !== undefined && rule.regex !== undefined) {
+    errors.push(`${label}: set either pattern or regex, not both`);
+  } else if (rule.regex !== undefined) {
+    try {
+      const regex = new RegExp(rule.regex);
+      matchPath = path => regex.test(path);
+    } catch (error) {
+      errors.push(`${label}: invalid regex ${JSON.stringify(rule.regex)}: ${error.message}`);
+    }
+  } else if (typeof rule.pattern === 'string' && rule.pattern.startsWith('/')) {
+    matchPath = path => matchesPathPattern(path, rule.pattern);
+  } else {
+    errors.push(`${label}: pattern must be a string starting with / (got ${JSON.stringify(rule.pattern)})`);
+  }
+
+  if (rule.host !== undefined && (typeof rule.host !== 'string' || !rule.host)) {
+    errors.push(`${label}: host must be a non-empty string`);
+  }
+
+  if (rule.methods !== undefined &&
+      (!Array.isArray(rule.methods) || rule.methods.some(method => typeof method !== 'string'))) {
+    errors.push(`${label}: methods must be an array of HTTP method names`);
+  }
+
+  if (rule.allowedOrigins !== undefined &&
+      (!Array.isArray(rule.allowedOrigins) ||
+       rule.allowedOrigins.some(pattern => typeof pattern !== 'string' || !ORIGIN_PATTERN.test(pattern)))) {
+    errors.push(`${label}: allowedOrigins must be an array of hosts such as https://*.example.com`);
+  }
+
+  return {
+    action: rule.action,
+    host: rule.host ? rule.host.toLowerCase() : null,
+    methods: Array.isArray(rule.methods) ? rule.methods.map(method => String(method).toUpperCase()) : null,
+    allowedOrigins: Array.isArray(rule.allowedOrigins) ? rule.allowedOrigins.map(pattern => String(pattern).toLowerCase()) : null,
+    matchPath,
+    upstream: compileUpstream(rule, label, errors)
+  };
+}
+
+// Validate and compile a route configuration, throws RouteConfigError listing every problem
+export function compileRoutes(config) {
+  let rules = config;
+  if (typeof rules === 'string') {
+    try {
+      rules = JSON.parse(rules);
+    } catch (error) {
+      throw new RouteConfigError([`ROUTES is not valid JSON: ${error.message}`]);
+    }
+  }
+
+  if (!Array.isArray(rules)) {
+    throw new RouteConfigError(['ROUTES must be an array of rules']);
+  }
+
+  const errors = [];
+  const routes = rules.map((rule, index) => compileRule(rule, index, errors));
+
+  if (errors.length > 0) {
+    throw new RouteConfigError(errors);
+  }
+
+  return routes;
+}
+
+// Get the compiled routes for an environment
+export function getRoutes(env) {
+  const config = env.ROUTES !== undefined ? env.ROUTES : legacyRouteConfig(env);
+  const source = typeof config === 'string' ? config : JSON.stringify(config);
+
+  if (source !== cachedSource) {
+    cachedRoutes = compileRoutes(config);
+    cachedSource = source;
+  }
+
+  return cachedRoutes;
+}
+
+// Check whether a hostname matches a rule's host
+function matchesHost(hostname, host) {
+  if (host.startsWith('*.')) {
+    return hostname.endsWith(host.slice(1));
+  }
+  return hostname === host;
+}
+
+// Find the first route that matches a request, or null
+export function matchRoute(routes, method, url) {
+  const hostname = url.hostname.toLowerCase();
+
+  return routes.find(route =>
+    (!route.host || matchesHost(hostname, route.host)) &&
+    (!route.methods || route.methods.includes(method)) &&
+    route.matchPath(url.pathname)
+  ) || null;
+}
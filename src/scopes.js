@@ -0,0 +1,26 @@
+/**
+ * Per-key scopes
+ * A key record may carry { scopes: { paths, methods } } restricting where it can be used:
+ * - paths: prefix or glob patterns (see patterns.js), the request path must match one
+ * - methods: HTTP methods, the request method must be listed
+ * A missing or empty list leaves that dimension unrestricted.
+ */
+import { matchesPathPattern } from './patterns';
+
+// Check a request against a key's scopes
+// Returns null when allowed, otherwise { scope, value } naming the scope that was missing
+export function getScopeViolation(record, method, path) {
+  const scopes = record.scopes || {};
+
+  if (Array.isArray(scopes.methods) && scopes.methods.length > 0 &&
+      !scopes.methods.includes(method.toUpperCase())) {
+    return { scope: 'method', value: method.toUpperCase() };
+  }
+
+  if (Array.isArray(scopes.paths) && scopes.paths.length > 0 &&
+      !scopes.paths.some(pattern => matchesPathPattern(path, pattern))) {
+    return { scope: 'path', value: path };
+  }
+
+  return null;
+}
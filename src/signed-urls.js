@@ -0,0 +1,203 @@
+/**
+ * Signed, expiring URLs
+ *
+ * A signed URL lets a page embed a protected asset without exposing an API key.
+ * It carries these query parameters:
+ * - kid: the signing key's KV index
+ * - exp: expiry as a Unix timestamp in seconds
+ * - path: optional prefix or glob (see patterns.js) the URL is valid for; without it
+ *   the signature covers exactly the signed path
+ * - ip: optional client IP address the URL is bound to
+ * - sig: HMAC-SHA256 over the fields above and the URL's host, with a key derived
+ *   from ENCRYPTION_KEY, so a URL can't be replayed against another hostname
+ * A valid signature stands in for the key itself, so the key's status, scopes,
+ * rate limit and quota still apply, and revoking the key invalidates its URLs.
+ *
+ * Keys get signed URLs from POST /_sign-url (authenticated with the key), or
+ * offline from `api-key-tools sign-url`.
+ */
+import { computeUrlSignature, timingSafeEqual, KEY_INDEX_PREFIX } from './crypto';
+import { encryptionKeys, findKeyByIndex } from './keys';
+import { matchesPathPattern } from './patterns';
+import { getScopeViolation } from './scopes';
+import { problemResponse } from './errors';
+
+export const SIGN_URL_PATH = '/_sign-url';
+
+// Query parameters that make up a signature, removed before forwarding
+export const SIGNED_URL_PARAMS = ['kid', 'exp', 'path', 'ip', 'sig'];
+
+// Lifetime of URLs from the sign endpoint when the request doesn't ask for one, in seconds
+const DEFAULT_SIGNED_URL_TTL = 3600;
+
+// Longest lifetime the sign endpoint hands out unless SIGNED_URL_MAX_TTL says otherwise
+const DEFAULT_SIGNED_URL_MAX_TTL = 86400;
+
+// Build the string a signature covers
+// Exact paths and patterns are tagged so one can't be passed off as the other
+export function signedUrlMessage({ kid, exp, host, path, exactPath, ip }) {
+  const scope = path ? `path:${path}` : `exact:${exactPath}`;
+  return ['v2', kid, exp, host.toLowerCase(), scope, ip || ''].join('\n');
+}
+
+// Check whether a URL carries a signature
+export function isSignedUrl(url) {
+  return url.searchParams.has('sig');
+}
+
+// Check the signature of a signed URL
+// Returns { storedKey } for a valid signature, otherwise { error, detail } with the problem code
+export async function verifySignedUrl(request, url, env) {
+  const params = url.searchParams;
+  const fields = {
+    kid: params.get('kid') || '',
+    exp: params.get('exp') || '',
+    host: url.host,
+    path: params.get('path'),
+    exactPath: url.pathname,
+    ip: params.get('ip')
+  };
+
+  if (!/^[0-9a-f]{64}$/.test(fields.kid) || !/^\d+$/.test(fields.exp)) {
+    return { error: 'invalid_signature', detail: 'Signed URLs need kid, exp and sig parameters' };
+  }
+
+  const message = signedUrlMessage(fields);
+  let valid = false;
+  for (const encryptionKey of encryptionKeys(env)) {
+    if (timingSafeEqual(await computeUrlSignature(message, encryptionKey), params.get('sig'))) {
+      valid = true;
+    }
+  }
+
+  if (!valid) {
+    return { error: 'invalid_signature' };
+  }
+
+  if (Number(fields.exp) * 1000 <= Date.now()) {
+    return { error: 'signature_expired', detail: `The URL expired at ${new Date(Number(fields.exp) * 1000).toISOString()}` };
+  }
+
+  if (fields.path && !matchesPathPattern(url.pathname, fields.path)) {
+    return { error: 'invalid_signature', detail: 'The signature does not cover this path' };
+  }
+
+  if (fields.ip && request.headers.get('CF-Connecting-IP') !== fields.ip) {
+    return { error: 'invalid_signature', detail: 'The URL is bound to another IP address' };
+  }
+
+  const storedKey = await findKeyByIndex(fields.kid, env);
+  if (!storedKey) {
+    return { error: 'invalid_signature', detail: 'The key that signed this URL no longer exists' };
+  }
+
+  return { storedKey };
+}
+
+// Build a copy of a request without the signature parameters
+export function stripSignature(request) {
+  const url = new URL(request.url);
+  SIGNED_URL_PARAMS.forEach(param => url.searchParams.delete(param));
+  return new Request(url, request);
+}
+
+// Sign a URL for a key
+// options: expiresAt (Unix seconds), path (optional pattern) and ip (optional address)
+export async function signUrl(target, storedKey, options, encryptionKey) {
+  const url = new URL(target);
+  SIGNED_URL_PARAMS.forEach(param => url.searchParams.delete(param));
+
+  const fields = {
+    kid: storedKey.name.slice(KEY_INDEX_PREFIX.length),
+    exp: String(options.expiresAt),
+    host: url.host,
+    path: options.path || null,
+    exactPath: url.pathname,
+    ip: options.ip || null
+  };
+
+  url.searchParams.set('kid', fields.kid);
+  url.searchParams.set('exp', fields.exp);
+  if (fields.path) {
+    url.searchParams.set('path', fields.path);
+  }
+  if (fields.ip) {
+    url.searchParams.set('ip', fields.ip);
+  }
+  url.searchParams.set('sig', await computeUrlSignature(signedUrlMessage(fields), encryptionKey));
+
+  return url.toString();
+}
+
+// Longest lifetime the sign endpoint hands out, in seconds
+function maxSignedUrlTtl(env) {
+  const value = Number(env.SIGNED_URL_MAX_TTL);
+  return value > 0 ? value : DEFAULT_SIGNED_URL_MAX_TTL;
+}
+
+// Handle POST /_sign-url for an authenticated key
+// Body: { "url": "/media/a.mp4", "expiresIn": 600, "path": "/media/videos/**", "ip": true }
+// ip may be an address or true for the caller's own address, which must then be known
+export async function handleSignUrlRequest(request, env, storedKey, requestId) {
+  if (request.method !== 'POST') {
+    return problemResponse('method_not_allowed', { requestId, headers: { 'Allow': 'POST' } });
+  }
+
+  if (storedKey.legacy) {
+    return problemResponse('invalid_request', { requestId, detail: 'Keys in the legacy layout must be migrated before they can sign URLs' });
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    body = null;
+  }
+  if (!body || typeof body !== 'object' || typeof body.url !== 'string') {
+    return problemResponse('invalid_request', { requestId, detail: 'Send a JSON object with the url to sign' });
+  }
+
+  let target;
+  try {
+    target = new URL(body.url, request.url);
+  } catch {
+    return problemResponse('invalid_request', { requestId, detail: 'url must be a URL or an absolute path' });
+  }
+
+  const expiresIn = body.expiresIn === undefined ? DEFAULT_SIGNED_URL_TTL : body.expiresIn;
+  const maxTtl = maxSignedUrlTtl(env);
+  if (!Number.isInteger(expiresIn) || expiresIn <= 0 || expiresIn > maxTtl) {
+    return problemResponse('invalid_request', { requestId, detail: `expiresIn must be a whole number of seconds up to ${maxTtl}` });
+  }
+
+  if (body.path !== undefined && (typeof body.path !== 'string' || !body.path.startsWith('/') ||
+      !matchesPathPattern(target.pathname, body.path))) {
+    return problemResponse('invalid_request', { requestId, detail: 'path must be a pattern starting with / that covers the url' });
+  }
+
+  if (body.ip !== undefined && body.ip !== true && typeof body.ip !== 'string') {
+    return problemResponse('invalid_request', { requestId, detail: 'ip must be an address or true for your own address' });
+  }
+  const ip = body.ip === true ? request.headers.get('CF-Connecting-IP') : body.ip;
+  if (body.ip !== undefined && !ip) {
+    return problemResponse('invalid_request', { requestId, detail: 'Your IP address is unknown, so the URL can\'t be bound to it' });
+  }
+
+  // Refuse to sign what the key couldn't fetch itself
+  const scopeViolation = getScopeViolation(storedKey.record, 'GET', target.pathname);
+  if (scopeViolation) {
+    return problemResponse('scope_violation', {
+      requestId,
+      detail: `API key scope does not include ${scopeViolation.scope} ${scopeViolation.value}`,
+      scope: scopeViolation.scope
+    });
+  }
+
+  const expiresAt = Math.floor(Date.now() / 1000) + expiresIn;
+  const url = await signUrl(target, storedKey, { expiresAt, path: body.path, ip }, env.ENCRYPTION_KEY);
+
+  return new Response(JSON.stringify({ url, expiresAt: new Date(expiresAt * 1000).toISOString() }), {
+    status: 201,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
@@ -0,0 +1,173 @@
+/**
+ * Upstream origin routing
+ *
+ * Requests are forwarded to their own URL unless a route rule (see routes.js) or
+ * the key they were made with names another origin:
+ *   { "pattern": "/media/", "action": "require-key",
+ *     "origin": "https://{owner}.assets.example.com/prefix", "stripPrefix": "/media",
+ *     "fallback": "https://backup.example.com/prefix", "timeout": 5000 }
+ * - origin: base URL the request goes to. The request path, minus stripPrefix, is
+ *   appended to its path and the query string is kept. {keyId}, {owner} and {label}
+ *   are filled in from the key the request was made with
+ * - fallback: origin tried when the first one fails, times out or answers with a 5xx.
+ *   Only GET, HEAD and OPTIONS requests are retried
+ * - timeout: milliseconds to wait for each origin's response
+ * - stripPrefix: path prefix removed before the path is appended
+ * A key record's "origin" (a plain URL) takes precedence over the route's.
+ */
+import { keyIdFromName } from './keys';
+
+export const ORIGIN_PLACEHOLDERS = ['keyId', 'owner', 'label'];
+
+// Methods that are safe to send to the fallback origin after the first one failed
+const RETRYABLE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Thrown when a request can't be forwarded, code is the problem to answer with
+export class UpstreamError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.code = code;
+  }
+}
+
+// Validate the origin options of a route rule, collecting problems into errors
+// Returns the compiled options, or null when the rule sets none
+export function compileUpstream(rule, label, errors) {
+  if (rule.origin === undefined && rule.fallback === undefined &&
+      rule.timeout === undefined && rule.stripPrefix === undefined) {
+    return null;
+  }
+
+  for (const field of ['origin', 'fallback']) {
+    if (rule[field] !== undefined && !isOriginTemplate(rule[field])) {
+      errors.push(`${label}: ${field} must be an http(s) URL, optionally with {${ORIGIN_PLACEHOLDERS.join('}, {')}}`);
+    }
+  }
+
+  if (rule.timeout !== undefined && (!Number.isInteger(rule.timeout) || rule.timeout <= 0)) {
+    errors.push(`${label}: timeout must be a positive number of milliseconds`);
+  }
+
+  if (rule.stripPrefix !== undefined && (typeof rule.stripPrefix !== 'string' || !rule.stripPrefix.startsWith('/'))) {
+    errors.push(`${label}: stripPrefix must be a string starting with /`);
+  }
+
+  return {
+    origin: rule.origin || null,
+    fallback: rule.fallback || null,
+    timeout: rule.timeout || null,
+    stripPrefix: rule.stripPrefix || null
+  };
+}
+
+// Check whether a value is an http(s) URL once its placeholders are filled in
+function isOriginTemplate(value) {
+  if (typeof value !== 'string') {
+    return false;
+  }
+
+  const unknown = [...value.matchAll(/\{([^}]*)\}/g)].some(([, name]) => !ORIGIN_PLACEHOLDERS.includes(name));
+  if (unknown) {
+    return false;
+  }
+
+  return isOriginUrl(value.replace(/\{[^}]*\}/g, 'x'));
+}
+
+// Check whether a value is an http(s) URL without a query or fragment
+export function isOriginUrl(value) {
+  try {
+    const url = new URL(value);
+    return (url.protocol === 'https:' || url.protocol === 'http:') && !url.search && !url.hash;
+  } catch {
+    return false;
+  }
+}
+
+// Fill in an origin's placeholders from the key a request was made with
+function resolveOrigin(template, storedKey) {
+  const origin = template.replace(/\{([^}]*)\}/g, (placeholder, name) => {
+    const value = !storedKey ? null : name === 'keyId' ? keyIdFromName(storedKey.name) : storedKey.record[name];
+    if (!value) {
+      throw new UpstreamError('origin_unresolved', `The origin needs the key's ${name}, which this request doesn't have`);
+    }
+    return encodeURIComponent(String(value));
+  });
+
+  if (!isOriginUrl(origin)) {
+    throw new UpstreamError('origin_unresolved', 'The key\'s metadata does not make a valid origin URL');
+  }
+  return origin;
+}
+
+// Build the URL of a request at another origin
+function originUrl(origin, requestUrl, stripPrefix) {
+  const url = new URL(origin);
+  let path = requestUrl.pathname;
+  const prefix = stripPrefix ? stripPrefix.replace(/\/$/, '') : '';
+  if (prefix && (path === prefix || path.startsWith(`${prefix}/`))) {
+    path = path.slice(prefix.length);
+  }
+  if (!path.startsWith('/')) {
+    path = `/${path}`;
+  }
+  url.pathname = url.pathname.replace(/\/$/, '') + path;
+  url.search = requestUrl.search;
+  return url.toString();
+}
+
+// Work out where a request is sent: the URLs to try in order, and how long to wait for each
+// Throws UpstreamError when the origin can't be filled in from the key
+export function resolveUpstream(request, route, storedKey) {
+  const options = (route && route.upstream) || {};
+  const origin = (storedKey && storedKey.record.origin) || options.origin;
+  const requestUrl = new URL(request.url);
+
+  const urls = [origin ? originUrl(resolveOrigin(origin, storedKey), requestUrl, options.stripPrefix) : request.url];
+  if (options.fallback && RETRYABLE_METHODS.includes(request.method)) {
+    urls.push(originUrl(resolveOrigin(options.fallback, storedKey), requestUrl, options.stripPrefix));
+  }
+
+  return { urls, timeout: options.timeout || null };
+}
+
+// Fetch one origin, giving up after timeout milliseconds
+async function fetchOrigin(request, timeout) {
+  try {
+    return await fetch(request, timeout ? { signal: AbortSignal.timeout(timeout) } : undefined);
+  } catch (error) {
+    if (error && error.name === 'TimeoutError') {
+      throw new UpstreamError('upstream_timeout', `The origin did not respond within ${timeout} ms`);
+    }
+    throw new UpstreamError('upstream_unavailable', `The origin could not be reached: ${error.message}`);
+  }
+}
+
+// Send a request to its origins in turn until one answers without a server error
+// buildRequest(url) makes the request for each URL. When every origin fails the
+// last server error response is returned, or the last UpstreamError thrown
+export async function fetchUpstream(upstream, buildRequest) {
+  let response = null;
+  let failure = null;
+
+  for (const url of upstream.urls) {
+    try {
+      response = await fetchOrigin(await buildRequest(url), upstream.timeout);
+      if (response.status < 500) {
+        return response;
+      }
+    } catch (error) {
+      if (!(error instanceof UpstreamError)) {
+        throw error;
+      }
+      console.error(`${url}: ${error.message}`);
+      failure = error;
+    }
+  }
+
+  if (response) {
+    return response;
+  }
+  throw failure;
+}
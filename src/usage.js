@@ -0,0 +1,101 @@
+/**
+ * Monthly usage counting and quotas
+ *
+ * Every request let through with a key is counted per calendar month (UTC) in a
+ * UsageCounter Durable Object addressed by the key's counter name (see keys.js).
+ * A key record may set a hard quota with { "monthlyQuota": 100000 }; once the
+ * count reaches it, requests are rejected until the next month starts.
+ *
+ * Counts are copied to KV as "usage:<YYYY-MM>:<key name>" entries (count in the
+ * value and the list metadata) at most once a minute, which is what
+ * `api-key-tools usage` reads. Every period counted since the last copy is copied,
+ * so a month's final count still reaches KV when the copy runs in the next month.
+ */
+import { DurableObject } from 'cloudflare:workers';
+import { counterName } from './keys';
+
+export const USAGE_PREFIX = 'usage:';
+
+// How long counts are buffered in the Durable Object before being copied to KV
+const USAGE_FLUSH_DELAY_MS = 60 * 1000;
+
+// Calendar period a timestamp falls in, e.g. "2025-03"
+export function usagePeriod(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 7);
+}
+
+// Seconds from a timestamp until the next period starts
+export function secondsUntilNextPeriod(now = Date.now()) {
+  const date = new Date(now);
+  const next = Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+  return Math.ceil((next - now) / 1000);
+}
+
+// Count a request against the key's usage, enforcing its monthly quota
+// Returns null when usage counting isn't configured, otherwise the counter state
+export async function recordUsage(storedKey, env) {
+  if (!env.USAGE_COUNTER) {
+    return null;
+  }
+
+  const { owner = null, label = null, monthlyQuota = null } = storedKey.record;
+  const stub = env.USAGE_COUNTER.get(env.USAGE_COUNTER.idFromName(counterName(storedKey)));
+  return stub.increment({ name: storedKey.name, owner, label, quota: monthlyQuota });
+}
+
+// Durable Object counting one key's requests per period
+export class UsageCounter extends DurableObject {
+  // Count a request unless the quota for the current period is used up
+  async increment(key, now = Date.now()) {
+    const period = usagePeriod(now);
+    const count = (await this.ctx.storage.get(`count:${period}`)) || 0;
+
+    if (key.quota && count >= key.quota) {
+      return { allowed: false, period, count, quota: key.quota, retryAfter: secondsUntilNextPeriod(now) };
+    }
+
+    await this.ctx.storage.put({ [`count:${period}`]: count + 1, [`dirty:${period}`]: true, key });
+
+    if (!(await this.ctx.storage.getAlarm())) {
+      await this.ctx.storage.setAlarm(now + USAGE_FLUSH_DELAY_MS);
+    }
+
+    return { allowed: true, period, count: count + 1, quota: key.quota || null };
+  }
+
+  // Copy the count of every period counted since the last copy to KV
+  async alarm() {
+    const key = await this.ctx.storage.get('key');
+    const dirty = [...(await this.ctx.storage.list({ prefix: 'dirty:' })).keys()];
+    if (!key || dirty.length === 0) {
+      return;
+    }
+
+    // Clear the flags first so increments made while copying schedule another copy
+    await this.ctx.storage.delete(dirty);
+
+    try {
+      for (const flag of dirty) {
+        const period = flag.slice('dirty:'.length);
+        const count = (await this.ctx.storage.get(`count:${period}`)) || 0;
+        const snapshot = {
+          name: key.name,
+          owner: key.owner,
+          label: key.label,
+          period,
+          count,
+          quota: key.quota,
+          updatedAt: new Date().toISOString()
+        };
+
+        await this.env.API_KEYS.put(`${USAGE_PREFIX}${period}:${key.name}`, JSON.stringify(snapshot), {
+          metadata: { count, quota: key.quota, owner: key.owner, label: key.label }
+        });
+      }
+    } catch (error) {
+      // Keep the periods for the retried alarm
+      await this.ctx.storage.put(Object.fromEntries(dirty.map(flag => [flag, true])));
+      throw error;
+    }
+  }
+}
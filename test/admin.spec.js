@@ -0,0 +1,154 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import worker from '../src';
+
+const ENCRYPTION_KEY = '0123456789abcdef'.repeat(4);
+const ADMIN_SECRET = 'test-admin-secret';
+
+// Send a request through the real worker with admin credentials
+async function send(method, path, { body, headers = {}, secret = ADMIN_SECRET, testEnv = {} } = {}) {
+  const request = new Request(`http://example.com${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${secret}`, ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const ctx = createExecutionContext();
+  const response = await worker.fetch(request, { ...env, ENCRYPTION_KEY, ADMIN_SECRET, AUDIT_SINKS: [], ...testEnv }, ctx);
+  await waitOnExecutionContext(ctx);
+  return response;
+}
+
+describe('Admin API', () => {
+  beforeEach(() => {
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async () => new Response('Success', { status: 200 }));
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('is switched off without ADMIN_SECRET', async () => {
+    const response = await send('GET', '/_admin/keys', { testEnv: { ADMIN_SECRET: undefined } });
+    expect(response.status).toBe(404);
+    expect((await response.json()).code).toBe('not_found');
+  });
+
+  it('rejects requests with the wrong secret', async () => {
+    const response = await send('GET', '/_admin/keys', { secret: 'wrong' });
+    expect(response.status).toBe(401);
+    expect(response.headers.get('Content-Type')).toBe('application/problem+json');
+    expect(response.headers.get('WWW-Authenticate')).toBe('Bearer realm="admin", error="invalid_token"');
+    expect((await response.json()).code).toBe('invalid_admin_credentials');
+  });
+
+  it('creates a key that the worker then accepts', async () => {
+    const created = await send('POST', '/_admin/keys', { body: { owner: 'acme', label: 'CDN', prefix: 'acme-' } });
+    expect(created.status).toBe(201);
+
+    const body = await created.json();
+    expect(body.key.startsWith('acme-')).toBe(true);
+    expect(body).toMatchObject({ owner: 'acme', label: 'CDN', status: 'active' });
+    expect(body.encryptedKey).toBeUndefined();
+
+    const proxied = await send('GET', '/media/a.png', { headers: { 'x-api-key': body.key } });
+    expect(proxied.status).toBe(200);
+  });
+
+  it('lists and inspects keys without returning key material', async () => {
+    const { id } = await (await send('POST', '/_admin/keys', { body: { owner: 'acme' } })).json();
+
+    const list = await (await send('GET', '/_admin/keys')).json();
+    expect(list.keys.map(key => key.id)).toContain(id);
+
+    const inspected = await send('GET', `/_admin/keys/${id}`);
+    const record = await inspected.json();
+    expect(record).toMatchObject({ id, owner: 'acme' });
+    expect(record.key).toBeUndefined();
+    expect(record.encryptedKey).toBeUndefined();
+  });
+
+  it('lists keys a page at a time', async () => {
+    const created = [];
+    for (let i = 0; i < 3; i++) {
+      created.push((await (await send('POST', '/_admin/keys', { body: { label: `paged-${i}` } })).json()).id);
+    }
+
+    const listed = [];
+    let cursor = null;
+    let pages = 0;
+    do {
+      const query = cursor ? `?limit=2&cursor=${encodeURIComponent(cursor)}` : '?limit=2';
+      const page = await (await send('GET', `/_admin/keys${query}`)).json();
+      expect(page.keys.length).toBeLessThanOrEqual(2);
+      listed.push(...page.keys.map(key => key.id));
+      cursor = page.cursor;
+      pages++;
+    } while (cursor);
+
+    expect(pages).toBeGreaterThan(1);
+    expect(listed.sort()).toEqual(created.sort());
+
+    const badLimit = await send('GET', '/_admin/keys?limit=5000');
+    expect(badLimit.status).toBe(400);
+    expect((await badLimit.json()).code).toBe('invalid_request');
+  });
+
+  it('accepts key metadata in the same forms as the CLI', async () => {
+    const response = await send('POST', '/_admin/keys', {
+      body: { scopes: { methods: 'get,head' }, network: { countries: 'gb, de' }, rateLimit: '100/minute', monthlyQuota: '5000' }
+    });
+
+    expect(response.status).toBe(201);
+    expect(await response.json()).toMatchObject({
+      scopes: { methods: ['GET', 'HEAD'] },
+      network: { countries: ['GB', 'DE'] },
+      rateLimit: { requests: 100, per: 'minute' },
+      monthlyQuota: 5000
+    });
+  });
+
+  it('disables, re-enables and deletes keys', async () => {
+    const { id, key } = await (await send('POST', '/_admin/keys', { body: {} })).json();
+
+    expect((await (await send('POST', `/_admin/keys/${id}/disable`)).json()).status).toBe('disabled');
+    expect((await send('GET', '/media/a.png', { headers: { 'x-api-key': key } })).status).toBe(401);
+
+    expect((await (await send('POST', `/_admin/keys/${id}/enable`)).json()).status).toBe('active');
+    expect((await send('GET', '/media/a.png', { headers: { 'x-api-key': key } })).status).toBe(200);
+
+    expect((await send('DELETE', `/_admin/keys/${id}`)).status).toBe(200);
+    expect((await send('GET', `/_admin/keys/${id}`)).status).toBe(404);
+  });
+
+  it('does not re-enable revoked keys', async () => {
+    const { id } = await (await send('POST', '/_admin/keys', { body: { status: 'active' } })).json();
+    const name = (await env.API_KEYS.list({ prefix: `key:${id}` })).keys[0].name;
+    const record = JSON.parse(await env.API_KEYS.get(name));
+    await env.API_KEYS.put(name, JSON.stringify({ ...record, status: 'revoked' }));
+
+    const response = await send('POST', `/_admin/keys/${id}/enable`);
+    expect(response.status).toBe(409);
+    expect((await response.json()).code).toBe('key_state_conflict');
+  });
+
+  it('rejects invalid key metadata', async () => {
+    const response = await send('POST', '/_admin/keys', { body: { status: 'paused' } });
+
+    expect(response.status).toBe(400);
+    const problem = await response.json();
+    expect(problem.code).toBe('invalid_request');
+    expect(problem.detail).toMatch(/invalid status "paused"/);
+
+    const badOrigin = await send('POST', '/_admin/keys', { body: { origin: 'ftp://files.example.com' } });
+    expect(badOrigin.status).toBe(400);
+    expect((await badOrigin.json()).detail).toMatch(/invalid origin/);
+
+    const badNetwork = await send('POST', '/_admin/keys', { body: { network: { ips: ['10.0.0.0/33'] } } });
+    expect(badNetwork.status).toBe(400);
+    expect((await badNetwork.json()).detail).toMatch(/invalid IP range/);
+
+    const badOrigins = await send('POST', '/_admin/keys', { body: { allowedOrigins: ['https://example.com/path'] } });
+    expect(badOrigins.status).toBe(400);
+    expect((await badOrigins.json()).detail).toMatch(/invalid allowed origin/);
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import {
+  compileCredentialSources,
+  credentialChallenges,
+  findCredential,
+  stripCredentials,
+  CredentialConfigError
+} from '../src/credentials';
+
+// Find the API key sent with a request
+function keyFor(sources, url, headers = {}) {
+  const request = new Request(url, { headers });
+  const credential = findCredential(sources, request, new URL(url));
+  return credential ? credential.apiKey : null;
+}
+
+describe('Credential sources', () => {
+  const sources = compileCredentialSources([
+    { type: 'header', name: 'X-API-Key' },
+    { type: 'authorization', scheme: 'Bearer' },
+    { type: 'query', name: 'api_key' },
+    { type: 'cookie', name: 'api_key' }
+  ]);
+
+  it('reads each kind of source', () => {
+    expect(keyFor(sources, 'http://example.com/a', { 'x-api-key': 'from-header' })).toBe('from-header');
+    expect(keyFor(sources, 'http://example.com/a', { Authorization: 'bearer from-bearer' })).toBe('from-bearer');
+    expect(keyFor(sources, 'http://example.com/a?api_key=from-query')).toBe('from-query');
+    expect(keyFor(sources, 'http://example.com/a', { Cookie: 'theme=dark; api_key=from-cookie' })).toBe('from-cookie');
+  });
+
+  it('uses the first source that carries a key', () => {
+    const headers = { Authorization: 'Bearer from-bearer', Cookie: 'api_key=from-cookie' };
+    expect(keyFor(sources, 'http://example.com/a?api_key=from-query', headers)).toBe('from-bearer');
+  });
+
+  it('ignores other Authorization schemes', () => {
+    expect(keyFor(sources, 'http://example.com/a', { Authorization: 'Basic dXNlcjpwYXNz' })).toBeNull();
+  });
+
+  it('strips every configured source and nothing else', () => {
+    const request = new Request('http://example.com/a?api_key=k&size=large', {
+      headers: { 'x-api-key': 'k', Authorization: 'Bearer k', Cookie: 'theme=dark; api_key=k', Accept: 'image/png' }
+    });
+    const stripped = stripCredentials(sources, request);
+
+    expect(stripped.url).toBe('http://example.com/a?size=large');
+    expect(stripped.headers.get('x-api-key')).toBeNull();
+    expect(stripped.headers.get('Authorization')).toBeNull();
+    expect(stripped.headers.get('Cookie')).toBe('theme=dark');
+    expect(stripped.headers.get('Accept')).toBe('image/png');
+  });
+
+  it('keeps an Authorization header meant for the origin', () => {
+    const request = new Request('http://example.com/a', { headers: { Authorization: 'Basic dXNlcjpwYXNz' } });
+    expect(stripCredentials(sources, request).headers.get('Authorization')).toBe('Basic dXNlcjpwYXNz');
+  });
+
+  it('advertises the sources in WWW-Authenticate challenges', () => {
+    expect(credentialChallenges(sources)).toEqual([
+      'Bearer realm="api"',
+      'ApiKey realm="api", header="x-api-key", query="api_key", cookie="api_key"'
+    ]);
+  });
+
+  it('reports every malformed source', () => {
+    let error;
+    try {
+      compileCredentialSources([{ type: 'form', name: 'key' }, { type: 'authorization' }, { type: 'query' }]);
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).toBeInstanceOf(CredentialConfigError);
+    expect(error.errors).toHaveLength(3);
+    expect(error.errors[0]).toMatch(/^CREDENTIAL_SOURCES\[0\]: type must be one of/);
+    expect(error.errors[1]).toMatch(/^CREDENTIAL_SOURCES\[1\]: scheme must be/);
+    expect(error.errors[2]).toMatch(/^CREDENTIAL_SOURCES\[2\]: name must be/);
+  });
+});
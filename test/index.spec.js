@@ -41,6 +41,7 @@ describe('API Key Validator Worker', () => {
     testEnv = {
       ...env,
       ENCRYPTION_KEY: 'test-encryption-key',
+      AUDIT_SINKS: [],
       API_KEYS: {
         list: vi.fn().mockResolvedValue({
           keys: [
@@ -74,9 +75,9 @@ describe('API Key Validator Worker', () => {
         const apiKey = request.headers.get('x-api-key');
         
         if (!apiKey) {
-          return new Response('Unauthorized: Missing API key', {
-            status: 403,
-            headers: { 'Content-Type': 'application/json' }
+          return new Response(JSON.stringify({ status: 401, code: 'missing_api_key' }), {
+            status: 401,
+            headers: { 'Content-Type': 'application/problem+json' }
           });
         }
         
@@ -98,8 +99,9 @@ describe('API Key Validator Worker', () => {
         }
         
         if (!isValid) {
-          return new Response('Unauthorized: Invalid API key', {
-            status: 403
+          return new Response(JSON.stringify({ status: 401, code: 'invalid_api_key' }), {
+            status: 401,
+            headers: { 'Content-Type': 'application/problem+json' }
           });
         }
       }
@@ -139,7 +141,7 @@ describe('API Key Validator Worker', () => {
     const response = await worker.fetch(request, testEnv, ctx);
     await waitOnExecutionContext(ctx);
     
-    expect(response.status).toBe(403);
+    expect(response.status).toBe(401);
   });
 
   it('allows access to restricted media paths with valid API key', async () => {
@@ -167,7 +169,7 @@ describe('API Key Validator Worker', () => {
     const response = await worker.fetch(request, testEnv, ctx);
     await waitOnExecutionContext(ctx);
     
-    expect(response.status).toBe(403);
+    expect(response.status).toBe(401);
   });
 
   it('returns server error when encryption key is missing', async () => {
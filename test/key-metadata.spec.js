@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import * as worker from '../src/key-metadata';
+import { parseCidr } from '../src/network';
+import { matchesPathPattern } from '../src/patterns';
+import cli from '../utils/key-metadata';
+
+// Run one side's normalizeKeyMetadata, capturing the error message it throws
+function normalize(side, fields) {
+  try {
+    return { metadata: side.normalizeKeyMetadata(fields) };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+// Metadata the CLI and the admin API must treat alike, valid and invalid
+const CASES = [
+  {},
+  { owner: 'partner-a', label: 'web', status: 'disabled', expiresAt: '2030-01-01' },
+  { scopes: { paths: '/media/, /docs/**', methods: 'get,head' } },
+  { network: { ips: ['203.0.113.0/24', '2001:db8::/32', '::ffff:198.51.100.7'], countries: 'gb, de', blockedCountries: ['ru'] } },
+  { allowedOrigins: 'https://*.Example.com, example.org:8443' },
+  { rateLimit: '100/minute' },
+  { rateLimit: { requests: 10, per: 'second', burst: 50 } },
+  { monthlyQuota: '5000', origin: 'https://media.partner-a.example/base' },
+  { status: 'revoked' },
+  { owner: 42 },
+  { expiresAt: 'next week' },
+  { scopes: { paths: 'media/' } },
+  { scopes: { methods: ['GET', 'TRACE'] } },
+  { network: { ips: ['203.0.113.0/33'] } },
+  { network: { ips: ['2001:db8::1::2'] } },
+  { network: { countries: ['GBR'] } },
+  { allowedOrigins: ['https://example.com/path'] },
+  { rateLimit: '100/day' },
+  { rateLimit: { requests: 0, per: 'minute' } },
+  { rateLimit: { requests: 10, per: 'minute', burst: -1 } },
+  { monthlyQuota: 1.5 },
+  { origin: 'ftp://example.com' },
+  { origin: 'https://example.com/?a=1' }
+];
+
+describe('Key metadata rules', () => {
+  it('share their constants between the Worker and the CLI', () => {
+    for (const name of ['KEY_STATUSES', 'HTTP_METHODS', 'RATE_PERIODS']) {
+      expect(worker[name]).toEqual(cli[name]);
+    }
+    for (const name of ['COUNTRY_CODE_PATTERN', 'ORIGIN_PATTERN']) {
+      expect(worker[name].source).toBe(cli[name].source);
+      expect(worker[name].flags).toBe(cli[name].flags);
+    }
+  });
+
+  it('parse IP ranges the same way in the Worker and the CLI', () => {
+    const ranges = ['203.0.113.7', '203.0.113.0/24', '0.0.0.0/0', '2001:db8::/32', '::', '::ffff:198.51.100.7/128',
+      '64:ff9b::192.0.2.33', '256.0.0.1', '203.0.113.0/33', '203.0.113.0/', '2001:db8::1::2', '1:2:3:4:5:6:7:8:9', 'example.com'];
+    for (const range of ranges) {
+      expect(parseCidr(range)).toEqual(cli.parseCidr(range));
+    }
+  });
+
+  it('match path patterns the same way in the Worker and the CLI', () => {
+    const patterns = ['/media/', '/media/**', '/media/*.mp4', '/media/?.png', '/media/a(1).mp4', '/media/v+w/**'];
+    const paths = ['/media/a.png', '/media/videos/a.mp4', '/media/a.mp4', '/media/a(1).mp4', '/media/v+w/x', '/docs/'];
+    for (const pattern of patterns) {
+      for (const path of paths) {
+        expect(cli.matchesPathPattern(path, pattern)).toBe(matchesPathPattern(path, pattern));
+      }
+    }
+  });
+
+  it.each(CASES)('normalize %j the same way in the Worker and the CLI', fields => {
+    expect(normalize(worker, fields)).toEqual(normalize(cli, fields));
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import { compileRoutes, getRoutes, matchRoute, RouteConfigError } from '../src/routes';
+
+// Find the action of the route matching a request
+function actionFor(routes, url, method = 'GET') {
+  const route = matchRoute(routes, method, new URL(url));
+  return route ? route.action : null;
+}
+
+describe('Route rules', () => {
+  const routes = compileRoutes([
+    { pattern: '/media/icons/', action: 'public' },
+    { pattern: '/media/private/**', action: 'deny' },
+    { regex: '^/media/.+\\.mp4$', methods: ['GET', 'HEAD'], action: 'require-key' },
+    { pattern: '/media/', host: '*.example.com', action: 'require-key' },
+    { pattern: '/media/', action: 'public' }
+  ]);
+
+  it('uses the first matching rule', () => {
+    expect(actionFor(routes, 'http://cdn.example.com/media/icons/a.png')).toBe('public');
+    expect(actionFor(routes, 'http://cdn.example.com/media/private/a/b.png')).toBe('deny');
+    expect(actionFor(routes, 'http://cdn.example.com/media/a.png')).toBe('require-key');
+  });
+
+  it('applies host and method conditions', () => {
+    expect(actionFor(routes, 'http://other.test/media/a.png')).toBe('public');
+    expect(actionFor(routes, 'http://other.test/media/video.mp4')).toBe('require-key');
+    expect(actionFor(routes, 'http://other.test/media/video.mp4', 'POST')).toBe('public');
+  });
+
+  it('passes through requests that match no rule', () => {
+    expect(actionFor(routes, 'http://cdn.example.com/some/path')).toBeNull();
+  });
+
+  it('builds rules from the legacy prefix configuration', () => {
+    const legacy = getRoutes({ PROTECTED_PATH_PREFIX: '/media/', EXCLUDED_PATHS: ['/media/icons/'] });
+    expect(actionFor(legacy, 'http://example.com/media/icons/a.png')).toBe('public');
+    expect(actionFor(legacy, 'http://example.com/media/a.png')).toBe('require-key');
+  });
+
+  it('reports every malformed rule', () => {
+    let error;
+    try {
+      compileRoutes([
+        { regex: '([', action: 'public' },
+        { pattern: 'media/', action: 'require-key' },
+        { pattern: '/media/', action: 'allow' }
+      ]);
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).toBeInstanceOf(RouteConfigError);
+    expect(error.errors).toHaveLength(3);
+    expect(error.errors[0]).toMatch(/^ROUTES\[0\]: invalid regex/);
+    expect(error.errors[1]).toMatch(/^ROUTES\[1\]: pattern must be a string starting with \//);
+    expect(error.errors[2]).toMatch(/^ROUTES\[2\]: action must be one of/);
+  });
+
+  it('compiles origin options', () => {
+    const [withOrigin, withoutOrigin] = compileRoutes([
+      { pattern: '/media/', action: 'require-key', origin: 'https://{owner}.assets.example.com/prefix', timeout: 5000 },
+      { pattern: '/', action: 'public' }
+    ]);
+
+    expect(withOrigin.upstream).toEqual({
+      origin: 'https://{owner}.assets.example.com/prefix',
+      fallback: null,
+      timeout: 5000,
+      stripPrefix: null
+    });
+    expect(withoutOrigin.upstream).toBeNull();
+  });
+
+  it('rejects ROUTES that is not an array', () => {
+    expect(() => compileRoutes('{"pattern": "/media/"}')).toThrow('ROUTES must be an array of rules');
+    expect(() => compileRoutes('not json')).toThrow(/ROUTES is not valid JSON/);
+  });
+});
@@ -0,0 +1,963 @@
+import { env, createExecutionContext, waitOnExecutionContext, runDurableObjectAlarm } from 'cloudflare:test';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import worker from '../src';
+import { computeHmac, computeKeyIndex, computeKeyVersion, encryptApiKey, decryptApiKey, KEY_INDEX_PREFIX } from '../src/crypto';
+import { usagePeriod, USAGE_PREFIX } from '../src/usage';
+
+const ENCRYPTION_KEY = '0123456789abcdef'.repeat(4);
+const VALID_KEY = 'media-api-key-12345';
+const CONSOLE_AUDIT = { AUDIT_SINKS: [{ type: 'console' }] };
+
+// Store a key record the way `api-key-tools upload` does
+async function putIndexedKey(apiKey, metadata = {}, encryptionKey = ENCRYPTION_KEY) {
+  const name = KEY_INDEX_PREFIX + await computeKeyIndex(apiKey, encryptionKey);
+  const record = {
+    encryptedKey: await encryptApiKey(apiKey, encryptionKey),
+    keyVersion: await computeKeyVersion(encryptionKey),
+    owner: null,
+    label: null,
+    createdAt: new Date().toISOString(),
+    expiresAt: null,
+    status: 'active',
+    ...metadata
+  };
+  await env.API_KEYS.put(name, JSON.stringify(record));
+  return name;
+}
+
+// Run a request through the real worker
+// Audit events are dropped unless the test sets AUDIT_SINKS
+async function sendRequest(request, testEnv = {}) {
+  const ctx = createExecutionContext();
+  const response = await worker.fetch(request, { ...env, ENCRYPTION_KEY, AUDIT_SINKS: [], ...testEnv }, ctx);
+  await waitOnExecutionContext(ctx);
+  return response;
+}
+
+// Check a response is a problem details error with the given status and code
+async function expectProblem(response, status, code) {
+  expect(response.status).toBe(status);
+  expect(response.headers.get('Content-Type')).toBe('application/problem+json');
+  const body = await response.json();
+  expect(body).toMatchObject({ status, code, type: `urn:api-key-validator:problem:${code}` });
+  return body;
+}
+
+// Run a GET request for a path through the real worker
+function send(path, headers = {}, testEnv = {}) {
+  return sendRequest(new Request(`http://example.com${path}`, { headers }), testEnv);
+}
+
+// Every request that reaches the origin goes to this fetch stub
+let upstream;
+
+beforeEach(() => {
+  upstream = vi.spyOn(globalThis, 'fetch').mockImplementation(async () => new Response('Success', { status: 200 }));
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe('Worker key lookup', () => {
+  beforeEach(async () => {
+    await putIndexedKey(VALID_KEY);
+  });
+
+  it('derives the same index as the CLI', async () => {
+    // Generated with computeKeyIndex from utils/test-utils.js
+    expect(await computeKeyIndex(VALID_KEY, ENCRYPTION_KEY))
+      .toBe('7f2769e53a6f92ad4be2fd12e44d17d74c6638b3bec2600c91694fa2999e39ea');
+  });
+
+  it('decrypts keys encrypted by the CLI', async () => {
+    // Generated with encryptApiKey from utils/test-utils.js
+    const encrypted = '601faa29cc02db3a8f9b49fc030dc3e485a6739dd961be8b1e1e90a18903b0fd2164d0a5a97a0deb39244cb70878bc4b9c4b41';
+    expect(await decryptApiKey(encrypted, ENCRYPTION_KEY)).toBe(VALID_KEY);
+  });
+
+  it('accepts an indexed key with a single KV read', async () => {
+    const list = vi.spyOn(env.API_KEYS, 'list');
+    const response = await send('/media/protected/file.jpg', { 'x-api-key': VALID_KEY });
+
+    expect(response.status).toBe(200);
+    expect(list).not.toHaveBeenCalled();
+  });
+
+  it('rejects a key that is not stored', async () => {
+    const response = await send('/media/protected/file.jpg', { 'x-api-key': 'invalid-api-key' });
+    await expectProblem(response, 401, 'invalid_api_key');
+    expect(response.headers.get('WWW-Authenticate')).toBe('Bearer realm="api", error="invalid_token", ApiKey realm="api", header="x-api-key", error="invalid_api_key"');
+  });
+
+  it('asks for credentials when no key is sent', async () => {
+    const response = await send('/media/protected/file.jpg', { 'cf-ray': '8a1b2c3d4e5f6a7b-LHR' });
+    const body = await expectProblem(response, 401, 'missing_api_key');
+
+    expect(response.headers.get('WWW-Authenticate')).toBe('Bearer realm="api", ApiKey realm="api", header="x-api-key"');
+    expect(body.requestId).toBe('8a1b2c3d4e5f6a7b-LHR');
+    expect(response.headers.get('X-Request-Id')).toBe('8a1b2c3d4e5f6a7b-LHR');
+  });
+
+  it('accepts an indexed key stored as a bare encrypted value', async () => {
+    const bareKey = 'bare-api-key';
+    const name = KEY_INDEX_PREFIX + await computeKeyIndex(bareKey, ENCRYPTION_KEY);
+    await env.API_KEYS.put(name, await encryptApiKey(bareKey, ENCRYPTION_KEY));
+
+    const response = await send('/media/protected/file.jpg', { 'x-api-key': bareKey });
+    expect(response.status).toBe(200);
+  });
+
+  it('ignores legacy entries unless LEGACY_KEY_LOOKUP is set', async () => {
+    const legacyKey = 'legacy-api-key';
+    await env.API_KEYS.put(await encryptApiKey(legacyKey, ENCRYPTION_KEY), 'true');
+
+    const rejected = await send('/media/protected/file.jpg', { 'x-api-key': legacyKey });
+    expect(rejected.status).toBe(401);
+
+    const accepted = await send('/media/protected/file.jpg', { 'x-api-key': legacyKey }, { LEGACY_KEY_LOOKUP: 'true' });
+    expect(accepted.status).toBe(200);
+  });
+});
+
+describe('Worker key metadata', () => {
+  it('rejects disabled keys', async () => {
+    await putIndexedKey('disabled-key', { status: 'disabled' });
+    const response = await send('/media/protected/file.jpg', { 'x-api-key': 'disabled-key' });
+
+    await expectProblem(response, 401, 'api_key_disabled');
+  });
+
+  it('rejects revoked keys with a specific error', async () => {
+    await putIndexedKey('revoked-key', { status: 'revoked', revokedAt: '2025-01-01T00:00:00.000Z' });
+    const response = await send('/media/protected/file.jpg', { 'x-api-key': 'revoked-key' });
+
+    await expectProblem(response, 401, 'api_key_revoked');
+  });
+
+  it('rejects expired keys', async () => {
+    await putIndexedKey('expired-key', { expiresAt: '2020-01-01T00:00:00.000Z' });
+    const response = await send('/media/protected/file.jpg', { 'x-api-key': 'expired-key' });
+
+    await expectProblem(response, 401, 'api_key_expired');
+  });
+
+  it('accepts keys that expire in the future', async () => {
+    await putIndexedKey('future-key', { owner: 'acme', expiresAt: new Date(Date.now() + 60000).toISOString() });
+    const response = await send('/media/protected/file.jpg', { 'x-api-key': 'future-key' });
+
+    expect(response.status).toBe(200);
+  });
+});
+
+describe('Worker key scopes', () => {
+  const scopes = { paths: ['/media/partner-a/', '/media/shared/*/thumbs/**'], methods: ['GET', 'HEAD'] };
+
+  beforeEach(async () => {
+    await putIndexedKey('partner-a-key', { owner: 'partner-a', scopes });
+  });
+
+  it('allows paths matching a prefix or glob scope', async () => {
+    for (const path of ['/media/partner-a/logo.png', '/media/shared/2024/thumbs/a/b.jpg']) {
+      const response = await send(path, { 'x-api-key': 'partner-a-key' });
+      expect(response.status).toBe(200);
+    }
+  });
+
+  it('rejects paths outside the key scope', async () => {
+    const response = await send('/media/partner-b/logo.png', { 'x-api-key': 'partner-a-key' });
+
+    const body = await expectProblem(response, 403, 'scope_violation');
+    expect(body.detail).toBe('API key scope does not include path /media/partner-b/logo.png');
+  });
+
+  it('rejects methods outside the key scope', async () => {
+    const response = await sendRequest(new Request('http://example.com/media/partner-a/logo.png', {
+      method: 'POST',
+      headers: { 'x-api-key': 'partner-a-key' }
+    }));
+
+    const body = await expectProblem(response, 403, 'scope_violation');
+    expect(body.detail).toBe('API key scope does not include method POST');
+  });
+});
+
+describe('Worker credential sources', () => {
+  const testEnv = {
+    CREDENTIAL_SOURCES: [
+      { type: 'header', name: 'x-api-key' },
+      { type: 'authorization', scheme: 'Bearer' },
+      { type: 'query', name: 'api_key' },
+      { type: 'cookie', name: 'api_key' }
+    ]
+  };
+
+  beforeEach(async () => {
+    await putIndexedKey(VALID_KEY);
+  });
+
+  it('accepts a Bearer token and keeps it from the origin', async () => {
+    const response = await send('/media/a.png', { Authorization: `Bearer ${VALID_KEY}` }, testEnv);
+
+    expect(response.status).toBe(200);
+    expect(upstream.mock.calls[0][0].headers.get('Authorization')).toBeNull();
+  });
+
+  it('accepts a query parameter and removes it from the forwarded URL', async () => {
+    const response = await send(`/media/a.png?api_key=${VALID_KEY}&w=200`, {}, testEnv);
+
+    expect(response.status).toBe(200);
+    expect(upstream.mock.calls[0][0].url).toBe('http://example.com/media/a.png?w=200');
+  });
+
+  it('accepts a cookie and forwards the other cookies', async () => {
+    const response = await send('/media/a.png', { Cookie: `session=abc; api_key=${VALID_KEY}` }, testEnv);
+
+    expect(response.status).toBe(200);
+    expect(upstream.mock.calls[0][0].headers.get('Cookie')).toBe('session=abc');
+  });
+
+  it('ignores sources that are not configured', async () => {
+    const response = await send(`/media/a.png?api_key=${VALID_KEY}`, {}, { CREDENTIAL_SOURCES: [{ type: 'header', name: 'x-api-key' }] });
+    await expectProblem(response, 401, 'missing_api_key');
+  });
+
+  it('returns a server error for malformed credential sources', async () => {
+    const response = await send('/media/a.png', {}, { CREDENTIAL_SOURCES: [{ type: 'form' }] });
+    const body = await expectProblem(response, 500, 'server_misconfigured');
+    expect(body.detail).toMatch(/CREDENTIAL_SOURCES\[0\]: type must be one of/);
+  });
+});
+
+describe('Worker signed URLs', () => {
+  beforeEach(async () => {
+    await putIndexedKey(VALID_KEY);
+  });
+
+  // Ask the sign endpoint for a signed URL
+  async function signUrl(body, headers = { 'x-api-key': VALID_KEY }) {
+    return sendRequest(new Request('http://example.com/_sign-url', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body)
+    }));
+  }
+
+  it('issues URLs that work without the key and hides the signature from the origin', async () => {
+    const issued = await signUrl({ url: '/media/a.png?w=200', expiresIn: 600 });
+    expect(issued.status).toBe(201);
+
+    const { url, expiresAt } = await issued.json();
+    expect(Date.parse(expiresAt)).toBeGreaterThan(Date.now());
+
+    const response = await sendRequest(new Request(url));
+    expect(response.status).toBe(200);
+    expect(upstream.mock.calls[0][0].url).toBe('http://example.com/media/a.png?w=200');
+  });
+
+  it('accepts URLs signed by the CLI', async () => {
+    // Generated with createSignedUrl from utils/key-management.js
+    const url = 'http://example.com/media/a.png?w=200&kid=7f2769e53a6f92ad4be2fd12e44d17d74c6638b3bec2600c91694fa2999e39ea' +
+      '&exp=4102444800&sig=9a9322613e161fb0357b11411a32c87b453bd84b45ccbcadb43d13a35a90fdad';
+    expect((await sendRequest(new Request(url))).status).toBe(200);
+  });
+
+  it('rejects tampered, expired and other-path URLs', async () => {
+    const { url } = await (await signUrl({ url: '/media/a.png' })).json();
+
+    await expectProblem(await sendRequest(new Request(url.replace('/media/a.png', '/media/b.png'))), 401, 'invalid_signature');
+    await expectProblem(await sendRequest(new Request(url.replace(/exp=\d+/, 'exp=4102444800'))), 401, 'invalid_signature');
+    await expectProblem(await sendRequest(new Request(url.replace('example.com', 'other.example.com'))), 401, 'invalid_signature');
+
+    vi.useFakeTimers({ now: Date.now() + 2 * 60 * 60 * 1000 });
+    await expectProblem(await sendRequest(new Request(url)), 401, 'signature_expired');
+  });
+
+  it('binds URLs to a path pattern and an IP address', async () => {
+    const { url } = await (await signUrl({ url: '/media/videos/1/index.m3u8', path: '/media/videos/1/', ip: '203.0.113.7' })).json();
+    const segment = url.replace('index.m3u8', 'segment-0.ts');
+
+    expect((await sendRequest(new Request(segment, { headers: { 'CF-Connecting-IP': '203.0.113.7' } }))).status).toBe(200);
+    await expectProblem(await sendRequest(new Request(segment, { headers: { 'CF-Connecting-IP': '198.51.100.1' } })), 401, 'invalid_signature');
+    await expectProblem(await sendRequest(new Request(url.replace('/videos/1/', '/videos/2/'))), 401, 'invalid_signature');
+  });
+
+  it('refuses to bind URLs to the caller\'s address when it is unknown', async () => {
+    await expectProblem(await signUrl({ url: '/media/a.png', ip: true }), 400, 'invalid_request');
+
+    const bound = await signUrl({ url: '/media/a.png', ip: true }, { 'x-api-key': VALID_KEY, 'CF-Connecting-IP': '203.0.113.7' });
+    expect(new URL((await bound.json()).url).searchParams.get('ip')).toBe('203.0.113.7');
+  });
+
+  it('stops accepting URLs once their key is revoked', async () => {
+    const { url } = await (await signUrl({ url: '/media/a.png' })).json();
+    await putIndexedKey(VALID_KEY, { status: 'revoked' });
+
+    await expectProblem(await sendRequest(new Request(url)), 401, 'api_key_revoked');
+  });
+
+  it('only signs for callers with a valid key and within its scopes', async () => {
+    await expectProblem(await signUrl({ url: '/media/a.png' }, {}), 401, 'missing_api_key');
+    await expectProblem(await signUrl({ url: '/media/a.png', expiresIn: 7 * 86400 }), 400, 'invalid_request');
+
+    await putIndexedKey('scoped-key', { scopes: { paths: ['/media/partner-a/'] } });
+    await expectProblem(await signUrl({ url: '/media/partner-b/a.png' }, { 'x-api-key': 'scoped-key' }), 403, 'scope_violation');
+  });
+});
+
+describe('Worker identity headers', () => {
+  const testEnv = {
+    IDENTITY_HEADERS: { keyId: 'X-Api-Key-Id', owner: 'X-Api-Key-Owner', label: 'X-Api-Key-Label', scopes: 'X-Api-Key-Scopes' }
+  };
+
+  beforeEach(async () => {
+    await putIndexedKey(VALID_KEY, { owner: 'Zoë & Co', scopes: { methods: ['GET'] } });
+  });
+
+  it('tells the origin which key made the request', async () => {
+    await send('/media/a.png', { 'x-api-key': VALID_KEY, 'X-Api-Key-Label': 'spoofed' }, testEnv);
+    const forwarded = upstream.mock.calls[0][0];
+
+    expect(forwarded.headers.get('x-api-key')).toBeNull();
+    expect(forwarded.headers.get('X-Api-Key-Id')).toBe('7f2769e53a6f92ad');
+    expect(forwarded.headers.get('X-Api-Key-Owner')).toBe('Zo%C3%AB%20%26%20Co');
+    expect(forwarded.headers.get('X-Api-Key-Label')).toBeNull();
+    expect(forwarded.headers.get('X-Api-Key-Scopes')).toBe('{"methods":["GET"]}');
+    expect(forwarded.headers.get('X-Identity-Signature')).toBeNull();
+  });
+
+  it('removes credentials and identity headers sent to public paths', async () => {
+    await send('/media/icons/a.png', { 'x-api-key': VALID_KEY, 'X-Api-Key-Id': 'spoofed', 'X-Identity-Signature': 'spoofed' }, testEnv);
+    const forwarded = upstream.mock.calls[0][0];
+
+    expect(forwarded.headers.get('x-api-key')).toBeNull();
+    expect(forwarded.headers.get('X-Api-Key-Id')).toBeNull();
+    expect(forwarded.headers.get('X-Identity-Signature')).toBeNull();
+  });
+
+  it('signs the identity with IDENTITY_SECRET', async () => {
+    await send('/media/a.png?w=200', { 'x-api-key': VALID_KEY }, { ...testEnv, IDENTITY_SECRET: 'origin-secret' });
+    const forwarded = upstream.mock.calls[0][0];
+
+    const [, timestamp, signature] = forwarded.headers.get('X-Identity-Signature').match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+    const message = [
+      timestamp,
+      'GET',
+      '/media/a.png?w=200',
+      'x-api-key-id:7f2769e53a6f92ad',
+      'x-api-key-owner:Zo%C3%AB%20%26%20Co',
+      'x-api-key-label:',
+      'x-api-key-scopes:{"methods":["GET"]}'
+    ].join('\n');
+    expect(signature).toBe(await computeHmac('origin-secret', message));
+  });
+
+  it('returns a server error for malformed identity headers', async () => {
+    const response = await send('/media/a.png', {}, { IDENTITY_HEADERS: { plan: 'X-Plan' } });
+    const body = await expectProblem(response, 500, 'server_misconfigured');
+    expect(body.detail).toMatch(/IDENTITY_HEADERS.plan: unknown field/);
+  });
+});
+
+describe('Worker upstream origins', () => {
+  const testEnv = {
+    ROUTES: [
+      { pattern: '/media/icons/', action: 'public', origin: 'https://static.example.com/icons', stripPrefix: '/media/icons' },
+      {
+        pattern: '/media/',
+        action: 'require-key',
+        origin: 'https://{owner}.assets.example.com/prefix',
+        fallback: 'https://backup.example.com/{owner}',
+        timeout: 50
+      }
+    ]
+  };
+
+  // URLs of the requests sent to origins, in order
+  function forwardedUrls() {
+    return upstream.mock.calls.map(([request]) => request.url);
+  }
+
+  beforeEach(async () => {
+    await putIndexedKey(VALID_KEY, { owner: 'partner-a' });
+  });
+
+  it('sends requests to the route origin filled in from the key', async () => {
+    const response = await send('/media/a.png?w=200', { 'x-api-key': VALID_KEY }, testEnv);
+
+    expect(response.status).toBe(200);
+    expect(forwardedUrls()).toEqual(['https://partner-a.assets.example.com/prefix/media/a.png?w=200']);
+    expect(upstream.mock.calls[0][0].headers.get('x-api-key')).toBeNull();
+  });
+
+  it('strips the route prefix before appending the path', async () => {
+    await send('/media/icons/logo.svg', {}, testEnv);
+    expect(forwardedUrls()).toEqual(['https://static.example.com/icons/logo.svg']);
+  });
+
+  it('prefers the origin stored with the key', async () => {
+    await putIndexedKey(VALID_KEY, { owner: 'partner-a', origin: 'https://media.partner-a.example' });
+    await send('/media/a.png', { 'x-api-key': VALID_KEY }, testEnv);
+    expect(forwardedUrls()).toEqual(['https://media.partner-a.example/media/a.png']);
+  });
+
+  it('falls back when the origin answers with a server error', async () => {
+    upstream.mockImplementationOnce(async () => new Response('Down', { status: 503 }));
+    const response = await send('/media/a.png', { 'x-api-key': VALID_KEY }, testEnv);
+
+    expect(response.status).toBe(200);
+    expect(forwardedUrls()).toEqual([
+      'https://partner-a.assets.example.com/prefix/media/a.png',
+      'https://backup.example.com/partner-a/media/a.png'
+    ]);
+  });
+
+  it('answers 504 when no origin responds in time', async () => {
+    upstream.mockImplementation((request, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(init.signal.reason));
+    }));
+    const response = await send('/media/a.png', { 'x-api-key': VALID_KEY }, testEnv);
+
+    await expectProblem(response, 504, 'upstream_timeout');
+    expect(upstream).toHaveBeenCalledTimes(2);
+  });
+
+  it('answers 502 when the origin cannot be reached', async () => {
+    upstream.mockRejectedValue(new TypeError('Network connection lost'));
+    const response = await send('/media/a.png', { 'x-api-key': VALID_KEY }, testEnv);
+
+    const body = await expectProblem(response, 502, 'upstream_unavailable');
+    expect(body.detail).toMatch(/Network connection lost/);
+  });
+
+  it('does not retry requests with a body', async () => {
+    upstream.mockImplementationOnce(async () => new Response('Down', { status: 503 }));
+    const request = new Request('http://example.com/media/upload', {
+      method: 'PUT',
+      headers: { 'x-api-key': VALID_KEY },
+      body: 'data'
+    });
+    const response = await sendRequest(request, testEnv);
+
+    expect(response.status).toBe(503);
+    expect(upstream).toHaveBeenCalledTimes(1);
+  });
+
+  it('answers 502 when the key lacks the metadata the origin needs', async () => {
+    await putIndexedKey(VALID_KEY);
+    const response = await send('/media/a.png', { 'x-api-key': VALID_KEY }, testEnv);
+
+    await expectProblem(response, 502, 'origin_unresolved');
+    expect(upstream).not.toHaveBeenCalled();
+  });
+
+  it('returns a server error for malformed origin options', async () => {
+    const routes = [{ pattern: '/media/', action: 'public', origin: 'ftp://{plan}.example.com', timeout: -1 }];
+    const response = await send('/media/a.png', {}, { ROUTES: routes });
+
+    const body = await expectProblem(response, 500, 'server_misconfigured');
+    expect(body.detail).toMatch(/ROUTES\[0\]: origin must be/);
+    expect(body.detail).toMatch(/ROUTES\[0\]: timeout must be/);
+  });
+});
+
+describe('Worker audit log', () => {
+  let log;
+
+  // Audit events written to the console sink
+  function consoleEvents() {
+    return log.mock.calls.map(([line]) => JSON.parse(line));
+  }
+
+  beforeEach(async () => {
+    log = vi.spyOn(console, 'log').mockImplementation(() => {});
+    await putIndexedKey(VALID_KEY, { owner: 'partner-a' });
+  });
+
+  it('logs allowed requests without the key or query string', async () => {
+    // Without AUDIT_SINKS events go to the console
+    const testEnv = { CREDENTIAL_SOURCES: [{ type: 'query', name: 'api_key' }], AUDIT_SINKS: undefined };
+    await send(`/media/a.png?api_key=${VALID_KEY}`, { 'cf-ray': '8a1b2c3d4e5f6a7b-LHR' }, testEnv);
+
+    const [event] = consoleEvents();
+    expect(event).toMatchObject({
+      requestId: '8a1b2c3d4e5f6a7b-LHR',
+      keyId: '7f2769e53a6f92ad',
+      method: 'GET',
+      path: '/media/a.png',
+      decision: 'allow',
+      reason: 'valid_api_key'
+    });
+    expect(typeof event.latencyMs).toBe('number');
+    expect(log.mock.calls[0][0]).not.toContain(VALID_KEY);
+  });
+
+  it('logs rejections with their problem code', async () => {
+    await putIndexedKey('revoked-key', { status: 'revoked' });
+    await send('/media/a.png', { 'x-api-key': 'unknown-key' }, CONSOLE_AUDIT);
+    await send('/media/a.png', { 'x-api-key': 'revoked-key' }, CONSOLE_AUDIT);
+
+    expect(consoleEvents()).toMatchObject([
+      { decision: 'deny', reason: 'invalid_api_key', keyId: null },
+      { decision: 'deny', reason: 'api_key_revoked', keyId: expect.stringMatching(/^[0-9a-f]{16}$/) }
+    ]);
+  });
+
+  it('does not log public requests', async () => {
+    await send('/media/icons/a.png', {}, CONSOLE_AUDIT);
+    expect(log).not.toHaveBeenCalled();
+  });
+
+  it('sends events to a queue', async () => {
+    const queue = { send: vi.fn(async () => {}) };
+    await send('/media/a.png', { 'x-api-key': VALID_KEY }, { AUDIT_SINKS: [{ type: 'queue', binding: 'AUDIT_QUEUE' }], AUDIT_QUEUE: queue });
+
+    expect(queue.send).toHaveBeenCalledWith(expect.objectContaining({ decision: 'allow', keyId: '7f2769e53a6f92ad' }));
+    expect(log).not.toHaveBeenCalled();
+  });
+
+  it('posts batches of events as newline-delimited JSON', async () => {
+    const testEnv = {
+      AUDIT_SINKS: [{ type: 'http', url: 'https://logs.example.com/ingest', tokenSecret: 'AUDIT_LOG_TOKEN', batchSize: 2, flushInterval: 100 }],
+      AUDIT_LOG_TOKEN: 'log-token'
+    };
+    await Promise.all([
+      send('/media/a.png', { 'x-api-key': VALID_KEY }, testEnv),
+      send('/media/b.png', { 'x-api-key': 'unknown-key' }, testEnv)
+    ]);
+
+    const posts = upstream.mock.calls.filter(([target]) => target === 'https://logs.example.com/ingest');
+    expect(posts).toHaveLength(1);
+    const [, init] = posts[0];
+    expect(init.headers['Authorization']).toBe('Bearer log-token');
+    expect(init.body.trim().split('\n').map(line => JSON.parse(line).path).sort()).toEqual(['/media/a.png', '/media/b.png']);
+  });
+
+  it('returns a server error for malformed audit sinks', async () => {
+    const response = await send('/media/a.png', {}, { AUDIT_SINKS: [{ type: 'queue', binding: 'MISSING_QUEUE' }] });
+    const body = await expectProblem(response, 500, 'server_misconfigured');
+    expect(body.detail).toMatch(/AUDIT_SINKS\[0\]: binding must name a Queue/);
+  });
+});
+
+describe('Worker last-used tracking', () => {
+  it('records when and where a key was last used', async () => {
+    const name = await putIndexedKey('last-used-key');
+    await send('/media/a.png', { 'x-api-key': 'last-used-key', 'CF-Connecting-IP': '203.0.113.7' });
+
+    const { value, metadata } = await env.API_KEYS.getWithMetadata(`last-used:${name}`, 'json');
+    expect(value).toEqual(metadata);
+    expect(metadata).toMatchObject({ lastUsedIp: '203.0.113.7' });
+    expect(Date.now() - Date.parse(metadata.lastUsedAt)).toBeLessThan(60000);
+  });
+
+  it('writes at most once per key per interval', async () => {
+    const name = await putIndexedKey('busy-key');
+    const put = vi.spyOn(env.API_KEYS, 'put');
+    const lastUsedWrites = () => put.mock.calls.filter(([key]) => key === `last-used:${name}`).length;
+
+    await send('/media/a.png', { 'x-api-key': 'busy-key' });
+    await send('/media/b.png', { 'x-api-key': 'busy-key' });
+    expect(lastUsedWrites()).toBe(1);
+
+    vi.useFakeTimers({ now: Date.now() + 2 * 60 * 60 * 1000 });
+    await send('/media/c.png', { 'x-api-key': 'busy-key' });
+    expect(lastUsedWrites()).toBe(2);
+  });
+
+  it('does not record rejected requests', async () => {
+    const name = await putIndexedKey('disabled-last-used-key', { status: 'disabled' });
+    await send('/media/a.png', { 'x-api-key': 'disabled-last-used-key' });
+
+    expect(await env.API_KEYS.get(`last-used:${name}`)).toBeNull();
+  });
+});
+
+describe('Worker network restrictions', () => {
+  // Run a GET request from a country through the real worker
+  function sendFrom(country, path, headers) {
+    return sendRequest(new Request(`http://example.com${path}`, { headers, cf: { country } }));
+  }
+
+  it('accepts clients inside an allowed IPv4 or IPv6 range', async () => {
+    await putIndexedKey('office-key', { network: { ips: ['203.0.113.0/24', '2001:db8::/32'] } });
+
+    expect((await send('/media/a.png', { 'x-api-key': 'office-key', 'CF-Connecting-IP': '203.0.113.77' })).status).toBe(200);
+    expect((await send('/media/a.png', { 'x-api-key': 'office-key', 'CF-Connecting-IP': '2001:db8:1::5' })).status).toBe(200);
+    expect((await send('/media/a.png', { 'x-api-key': 'office-key', 'CF-Connecting-IP': '::ffff:203.0.113.9' })).status).toBe(200);
+  });
+
+  it('rejects clients outside the allowed ranges', async () => {
+    await putIndexedKey('office-key', { network: { ips: ['203.0.113.0/24', '2001:db8::/32'] } });
+
+    const body = await expectProblem(await send('/media/a.png', { 'x-api-key': 'office-key', 'CF-Connecting-IP': '198.51.100.1' }), 403, 'ip_not_allowed');
+    expect(body.detail).toContain('198.51.100.1');
+    await expectProblem(await send('/media/a.png', { 'x-api-key': 'office-key', 'CF-Connecting-IP': '2001:db9::1' }), 403, 'ip_not_allowed');
+  });
+
+  it('rejects requests without a client address when ranges are set', async () => {
+    await putIndexedKey('office-key', { network: { ips: ['203.0.113.0/24'] } });
+
+    await expectProblem(await send('/media/a.png', { 'x-api-key': 'office-key' }), 403, 'ip_not_allowed');
+  });
+
+  it('limits keys to allowed countries', async () => {
+    await putIndexedKey('uk-key', { network: { countries: ['GB'] } });
+
+    expect((await sendFrom('GB', '/media/a.png', { 'x-api-key': 'uk-key' })).status).toBe(200);
+    await expectProblem(await sendFrom('US', '/media/a.png', { 'x-api-key': 'uk-key' }), 403, 'country_not_allowed');
+  });
+
+  it('rejects keys used from a blocked country', async () => {
+    await putIndexedKey('global-key', { network: { blockedCountries: ['RU'] } });
+
+    expect((await sendFrom('GB', '/media/a.png', { 'x-api-key': 'global-key' })).status).toBe(200);
+    await expectProblem(await sendFrom('RU', '/media/a.png', { 'x-api-key': 'global-key' }), 403, 'country_not_allowed');
+  });
+});
+
+describe('Worker allowed origins and CORS', () => {
+  beforeEach(async () => {
+    upstream.mockImplementation(async () => new Response('Success', { status: 200, headers: { 'Vary': 'Accept-Encoding' } }));
+    await putIndexedKey('browser-key', { allowedOrigins: ['https://www.example.com', 'https://*.partner.example'] });
+  });
+
+  it('accepts requests from an allowed origin and echoes it for CORS', async () => {
+    const response = await send('/media/a.png', { 'x-api-key': 'browser-key', 'Origin': 'https://www.example.com' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Access-Control-Allow-Origin')).toBe('https://www.example.com');
+    expect(response.headers.get('Vary')).toBe('Accept-Encoding, Origin');
+  });
+
+  it('falls back to the Referer and matches wildcard subdomains', async () => {
+    const response = await send('/media/a.png', { 'x-api-key': 'browser-key', 'Referer': 'https://cdn.eu.partner.example/page.html' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Access-Control-Allow-Origin')).toBeNull();
+    expect(response.headers.get('Vary')).toBe('Accept-Encoding, Origin');
+  });
+
+  it('rejects requests from other origins', async () => {
+    const response = await send('/media/a.png', { 'x-api-key': 'browser-key', 'Origin': 'https://partner.example' });
+
+    const body = await expectProblem(response, 403, 'origin_not_allowed');
+    expect(body.detail).toContain('https://partner.example');
+    expect(response.headers.get('Access-Control-Allow-Origin')).toBeNull();
+    expect(response.headers.get('Vary')).toBe('Origin');
+    await expectProblem(await send('/media/a.png', { 'x-api-key': 'browser-key', 'Origin': 'http://www.example.com' }), 403, 'origin_not_allowed');
+  });
+
+  it('rejects requests without an Origin or Referer', async () => {
+    await expectProblem(await send('/media/a.png', { 'x-api-key': 'browser-key' }), 403, 'origin_not_allowed');
+  });
+
+  // Routes letting browsers on www.example.com call /media/
+  const CORS_ROUTES = [{ pattern: '/media/', action: 'require-key', allowedOrigins: ['https://www.example.com'] }];
+
+  // Send a CORS preflight for a GET from origin
+  function sendPreflight(origin, testEnv = { ROUTES: CORS_ROUTES }) {
+    return sendRequest(new Request('http://example.com/media/a.png', {
+      method: 'OPTIONS',
+      headers: {
+        'Origin': origin,
+        'Access-Control-Request-Method': 'GET',
+        'Access-Control-Request-Headers': 'x-api-key, x-evil'
+      }
+    }), testEnv);
+  }
+
+  it('answers preflights from origins the route allows without a key', async () => {
+    const response = await sendPreflight('https://www.example.com');
+
+    expect(response.status).toBe(204);
+    expect(response.headers.get('Access-Control-Allow-Origin')).toBe('https://www.example.com');
+    expect(response.headers.get('Access-Control-Allow-Methods')).toBe('GET');
+    expect(response.headers.get('Access-Control-Allow-Headers')).toBe('x-api-key, Authorization, Content-Type, Range');
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+  });
+
+  it('refuses preflights from origins the route does not allow', async () => {
+    const response = await sendPreflight('https://evil.example');
+    await expectProblem(response, 403, 'origin_not_allowed');
+    expect(response.headers.get('Access-Control-Allow-Origin')).toBeNull();
+    expect(response.headers.get('Vary')).toBe('Origin, Access-Control-Request-Method');
+
+    await expectProblem(await sendPreflight('https://www.example.com', {}), 403, 'origin_not_allowed');
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+  });
+
+  it('lets allowed origins read rejections', async () => {
+    const response = await send('/media/a.png', { 'Origin': 'https://www.example.com' }, { ROUTES: CORS_ROUTES });
+
+    await expectProblem(response, 401, 'missing_api_key');
+    expect(response.headers.get('Access-Control-Allow-Origin')).toBe('https://www.example.com');
+    expect(response.headers.get('Access-Control-Expose-Headers')).toContain('www-authenticate');
+
+    const elsewhere = await send('/media/a.png', { 'Origin': 'https://evil.example' }, { ROUTES: CORS_ROUTES });
+    expect(elsewhere.headers.get('Access-Control-Allow-Origin')).toBeNull();
+    expect(elsewhere.headers.get('Vary')).toBe('Origin');
+  });
+
+  it('rejects routes with malformed allowed origins', async () => {
+    const routes = [{ pattern: '/media/', action: 'require-key', allowedOrigins: ['https://example.com/path'] }];
+    const body = await expectProblem(await send('/media/a.png', {}, { ROUTES: routes }), 500, 'server_misconfigured');
+    expect(body.detail).toMatch(/ROUTES\[0\]: allowedOrigins must be/);
+  });
+
+  it('leaves CORS to the origin for keys without allowed origins', async () => {
+    await putIndexedKey(VALID_KEY);
+    const response = await send('/media/a.png', { 'x-api-key': VALID_KEY, 'Origin': 'https://elsewhere.example' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Access-Control-Allow-Origin')).toBeNull();
+  });
+});
+
+describe('Worker brute-force lockout', () => {
+  const LOCKOUT = { threshold: 3, window: 600, baseDelay: 60, maxDelay: 3600, prefixThreshold: 5 };
+
+  beforeEach(async () => {
+    await putIndexedKey(VALID_KEY);
+  });
+
+  // Send an invalid key from a client address
+  function guess(apiKey, clientIp, testEnv = {}) {
+    return send('/media/a.png', { 'x-api-key': apiKey, 'CF-Connecting-IP': clientIp }, { LOCKOUT, ...testEnv });
+  }
+
+  it('locks out a client after repeated invalid keys, before looking the key up', async () => {
+    for (let i = 0; i < 3; i++) {
+      await expectProblem(await guess(`guess-${i}`, '198.51.100.7'), 401, 'invalid_api_key');
+    }
+
+    const get = vi.spyOn(env.API_KEYS, 'get');
+    const response = await send('/media/a.png', { 'x-api-key': VALID_KEY, 'CF-Connecting-IP': '198.51.100.7' }, { LOCKOUT });
+    await expectProblem(response, 429, 'locked_out');
+    expect(response.headers.get('Retry-After')).toBe('60');
+    expect(get).not.toHaveBeenCalled();
+
+    const other = await send('/media/a.png', { 'x-api-key': VALID_KEY, 'CF-Connecting-IP': '198.51.100.8' }, { LOCKOUT });
+    expect(other.status).toBe(200);
+  });
+
+  it('doubles the lockout each time a client is locked out again', async () => {
+    for (let i = 0; i < 3; i++) {
+      await guess(`guess-${i}`, '198.51.100.7');
+    }
+
+    vi.useFakeTimers({ now: Date.now() + 61 * 1000 });
+    for (let i = 0; i < 3; i++) {
+      await guess(`guess-again-${i}`, '198.51.100.7');
+    }
+
+    const response = await guess('guess-more', '198.51.100.7');
+    await expectProblem(response, 429, 'locked_out');
+    expect(response.headers.get('Retry-After')).toBe('120');
+  });
+
+  it('locks out a key prefix guessed from many addresses', async () => {
+    for (let i = 0; i < 5; i++) {
+      await expectProblem(await guess(`shared-prefix-xx-${i}`, `203.0.113.${i}`), 401, 'invalid_api_key');
+    }
+
+    const response = await guess('shared-prefix-xx-new', '203.0.113.99');
+    const body = await expectProblem(response, 429, 'locked_out');
+    expect(body.detail).toContain('key prefix');
+
+    // Only the prefix's HMAC is stored
+    const { keys } = await env.API_KEYS.list({ prefix: 'lockout:prefix:' });
+    expect(keys).toHaveLength(1);
+    expect(keys[0].name).toMatch(/^lockout:prefix:[0-9a-f]{32}$/);
+    expect(keys[0].name).not.toContain('shared-prefix');
+  });
+
+  it('lets valid keys with a locked-out prefix through', async () => {
+    await putIndexedKey('shared-prefix-xx-valid');
+    for (let i = 0; i < 5; i++) {
+      await guess(`shared-prefix-xx-${i}`, `203.0.113.${i}`);
+    }
+    await expectProblem(await guess('shared-prefix-xx-new', '203.0.113.98'), 429, 'locked_out');
+
+    const response = await guess('shared-prefix-xx-valid', '203.0.113.99');
+    expect(response.status).toBe(200);
+  });
+
+  it('records lockouts in KV and the audit log', async () => {
+    const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+    for (let i = 0; i < 4; i++) {
+      await guess(`guess-${i}`, '198.51.100.7', CONSOLE_AUDIT);
+    }
+
+    const { metadata } = await env.API_KEYS.getWithMetadata('lockout:ip:198.51.100.7');
+    expect(metadata).toMatchObject({ kind: 'ip', subject: '198.51.100.7', lockouts: 1, totalFailures: 3 });
+
+    const events = log.mock.calls.map(([line]) => JSON.parse(line));
+    expect(events.at(-1)).toMatchObject({ decision: 'deny', reason: 'locked_out', clientIp: '198.51.100.7', keyId: null });
+  });
+
+  it('returns a server error for a malformed lockout policy', async () => {
+    const response = await send('/media/a.png', { 'x-api-key': VALID_KEY }, { LOCKOUT: { threshold: 0 } });
+    const body = await expectProblem(response, 500, 'server_misconfigured');
+    expect(body.detail).toContain('threshold must be a positive integer');
+  });
+});
+
+describe('Worker route rules', () => {
+  it('denies requests matching a deny rule', async () => {
+    const response = await send('/admin/panel', {}, { ROUTES: [{ pattern: '/admin/', action: 'deny' }] });
+    await expectProblem(response, 403, 'access_denied');
+    expect(response.headers.get('WWW-Authenticate')).toBeNull();
+  });
+
+  it('returns a server error for malformed routes', async () => {
+    const response = await send('/media/a.png', {}, { ROUTES: [{ regex: '([', action: 'public' }] });
+
+    const body = await expectProblem(response, 500, 'server_misconfigured');
+    expect(body.detail).toMatch(/ROUTES\[0\]: invalid regex/);
+  });
+});
+
+describe('Worker rate limiting', () => {
+  it('returns 429 with Retry-After once the burst is used up', async () => {
+    await putIndexedKey('limited-key', { rateLimit: { requests: 2, per: 'minute', burst: 2 } });
+
+    const first = await send('/media/a.png', { 'x-api-key': 'limited-key' });
+    expect(first.status).toBe(200);
+    expect(first.headers.get('RateLimit-Limit')).toBe('2');
+    expect(first.headers.get('RateLimit-Remaining')).toBe('1');
+
+    await send('/media/a.png', { 'x-api-key': 'limited-key' });
+    const limited = await send('/media/a.png', { 'x-api-key': 'limited-key' });
+
+    await expectProblem(limited, 429, 'rate_limited');
+    expect(limited.headers.get('RateLimit-Remaining')).toBe('0');
+    expect(Number(limited.headers.get('Retry-After'))).toBeGreaterThan(0);
+  });
+
+  it('falls back to DEFAULT_RATE_LIMIT for keys without their own limit', async () => {
+    await putIndexedKey('default-limited-key');
+    const testEnv = { DEFAULT_RATE_LIMIT: { requests: 1, per: 'second' } };
+
+    expect((await send('/media/a.png', { 'x-api-key': 'default-limited-key' }, testEnv)).status).toBe(200);
+    expect((await send('/media/a.png', { 'x-api-key': 'default-limited-key' }, testEnv)).status).toBe(429);
+  });
+
+  it('does not limit keys when no limit is configured', async () => {
+    await putIndexedKey('unlimited-key');
+    const testEnv = { DEFAULT_RATE_LIMIT: undefined };
+
+    for (let i = 0; i < 5; i++) {
+      const response = await send('/media/a.png', { 'x-api-key': 'unlimited-key' }, testEnv);
+      expect(response.status).toBe(200);
+      expect(response.headers.get('RateLimit-Limit')).toBeNull();
+    }
+  });
+});
+
+describe('Worker usage quotas', () => {
+  it('rejects requests once the monthly quota is used up', async () => {
+    await putIndexedKey('quota-key', { monthlyQuota: 2 });
+
+    expect((await send('/media/a.png', { 'x-api-key': 'quota-key' })).status).toBe(200);
+    expect((await send('/media/a.png', { 'x-api-key': 'quota-key' })).status).toBe(200);
+
+    const exceeded = await send('/media/a.png', { 'x-api-key': 'quota-key' });
+    await expectProblem(exceeded, 429, 'quota_exceeded');
+    expect(Number(exceeded.headers.get('Retry-After'))).toBeGreaterThan(0);
+  });
+
+  it('copies the monthly count to KV', async () => {
+    const name = await putIndexedKey('counted-key', { owner: 'acme' });
+    await send('/media/a.png', { 'x-api-key': 'counted-key' });
+    await send('/media/b.png', { 'x-api-key': 'counted-key' });
+
+    const stub = env.USAGE_COUNTER.get(env.USAGE_COUNTER.idFromName(name));
+    expect(await runDurableObjectAlarm(stub)).toBe(true);
+
+    const { value, metadata } = await env.API_KEYS.getWithMetadata(`${USAGE_PREFIX}${usagePeriod()}:${name}`, 'json');
+    expect(value).toMatchObject({ name, owner: 'acme', count: 2 });
+    expect(metadata.count).toBe(2);
+  });
+
+  it('copies the previous month\'s final count when the copy runs in a new month', async () => {
+    const name = await putIndexedKey('month-end-key');
+    const now = new Date();
+    const monthEnd = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1) - 30 * 1000;
+
+    vi.useFakeTimers({ now: monthEnd, toFake: ['Date'] });
+    await send('/media/a.png', { 'x-api-key': 'month-end-key' });
+    await send('/media/b.png', { 'x-api-key': 'month-end-key' });
+
+    vi.setSystemTime(monthEnd + 2 * 60 * 1000);
+    const stub = env.USAGE_COUNTER.get(env.USAGE_COUNTER.idFromName(name));
+    expect(await runDurableObjectAlarm(stub)).toBe(true);
+
+    const { value } = await env.API_KEYS.getWithMetadata(`${USAGE_PREFIX}${usagePeriod(monthEnd)}:${name}`, 'json');
+    expect(value).toMatchObject({ period: usagePeriod(monthEnd), count: 2 });
+    expect(await env.API_KEYS.get(`${USAGE_PREFIX}${usagePeriod()}:${name}`)).toBeNull();
+  });
+});
+
+describe('Worker key rotation', () => {
+  it('keeps accepting a rotated key until its sunset date with deprecation headers', async () => {
+    const sunsetAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    await putIndexedKey('rotated-old-key', {
+      deprecatedAt: '2025-01-01T00:00:00.000Z',
+      sunsetAt,
+      replacedBy: '0123456789abcdef'
+    });
+
+    const response = await send('/media/a.png', { 'x-api-key': 'rotated-old-key' });
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Deprecation')).toBe('@1735689600');
+    expect(response.headers.get('Sunset')).toBe(new Date(sunsetAt).toUTCString());
+  });
+
+  it('stops accepting a rotated key after its sunset date', async () => {
+    await putIndexedKey('retired-key', { deprecatedAt: '2025-01-01T00:00:00.000Z', sunsetAt: '2025-02-01T00:00:00.000Z' });
+    const response = await send('/media/a.png', { 'x-api-key': 'retired-key' });
+
+    await expectProblem(response, 401, 'api_key_retired');
+  });
+});
+
+describe('Worker encryption key rotation', () => {
+  const NEW_ENCRYPTION_KEY = 'fedcba9876543210'.repeat(4);
+
+  it('accepts keys not yet rekeyed while ENCRYPTION_KEY_PREVIOUS is set', async () => {
+    await putIndexedKey('not-yet-rekeyed', {}, ENCRYPTION_KEY);
+    const testEnv = { ENCRYPTION_KEY: NEW_ENCRYPTION_KEY, ENCRYPTION_KEY_PREVIOUS: ENCRYPTION_KEY };
+
+    const response = await send('/media/a.png', { 'x-api-key': 'not-yet-rekeyed' }, testEnv);
+    expect(response.status).toBe(200);
+  });
+
+  it('accepts keys already rekeyed under the new encryption key', async () => {
+    await putIndexedKey('already-rekeyed', {}, NEW_ENCRYPTION_KEY);
+    const testEnv = { ENCRYPTION_KEY: NEW_ENCRYPTION_KEY, ENCRYPTION_KEY_PREVIOUS: ENCRYPTION_KEY };
+
+    const response = await send('/media/a.png', { 'x-api-key': 'already-rekeyed' }, testEnv);
+    expect(response.status).toBe(200);
+  });
+
+  it('keeps counting a rekeyed key under its original counter name', async () => {
+    const oldName = await putIndexedKey('rekeyed-quota-key', { monthlyQuota: 1 });
+    expect((await send('/media/a.png', { 'x-api-key': 'rekeyed-quota-key' })).status).toBe(200);
+
+    // The record moves to a new index, as the rekey command does
+    await env.API_KEYS.delete(oldName);
+    await putIndexedKey('rekeyed-quota-key', { monthlyQuota: 1, counterName: oldName }, NEW_ENCRYPTION_KEY);
+
+    const response = await send('/media/a.png', { 'x-api-key': 'rekeyed-quota-key' }, { ENCRYPTION_KEY: NEW_ENCRYPTION_KEY });
+    await expectProblem(response, 429, 'quota_exceeded');
+  });
+
+  it('rejects keys under the old encryption key once ENCRYPTION_KEY_PREVIOUS is removed', async () => {
+    await putIndexedKey('left-behind', {}, ENCRYPTION_KEY);
+
+    const response = await send('/media/a.png', { 'x-api-key': 'left-behind' }, { ENCRYPTION_KEY: NEW_ENCRYPTION_KEY });
+    await expectProblem(response, 401, 'invalid_api_key');
+  });
+});
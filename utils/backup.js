@@ -0,0 +1,235 @@
+/**
+ * Encrypted backups of the key namespace
+ * 
+ * A backup holds every KV entry (key records, usage snapshots and any legacy
+ * entries) with its list metadata and expiration. Values are copied as stored, so restoring
+ * them needs the same ENCRYPTION_KEY; the archive itself is encrypted with a
+ * key derived from a separate passphrase:
+ *   { format, version, kdf: { name: "scrypt", N, r, p, salt }, cipher, createdAt,
+ *     entryCount, iv, authTag, data }
+ * data is the AES-256-GCM encrypted JSON list of entries. The header fields
+ * before iv are authenticated as additional data, so a tampered header, a
+ * wrong passphrase or a corrupted file all fail the integrity check. That check
+ * needs the derived key, so scrypt costs above the ones this version writes are
+ * refused before deriving it.
+ */
+const fs = require('fs');
+const crypto = require('crypto');
+
+const BACKUP_FORMAT = 'api-key-backup';
+const BACKUP_VERSION = 1;
+
+// scrypt cost parameters for new backups; restores read them from the archive, up to these
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+
+// Shortest passphrase accepted for new backups
+const MIN_PASSPHRASE_LENGTH = 12;
+
+// How a restore treats entries that already exist with a different value
+const CONFLICT_POLICIES = ['skip', 'overwrite', 'fail'];
+
+// KV only accepts expirations at least this many seconds ahead
+const MIN_EXPIRATION_AHEAD = 60;
+
+/**
+ * Derives the archive key from a passphrase
+ * 
+ * @param {string} passphrase Backup passphrase
+ * @param {Object} kdf scrypt parameters with a hex salt
+ * @returns {Buffer} 32-byte key
+ */
+function deriveBackupKey(passphrase, kdf) {
+  return crypto.scryptSync(passphrase, Buffer.from(kdf.salt, 'hex'), 32, {
+    N: kdf.N,
+    r: kdf.r,
+    p: kdf.p,
+    maxmem: 256 * kdf.N * kdf.r
+  });
+}
+
+/**
+ * Builds the authenticated part of an archive header
+ * 
+ * @param {Object} archive Archive or header fields
+ * @returns {Buffer} Additional data for AES-GCM
+ */
+function headerData({ format, version, kdf, cipher, createdAt, entryCount }) {
+  return Buffer.from(JSON.stringify({ format, version, kdf, cipher, createdAt, entryCount }));
+}
+
+/**
+ * Reads every entry of a namespace into an encrypted backup archive
+ * 
+ * @param {Object} storage Storage backend (see kv-storage.js)
+ * @param {string} passphrase Backup passphrase
+ * @returns {Promise<Object>} Backup archive
+ */
+async function createBackup(storage, passphrase) {
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`The backup passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+  
+  const entries = [];
+  for (const { name, metadata, expiration } of await storage.list()) {
+    const value = await storage.get(name);
+    if (value !== null) {
+      const entry = metadata ? { name, value, metadata } : { name, value };
+      if (expiration) {
+        entry.expiration = expiration;
+      }
+      entries.push(entry);
+    }
+  }
+  
+  const header = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    kdf: { name: 'scrypt', ...SCRYPT_PARAMS, salt: crypto.randomBytes(16).toString('hex') },
+    cipher: 'aes-256-gcm',
+    createdAt: new Date().toISOString(),
+    entryCount: entries.length
+  };
+  
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveBackupKey(passphrase, header.kdf), iv);
+  cipher.setAAD(headerData(header));
+  const data = Buffer.concat([cipher.update(JSON.stringify(entries), 'utf8'), cipher.final()]);
+  
+  return {
+    ...header,
+    iv: iv.toString('hex'),
+    authTag: cipher.getAuthTag().toString('hex'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Decrypts and checks a backup archive
+ * 
+ * @param {Object} archive Backup archive
+ * @param {string} passphrase Backup passphrase
+ * @returns {Array<{name: string, value: string, metadata?: Object, expiration?: number}>} Backed up entries
+ */
+function openBackup(archive, passphrase) {
+  if (!archive || archive.format !== BACKUP_FORMAT) {
+    throw new Error('Not an API key backup archive');
+  }
+  if (archive.version !== BACKUP_VERSION) {
+    throw new Error(`Unsupported backup version ${archive.version} (expected ${BACKUP_VERSION})`);
+  }
+  if (!archive.kdf || archive.kdf.name !== 'scrypt' || archive.cipher !== 'aes-256-gcm') {
+    throw new Error('Unsupported backup encryption');
+  }
+  
+  // The header is only authenticated once the key is derived, so bound what deriving it may cost
+  const costs = Object.keys(SCRYPT_PARAMS);
+  if (costs.some(cost => !Number.isInteger(archive.kdf[cost]) || archive.kdf[cost] < 1 || archive.kdf[cost] > SCRYPT_PARAMS[cost])) {
+    throw new Error(`Unsupported backup key derivation parameters (at most ${costs.map(cost => `${cost}=${SCRYPT_PARAMS[cost]}`).join(', ')})`);
+  }
+  
+  let entries;
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', deriveBackupKey(passphrase, archive.kdf), Buffer.from(archive.iv, 'hex'));
+    decipher.setAAD(headerData(archive));
+    decipher.setAuthTag(Buffer.from(archive.authTag, 'hex'));
+    const data = Buffer.concat([decipher.update(Buffer.from(archive.data, 'base64')), decipher.final()]);
+    entries = JSON.parse(data.toString('utf8'));
+  } catch (error) {
+    throw new Error('Backup integrity check failed: wrong passphrase or corrupted archive');
+  }
+  
+  if (!Array.isArray(entries) || entries.length !== archive.entryCount) {
+    throw new Error(`Backup integrity check failed: expected ${archive.entryCount} entries`);
+  }
+  
+  return entries;
+}
+
+/**
+ * Writes a backup archive to a file readable only by its owner
+ * 
+ * @param {Object} archive Backup archive
+ * @param {string} filePath Output file path
+ */
+function writeBackupFile(archive, filePath) {
+  fs.writeFileSync(filePath, JSON.stringify(archive, null, 2), { mode: 0o600 });
+}
+
+/**
+ * Reads a backup archive from a file
+ * 
+ * @param {string} filePath Archive file path
+ * @returns {Object} Backup archive
+ */
+function readBackupFile(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Restores backed up entries into a namespace
+ * Entries missing from the namespace are written with their expiration and identical
+ * ones left alone. Entries that have expired since the backup (or are about to) are
+ * not restored.
+ * Entries stored with a different value are conflicts, handled by the policy:
+ * skip keeps the stored value, overwrite replaces it and fail aborts the whole
+ * restore before anything is written.
+ * 
+ * @param {Array<Object>} entries Entries from openBackup
+ * @param {Object} storage Storage backend (see kv-storage.js)
+ * @param {Object} options Restore options
+ * @param {string} options.onConflict skip, overwrite or fail (default: skip)
+ * @param {boolean} options.dryRun Only count what would change
+ * @returns {Promise<{restored: number, unchanged: number, conflicts: string[], overwritten: number, expired: number}>} Restore result
+ */
+async function restoreBackup(entries, storage, options = {}) {
+  const { onConflict = 'skip', dryRun = false } = options;
+  
+  if (!CONFLICT_POLICIES.includes(onConflict)) {
+    throw new Error(`Unknown conflict policy "${onConflict}" (expected ${CONFLICT_POLICIES.join(', ')})`);
+  }
+  
+  const storedNames = new Set((await storage.list()).map(({ name }) => name));
+  const writes = [];
+  const conflicts = [];
+  const restoreBefore = Date.now() / 1000 + MIN_EXPIRATION_AHEAD;
+  let unchanged = 0;
+  let expired = 0;
+  
+  for (const entry of entries) {
+    if (entry.expiration && entry.expiration < restoreBefore) {
+      expired++;
+    } else if (!storedNames.has(entry.name)) {
+      writes.push(entry);
+    } else if (await storage.get(entry.name) === entry.value) {
+      unchanged++;
+    } else {
+      conflicts.push(entry.name);
+      if (onConflict === 'overwrite') {
+        writes.push(entry);
+      }
+    }
+  }
+  
+  if (conflicts.length > 0 && onConflict === 'fail') {
+    throw new Error(`${conflicts.length} entries already exist with different values, nothing was restored`);
+  }
+  
+  if (!dryRun) {
+    await storage.putMany(writes);
+  }
+  
+  const overwritten = onConflict === 'overwrite' ? conflicts.length : 0;
+  return { restored: writes.length - overwritten, unchanged, conflicts, overwritten, expired };
+}
+
+module.exports = {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  CONFLICT_POLICIES,
+  MIN_PASSPHRASE_LENGTH,
+  createBackup,
+  openBackup,
+  writeBackupFile,
+  readBackupFile,
+  restoreBackup
+};
@@ -10,17 +10,60 @@ const path = require('path');
 const { 
   generateEncryptionKey, 
   generateApiKey,
-  isValidEncryptionKey
+  isValidEncryptionKey,
+  KEY_INDEX_PREFIX
 } = require('./test-utils');
 
 const {
+  parseRateLimitSpec,
+  normalizeRateLimit,
+  formatRateLimit,
+  normalizeKeyEntry,
   readApiKeysFromFile,
+  planKeyUpload,
   uploadApiKeys,
+  getKeyRecord,
+  findKeyRecords,
+  listKeyRecords,
+  describeKeyRecord,
+  readEncryptedKeysFile,
+  findKeyInEntries,
+  createSignedUrl,
+  getKeyRejectionReason,
+  keyIdFromName,
+  revokeKeyRecords,
+  rekeyNamespace,
+  createStorage,
+  getUsageReport,
+  getLastUsed,
+  findStaleKeys,
+  disableKeyRecords,
+  getLockoutReport,
+  migrateLegacyKeys,
   generateApiKeys,
   saveApiKeysToFile,
   rotateApiKeys,
   setupWorkerSecret
 } = require('./key-management');
+const { IMPORT_FORMATS } = require('./key-import');
+const {
+  CONFLICT_POLICIES,
+  MIN_PASSPHRASE_LENGTH,
+  createBackup,
+  openBackup,
+  writeBackupFile,
+  readBackupFile,
+  restoreBackup
+} = require('./backup');
+
+// Help for the flags that select where the namespace is read from and written to
+const storageHelp = [
+  { flag: '--namespace, -n', description: 'KV namespace binding name (wrangler storage)' },
+  { flag: '--storage', description: 'Storage backend: rest, wrangler or file (default: rest when CLOUDFLARE_API_TOKEN is set, otherwise wrangler)' },
+  { flag: '--namespace-id', description: 'KV namespace ID for the rest storage (default: KV_NAMESPACE_ID)' },
+  { flag: '--account-id', description: 'Cloudflare account ID for the rest storage (default: CLOUDFLARE_ACCOUNT_ID)' },
+  { flag: '--kv-file', description: 'JSON file for the file storage' }
+];
 
 // Command definitions with help text
 const commands = {
@@ -32,36 +75,194 @@ const commands = {
       { flag: '--output, -o', description: 'Output file path (default: api-keys.json)' },
       { flag: '--prefix, -p', description: 'Key prefix (default: api-key-)' },
       { flag: '--special, -s', description: 'Include special characters' },
-      { flag: '--length, -l', description: 'Key length (default: 32)' }
+      { flag: '--length, -l', description: 'Key length (default: 32)' },
+      { flag: '--owner', description: 'Owner recorded with each key' },
+      { flag: '--label', description: 'Human-readable label recorded with each key' },
+      { flag: '--expires', description: 'Expiry date (ISO 8601) after which keys stop working' },
+      { flag: '--status', description: 'Initial status: active or disabled (default: active)' },
+      { flag: '--paths', description: 'Comma-separated path prefixes or globs the keys may access' },
+      { flag: '--methods', description: 'Comma-separated HTTP methods the keys may use (e.g. GET,HEAD)' },
+      { flag: '--ips', description: 'Comma-separated IPv4/IPv6 CIDR ranges the keys may be used from' },
+      { flag: '--countries', description: 'Comma-separated country codes the keys may be used from (e.g. GB,DE)' },
+      { flag: '--blocked-countries', description: 'Comma-separated country codes the keys may not be used from' },
+      { flag: '--allowed-origins', description: 'Comma-separated sites browser keys may be used from (e.g. https://*.example.com)' },
+      { flag: '--rate-limit', description: 'Rate limit as <requests>/<second|minute|hour>, e.g. 100/minute' },
+      { flag: '--burst', description: 'Burst size for the rate limit (default: the request count)' },
+      { flag: '--quota', description: 'Maximum requests per calendar month' },
+      { flag: '--origin', description: 'Origin URL the keys\' requests are forwarded to, instead of the route\'s' }
     ]
   },
   upload: {
     description: 'Upload API keys to KV store',
-    usage: 'upload <file> <namespace> [encryption-key]',
+    usage: 'upload <file> [namespace] [encryption-key] [options]',
     options: [
-      { flag: '<file>', description: 'JSON file containing API keys array' },
-      { flag: '<namespace>', description: 'KV namespace binding name' },
+      { flag: '<file>', description: 'JSON, NDJSON or CSV file with API keys or key objects' },
+      { flag: '[namespace]', description: 'KV namespace binding name (wrangler storage)' },
       { flag: '[encryption-key]', description: 'Optional encryption key (will be generated if not provided)' },
-      { flag: '--set-secret, -s', description: 'Set encryption key as Worker Secret' }
+      { flag: '--encryption-key, -e', description: 'Encryption key, instead of the positional argument' },
+      { flag: '--set-secret, -s', description: 'Set encryption key as Worker Secret' },
+      { flag: '--format', description: 'File format: json, ndjson or csv (default: from the file extension)' },
+      { flag: '--dry-run', description: 'Show which keys would be added, updated or skipped without writing' },
+      { flag: '--owner', description: 'Default owner for keys that do not set one' },
+      { flag: '--label', description: 'Default label for keys that do not set one' },
+      { flag: '--expires', description: 'Default expiry date (ISO 8601) for keys that do not set one' },
+      { flag: '--status', description: 'Default status for keys that do not set one' },
+      { flag: '--paths', description: 'Default path scopes for keys that do not set scopes' },
+      { flag: '--methods', description: 'Default method scopes for keys that do not set scopes' },
+      { flag: '--ips', description: 'Default CIDR allowlist for keys that do not set network restrictions' },
+      { flag: '--countries', description: 'Default allowed countries for keys that do not set network restrictions' },
+      { flag: '--blocked-countries', description: 'Default blocked countries for keys that do not set network restrictions' },
+      { flag: '--allowed-origins', description: 'Default allowed origins for keys that do not set any' },
+      { flag: '--rate-limit', description: 'Default rate limit for keys that do not set one, e.g. 100/minute' },
+      { flag: '--burst', description: 'Burst size for the default rate limit' },
+      { flag: '--quota', description: 'Default monthly request quota for keys that do not set one' },
+      { flag: '--origin', description: 'Default origin URL for keys that do not set one' }
+    ]
+  },
+  'rate-limit': {
+    description: 'Show or change the rate limit of a stored key',
+    usage: 'rate-limit <key> [options]',
+    options: [
+      { flag: '<key>', description: 'API key to show or update' },
+      ...storageHelp,
+      { flag: '--encryption-key, -e', description: 'Encryption key (required)' },
+      { flag: '--set', description: 'New rate limit as <requests>/<second|minute|hour>' },
+      { flag: '--burst', description: 'Burst size for the new rate limit' },
+      { flag: '--clear', description: 'Remove the key\'s own limit so the namespace default applies' }
     ]
   },
   rotate: {
     description: 'Rotate API keys',
     usage: 'rotate [options]',
     options: [
-      { flag: '--namespace, -n', description: 'KV namespace binding name (required)' },
+      ...storageHelp,
       { flag: '--encryption-key, -e', description: 'Encryption key (required)' },
-      { flag: '--count, -c', description: 'Number of new keys to generate (default: 5)' },
+      { flag: '--old-keys, -k', description: 'File with the keys being replaced, each gets a linked new key' },
+      { flag: '--overlap', description: 'Days old keys keep working after rotation (default: 30)' },
+      { flag: '--sunset', description: 'Date (ISO 8601) old keys stop working, overrides --overlap' },
+      { flag: '--count, -c', description: 'Number of new keys to generate without --old-keys (default: 5)' },
       { flag: '--output, -o', description: 'Output file for new keys' }
     ]
   },
   verify: {
-    description: 'Verify an API key',
-    usage: 'verify <key> <encrypted-keys-file> <encryption-key>',
+    description: 'Verify an API key against KV or an exported keys file',
+    usage: 'verify <key> [options]',
     options: [
       { flag: '<key>', description: 'API key to verify' },
-      { flag: '<encrypted-keys-file>', description: 'File with encrypted keys' },
-      { flag: '<encryption-key>', description: 'Encryption key' }
+      ...storageHelp,
+      { flag: '--file, -f', description: 'Exported encrypted keys file to check instead of KV' },
+      { flag: '--encryption-key, -e', description: 'Encryption key (required)' }
+    ]
+  },
+  migrate: {
+    description: 'Move legacy KV entries to the indexed key layout',
+    usage: 'migrate [options]',
+    options: [
+      ...storageHelp,
+      { flag: '--encryption-key, -e', description: 'Encryption key (required)' },
+      { flag: '--keep-legacy, -k', description: 'Keep legacy entries after migrating them' }
+    ]
+  },
+  list: {
+    description: 'List stored keys with masked key material',
+    usage: 'list [options]',
+    options: [
+      ...storageHelp,
+      { flag: '--encryption-key, -e', description: 'Encryption key (required)' },
+      { flag: '--json', description: 'Print JSON instead of a table' }
+    ]
+  },
+  inspect: {
+    description: 'Show the full record of a key',
+    usage: 'inspect <key-or-id> [options]',
+    options: [
+      { flag: '<key-or-id>', description: 'Plaintext API key, 16-character key ID or label' },
+      ...storageHelp,
+      { flag: '--encryption-key, -e', description: 'Encryption key (required)' },
+      { flag: '--json', description: 'Print JSON instead of a summary' }
+    ]
+  },
+  revoke: {
+    description: 'Revoke API keys by key, key ID or label',
+    usage: 'revoke <key-or-id-or-label> [options]',
+    options: [
+      { flag: '<key-or-id-or-label>', description: 'Plaintext API key, 16-character key ID or label' },
+      ...storageHelp,
+      { flag: '--encryption-key, -e', description: 'Encryption key (required)' },
+      { flag: '--reason, -r', description: 'Reason recorded with the revocation' },
+      { flag: '--delete', description: 'Delete the entry instead of marking it revoked' },
+      { flag: '--all', description: 'Revoke every key when a label matches several' }
+    ]
+  },
+  rekey: {
+    description: 'Re-encrypt every key with a new encryption key (signed URLs issued before it stop working)',
+    usage: 'rekey [options]',
+    options: [
+      ...storageHelp,
+      { flag: '--old-key', description: 'Current encryption key (required)' },
+      { flag: '--new-key', description: 'New encryption key (without it, one is generated and printed with the deploy steps, and nothing is written)' },
+      { flag: '--prune', description: 'Remove the entries under the old key IDs (once the Worker has both keys)' },
+      { flag: '--dry-run', description: 'Only show which keys would be re-encrypted' }
+    ]
+  },
+  backup: {
+    description: 'Export every entry into an encrypted backup archive',
+    usage: 'backup --output <file> [options]',
+    options: [
+      { flag: '--output, -o', description: 'Archive file to write (required)' },
+      ...storageHelp,
+      { flag: '--passphrase, -p', description: `Backup passphrase, at least ${MIN_PASSPHRASE_LENGTH} characters (default: BACKUP_PASSPHRASE)` }
+    ]
+  },
+  restore: {
+    description: 'Restore entries from an encrypted backup archive',
+    usage: 'restore <archive> [options]',
+    options: [
+      { flag: '<archive>', description: 'Archive file written by backup' },
+      ...storageHelp,
+      { flag: '--passphrase, -p', description: 'Backup passphrase (default: BACKUP_PASSPHRASE)' },
+      { flag: '--on-conflict', description: `What to do with entries stored with a different value: ${CONFLICT_POLICIES.join(', ')} (default: skip)` },
+      { flag: '--dry-run', description: 'Only show what would be restored' }
+    ]
+  },
+  usage: {
+    description: 'Show per-key request counts for a month',
+    usage: 'usage [options]',
+    options: [
+      ...storageHelp,
+      { flag: '--month, -m', description: 'Month as YYYY-MM (default: current month, UTC)' },
+      { flag: '--json', description: 'Print JSON instead of a table' }
+    ]
+  },
+  stale: {
+    description: 'List keys that have not been used for a number of days',
+    usage: 'stale [options]',
+    options: [
+      ...storageHelp,
+      { flag: '--days, -d', description: 'Days without use after which a key is stale (default: 90)' },
+      { flag: '--disable', description: 'Disable the stale keys that are still active' },
+      { flag: '--json', description: 'Print JSON instead of a table' }
+    ]
+  },
+  abuse: {
+    description: 'List client IPs and key prefix hashes locked out for sending invalid keys',
+    usage: 'abuse [options]',
+    options: [
+      ...storageHelp,
+      { flag: '--active', description: 'Only show lockouts that have not ended yet' },
+      { flag: '--json', description: 'Print JSON instead of a table' }
+    ]
+  },
+  'sign-url': {
+    description: 'Create a signed, expiring URL that works without an API key',
+    usage: 'sign-url <url> [options]',
+    options: [
+      { flag: '<url>', description: 'URL of the protected resource' },
+      { flag: '--key, -k', description: 'API key the URL stands in for (required)' },
+      { flag: '--encryption-key, -e', description: 'Encryption key (required)' },
+      { flag: '--expires', description: 'Lifetime as seconds or with a unit, e.g. 15m, 2h, 7d (default: 1h)' },
+      { flag: '--path', description: 'Prefix or glob the URL is valid for, which must cover the URL path (default: exactly the URL path)' },
+      { flag: '--ip', description: 'Client IPv4 or IPv6 address to bind the URL to' }
     ]
   },
   encrypt: {
@@ -79,8 +280,85 @@ const commands = {
   }
 };
 
-// Parse command line args
-function parseArgs() {
+// Flags that set key metadata, mapped to the key record field they fill
+const metadataFlags = {
+  '--owner': 'owner',
+  '--label': 'label',
+  '--expires': 'expiresAt',
+  '--status': 'status',
+  '--quota': 'monthlyQuota',
+  '--origin': 'origin',
+  '--allowed-origins': 'allowedOrigins'
+};
+
+// Flags that set key scopes, mapped to the scope list they fill
+const scopeFlags = {
+  '--paths': 'paths',
+  '--methods': 'methods'
+};
+
+// Flags that set key network restrictions, mapped to the list they fill
+const networkFlags = {
+  '--ips': 'ips',
+  '--countries': 'countries',
+  '--blocked-countries': 'blockedCountries'
+};
+
+// Flags that select the storage backend, mapped to the createStorage option they fill
+const storageFlags = {
+  '--namespace': 'namespace',
+  '-n': 'namespace',
+  '--storage': 'backend',
+  '--namespace-id': 'namespaceId',
+  '--account-id': 'accountId',
+  '--kv-file': 'file'
+};
+
+// Parse a storage flag at args[i] into storageOptions
+// Returns the index of the last argument consumed, or -1 if args[i] is not a storage flag
+function parseStorageFlag(args, i, storageOptions) {
+  if (!storageFlags[args[i]]) {
+    return -1;
+  }
+  
+  storageOptions[storageFlags[args[i]]] = args[i + 1];
+  return i + 1;
+}
+
+// Open the storage backend selected by the storage flags, exits if it isn't fully configured
+function openStorage(storageOptions) {
+  try {
+    return createStorage(storageOptions);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Parse a key metadata flag at args[i] into metadata
+// Returns the index of the last argument consumed, or -1 if args[i] is not a metadata flag
+function parseMetadataFlag(args, i, metadata) {
+  const arg = args[i];
+  
+  if (metadataFlags[arg]) {
+    metadata[metadataFlags[arg]] = args[i + 1];
+  } else if (scopeFlags[arg]) {
+    metadata.scopes = { ...metadata.scopes, [scopeFlags[arg]]: args[i + 1] };
+  } else if (networkFlags[arg]) {
+    metadata.network = { ...metadata.network, [networkFlags[arg]]: args[i + 1] };
+  } else if (arg === '--rate-limit') {
+    metadata.rateLimit = { ...metadata.rateLimit, ...parseRateLimitSpec(args[i + 1]) };
+  } else if (arg === '--burst') {
+    metadata.rateLimit = { ...metadata.rateLimit, burst: Number(args[i + 1]) };
+  } else {
+    return -1;
+  }
+  
+  return i + 1;
+}
+
+// Parse command line args and run the command
+async function parseArgs() {
   const args = process.argv.slice(2);
   const command = args[0] || 'help';
   
@@ -98,19 +376,55 @@ function parseArgs() {
   // Execute command
   switch (command) {
     case 'generate':
-      executeGenerateCommand(args.slice(1));
+      await executeGenerateCommand(args.slice(1));
       break;
     case 'upload':
-      executeUploadCommand(args.slice(1));
+      await executeUploadCommand(args.slice(1));
       break;
     case 'rotate':
-      executeRotateCommand(args.slice(1));
+      await executeRotateCommand(args.slice(1));
       break;
     case 'verify':
-      executeVerifyCommand(args.slice(1));
+      await executeVerifyCommand(args.slice(1));
+      break;
+    case 'migrate':
+      await executeMigrateCommand(args.slice(1));
+      break;
+    case 'rate-limit':
+      await executeRateLimitCommand(args.slice(1));
+      break;
+    case 'list':
+      await executeListCommand(args.slice(1));
+      break;
+    case 'inspect':
+      await executeInspectCommand(args.slice(1));
+      break;
+    case 'revoke':
+      await executeRevokeCommand(args.slice(1));
+      break;
+    case 'rekey':
+      await executeRekeyCommand(args.slice(1));
+      break;
+    case 'backup':
+      await executeBackupCommand(args.slice(1));
+      break;
+    case 'restore':
+      await executeRestoreCommand(args.slice(1));
+      break;
+    case 'usage':
+      await executeUsageCommand(args.slice(1));
+      break;
+    case 'stale':
+      await executeStaleCommand(args.slice(1));
+      break;
+    case 'abuse':
+      await executeAbuseCommand(args.slice(1));
+      break;
+    case 'sign-url':
+      await executeSignUrlCommand(args.slice(1));
       break;
     case 'encrypt':
-      executeEncryptCommand(args.slice(1));
+      await executeEncryptCommand(args.slice(1));
       break;
     default:
       console.error(`Unknown command: ${command}`);
@@ -154,6 +468,7 @@ function executeGenerateCommand(args) {
   let prefix = 'api-key-';
   let useSpecialChars = false;
   let length = 32;
+  const metadata = {};
   
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
@@ -168,6 +483,8 @@ function executeGenerateCommand(args) {
       useSpecialChars = true;
     } else if (arg === '--length' || arg === '-l') {
       length = parseInt(args[++i], 10);
+    } else if (parseMetadataFlag(args, i, metadata) !== -1) {
+      i++;
     }
   }
   
@@ -179,35 +496,109 @@ function executeGenerateCommand(args) {
     formatted: true
   });
   
-  // Save to file
-  saveApiKeysToFile(apiKeys, outputFile);
+  // Without metadata keep the plain string array format
+  if (Object.keys(metadata).length === 0) {
+    saveApiKeysToFile(apiKeys, outputFile);
+    return;
+  }
+  
+  // Validate the metadata once, then write key objects without the unset fields
+  try {
+    const { key: _placeholder, provided: _provided, ...fields } = normalizeKeyEntry({ key: 'placeholder', ...metadata });
+    const setFields = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== null));
+    const entries = apiKeys.map(key => ({ key, ...setFields }));
+    saveApiKeysToFile(entries, outputFile);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
 }
 
 // Execute the upload command
 async function executeUploadCommand(args) {
-  if (args.length < 2) {
+  // Split positional arguments from flags
+  const positional = [];
+  const metadata = {};
+  const storageOptions = {};
+  let encryptionKey = '';
+  let format;
+  let dryRun = false;
+  let setSecret = false;
+  
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    
+    if (arg === '--set-secret' || arg === '-s') {
+      setSecret = true;
+    } else if (arg === '--encryption-key' || arg === '-e') {
+      encryptionKey = args[++i];
+    } else if (arg === '--format') {
+      format = args[++i];
+    } else if (arg === '--dry-run') {
+      dryRun = true;
+    } else if (parseMetadataFlag(args, i, metadata) !== -1) {
+      i++;
+    } else if (parseStorageFlag(args, i, storageOptions) !== -1) {
+      i++;
+    } else {
+      positional.push(arg);
+    }
+  }
+  
+  if (positional.length < 1) {
     console.error('Error: Missing required arguments');
     showCommandHelp('upload');
     process.exit(1);
   }
   
-  const filePath = args[0];
-  const namespace = args[1];
-  let encryptionKey = args[2];
-  let setSecret = false;
+  const [filePath] = positional;
+  storageOptions.namespace = storageOptions.namespace || positional[1];
+  encryptionKey = encryptionKey || positional[2];
+  const storage = openStorage(storageOptions);
   
-  // Check for --set-secret flag
-  if (args.includes('--set-secret') || args.includes('-s')) {
-    setSecret = true;
+  if (format !== undefined && !IMPORT_FORMATS.includes(format)) {
+    console.error(`Error: --format must be one of ${IMPORT_FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+  
+  if (encryptionKey && !isValidEncryptionKey(encryptionKey)) {
+    console.error('Error: Invalid encryption key format');
+    process.exit(1);
+  }
+  
+  // A dry run compares against stored keys, which needs the namespace's encryption key
+  if (dryRun && !encryptionKey) {
+    console.error('Error: --dry-run needs the encryption key the namespace uses');
+    process.exit(1);
+  }
+  
+  // Read and validate every entry before anything is written
+  const apiKeys = readApiKeysFromFile(filePath, metadata, format);
+  
+  if (dryRun) {
+    const plan = await planKeyUpload(apiKeys, storage, encryptionKey);
+    const count = action => plan.filter(step => step.action === action).length;
+    
+    console.log(`📋 Dry run against ${storage.description}, nothing was written\n`);
+    plan.forEach(({ action, entry, changes, reason }) => {
+      const key = `${entry.key.substring(0, 3)}...`;
+      const label = entry.label ? ` (${entry.label})` : '';
+      if (action === 'add') {
+        console.log(`  + add     ${key}${label}`);
+      } else if (action === 'update') {
+        console.log(`  ~ update  ${key}${label}: ${changes.join(', ')}`);
+      } else {
+        console.log(`  = skip    ${key}${label}: ${reason}`);
+      }
+    });
+    console.log(`\n${count('add')} to add, ${count('update')} to update, ${count('skip')} to skip`);
+    return;
   }
   
   // Generate encryption key if not provided
   if (!encryptionKey) {
     encryptionKey = generateEncryptionKey();
     console.log(`\n🔑 Generated encryption key: ${encryptionKey}`);
-  } else if (!isValidEncryptionKey(encryptionKey)) {
-    console.error('Error: Invalid encryption key format');
-    process.exit(1);
   }
   
   // Store encryption key in a JSON file temporarily
@@ -224,38 +615,49 @@ async function executeUploadCommand(args) {
     console.log(`\n🔒 After setting the secret, delete ${metadataFile} for security.`);
   }
   
-  // Read and upload API keys
-  const apiKeys = readApiKeysFromFile(filePath);
-  console.log(`\n📤 Uploading ${apiKeys.length} API keys to ${namespace}...`);
-  await uploadApiKeys(apiKeys, namespace, encryptionKey);
+  // Upload API keys
+  console.log(`\n📤 Uploading ${apiKeys.length} API keys to ${storage.description}...`);
+  const { added, updated, skipped, failed } = await uploadApiKeys(apiKeys, storage, encryptionKey);
   
-  console.log('\n✅ API keys uploaded successfully!');
+  if (failed > 0) {
+    process.exit(1);
+  }
+  console.log(`\n✅ API keys uploaded successfully! ${added} added, ${updated} updated, ${skipped} skipped`);
 }
 
 // Execute the rotate command
 async function executeRotateCommand(args) {
   // Parse options
-  let namespace = '';
+  const storageOptions = {};
   let encryptionKey = '';
   let count = 5;
   let outputFile = '';
+  let oldKeysFile = '';
+  let overlapDays;
+  let sunsetAt;
   
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
     
-    if (arg === '--namespace' || arg === '-n') {
-      namespace = args[++i];
+    if (parseStorageFlag(args, i, storageOptions) !== -1) {
+      i++;
     } else if (arg === '--encryption-key' || arg === '-e') {
       encryptionKey = args[++i];
     } else if (arg === '--count' || arg === '-c') {
       count = parseInt(args[++i], 10);
     } else if (arg === '--output' || arg === '-o') {
       outputFile = args[++i];
+    } else if (arg === '--old-keys' || arg === '-k') {
+      oldKeysFile = args[++i];
+    } else if (arg === '--overlap') {
+      overlapDays = Number(args[++i]);
+    } else if (arg === '--sunset') {
+      sunsetAt = args[++i];
     }
   }
   
   // Validate required options
-  if (!namespace || !encryptionKey) {
+  if (!encryptionKey) {
     console.error('Error: Missing required arguments');
     showCommandHelp('rotate');
     process.exit(1);
@@ -267,35 +669,827 @@ async function executeRotateCommand(args) {
     process.exit(1);
   }
   
+  if (overlapDays !== undefined && !(overlapDays >= 0)) {
+    console.error('Error: --overlap must be a number of days');
+    process.exit(1);
+  }
+  
+  if (sunsetAt !== undefined) {
+    if (Number.isNaN(Date.parse(sunsetAt))) {
+      console.error('Error: --sunset must be an ISO 8601 date');
+      process.exit(1);
+    }
+    sunsetAt = new Date(Date.parse(sunsetAt)).toISOString();
+  }
+  
   // Rotate keys
   await rotateApiKeys({
-    namespace,
+    oldKeysFile,
+    storage: openStorage(storageOptions),
     encryptionKey,
     newKeysCount: count,
-    outputFile
+    outputFile,
+    overlapDays,
+    sunsetAt
   });
 }
 
 // Execute the verify command
-function executeVerifyCommand(args) {
-  if (args.length < 3) {
+async function executeVerifyCommand(args) {
+  // Parse options
+  const positional = [];
+  const storageOptions = {};
+  let encryptedKeysFile = '';
+  let encryptionKey = '';
+  
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    
+    if (parseStorageFlag(args, i, storageOptions) !== -1) {
+      i++;
+    } else if (arg === '--file' || arg === '-f') {
+      encryptedKeysFile = args[++i];
+    } else if (arg === '--encryption-key' || arg === '-e') {
+      encryptionKey = args[++i];
+    } else {
+      positional.push(arg);
+    }
+  }
+  
+  // Also accept the original "verify <key> <encrypted-keys-file> <encryption-key>" form
+  const [apiKey] = positional;
+  if (positional.length >= 3) {
+    encryptedKeysFile = positional[1];
+    encryptionKey = positional[2];
+  }
+  
+  // Validate required options
+  if (!apiKey || !encryptionKey) {
     console.error('Error: Missing required arguments');
     showCommandHelp('verify');
     process.exit(1);
   }
   
-  const apiKey = args[0];
-  const encryptedKeysFile = args[1];
-  const encryptionKey = args[2];
-  
   // Verify encryption key
   if (!isValidEncryptionKey(encryptionKey)) {
     console.error('Error: Invalid encryption key format');
     process.exit(1);
   }
   
-  // Read encrypted keys
-  console.log('Not yet implemented'); // Placeholder
+  let match;
+  let source;
+  if (encryptedKeysFile) {
+    let entries;
+    try {
+      entries = readEncryptedKeysFile(encryptedKeysFile);
+    } catch (error) {
+      console.error(`Error: Could not read ${encryptedKeysFile}: ${error.message}`);
+      process.exit(1);
+    }
+    match = findKeyInEntries(apiKey, entries, encryptionKey);
+    source = encryptedKeysFile;
+  } else {
+    const storage = openStorage(storageOptions);
+    match = await getKeyRecord(apiKey, storage, encryptionKey);
+    source = storage.description;
+  }
+  
+  if (!match) {
+    console.error(`❌ API key ${apiKey.substring(0, 3)}... was not found in ${source}`);
+    process.exit(1);
+  }
+  
+  const { record } = match;
+  let id = 'an unnamed entry';
+  if (match.name) {
+    id = match.name.startsWith(KEY_INDEX_PREFIX) ? `key ${keyIdFromName(match.name)}` : 'a legacy entry';
+  }
+  const scopes = record.scopes || {};
+  const network = record.network || {};
+  
+  console.log(`🔑 API key ${apiKey.substring(0, 3)}... matches ${id} in ${source}`);
+  console.log(`  Owner:         ${record.owner || '-'}`);
+  console.log(`  Label:         ${record.label || '-'}`);
+  console.log(`  Status:        ${record.status || 'active'}`);
+  console.log(`  Expires:       ${record.expiresAt || 'never'}`);
+  if (record.sunsetAt) {
+    console.log(`  Sunset:        ${record.sunsetAt}`);
+  }
+  console.log(`  Paths:         ${scopes.paths ? scopes.paths.join(', ') : 'all'}`);
+  console.log(`  Methods:       ${scopes.methods ? scopes.methods.join(', ') : 'all'}`);
+  console.log(`  IPs:           ${network.ips ? network.ips.join(', ') : 'any'}`);
+  console.log(`  Countries:     ${network.countries ? network.countries.join(', ') : 'any'}`);
+  if (network.blockedCountries) {
+    console.log(`  Blocked:       ${network.blockedCountries.join(', ')}`);
+  }
+  console.log(`  Web origins:   ${record.allowedOrigins ? record.allowedOrigins.join(', ') : 'any'}`);
+  console.log(`  Rate limit:    ${formatRateLimit(record.rateLimit)}`);
+  console.log(`  Monthly quota: ${record.monthlyQuota || 'none'}`);
+  console.log(`  Origin:        ${record.origin || 'from the route'}`);
+  
+  const rejectionReason = getKeyRejectionReason(record);
+  if (rejectionReason) {
+    console.error(`\n❌ The Worker would reject this key: ${rejectionReason}`);
+    process.exit(1);
+  }
+  
+  console.log('\n✅ API key is valid');
+}
+
+// Execute the migrate command
+async function executeMigrateCommand(args) {
+  // Parse options
+  const storageOptions = {};
+  let encryptionKey = '';
+  let keepLegacy = false;
+  
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    
+    if (parseStorageFlag(args, i, storageOptions) !== -1) {
+      i++;
+    } else if (arg === '--encryption-key' || arg === '-e') {
+      encryptionKey = args[++i];
+    } else if (arg === '--keep-legacy' || arg === '-k') {
+      keepLegacy = true;
+    }
+  }
+  
+  // Validate required options
+  if (!encryptionKey) {
+    console.error('Error: Missing required arguments');
+    showCommandHelp('migrate');
+    process.exit(1);
+  }
+  
+  // Validate encryption key
+  if (!isValidEncryptionKey(encryptionKey)) {
+    console.error('Error: Invalid encryption key format');
+    process.exit(1);
+  }
+  
+  const storage = openStorage(storageOptions);
+  const { migrated, skipped } = await migrateLegacyKeys({ storage, encryptionKey, keepLegacy });
+  
+  console.log(`\n🔄 Migration complete: ${migrated} migrated, ${skipped} skipped`);
+  if (skipped > 0) {
+    process.exit(1);
+  }
+}
+
+// Execute the rate-limit command
+async function executeRateLimitCommand(args) {
+  // Parse options
+  let apiKey = '';
+  const storageOptions = {};
+  let encryptionKey = '';
+  let newLimit = null;
+  let burst;
+  let clear = false;
+  
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    
+    if (parseStorageFlag(args, i, storageOptions) !== -1) {
+      i++;
+    } else if (arg === '--encryption-key' || arg === '-e') {
+      encryptionKey = args[++i];
+    } else if (arg === '--set') {
+      newLimit = parseRateLimitSpec(args[++i]);
+    } else if (arg === '--burst') {
+      burst = Number(args[++i]);
+    } else if (arg === '--clear') {
+      clear = true;
+    } else {
+      apiKey = arg;
+    }
+  }
+  
+  // Validate required options
+  if (!apiKey || !encryptionKey) {
+    console.error('Error: Missing required arguments');
+    showCommandHelp('rate-limit');
+    process.exit(1);
+  }
+  
+  if (!isValidEncryptionKey(encryptionKey)) {
+    console.error('Error: Invalid encryption key format');
+    process.exit(1);
+  }
+  
+  const storage = openStorage(storageOptions);
+  const stored = await getKeyRecord(apiKey, storage, encryptionKey);
+  if (!stored) {
+    console.error(`Error: API key ${apiKey.substring(0, 3)}... not found in ${storage.description}`);
+    process.exit(1);
+  }
+  
+  // Only show the current limit
+  if (!newLimit && !clear) {
+    console.log(`Rate limit for ${apiKey.substring(0, 3)}...: ${formatRateLimit(stored.record.rateLimit)}`);
+    return;
+  }
+  
+  let rateLimit = null;
+  if (newLimit) {
+    try {
+      rateLimit = normalizeRateLimit(burst === undefined ? newLimit : { ...newLimit, burst });
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  }
+  
+  try {
+    await storage.put(stored.name, JSON.stringify({ ...stored.record, rateLimit }));
+    console.log(`✅ Rate limit for ${apiKey.substring(0, 3)}... set to ${formatRateLimit(rateLimit)}`);
+  } catch (error) {
+    console.error(`❌ Failed to update rate limit for ${apiKey.substring(0, 3)}...`);
+    process.exit(1);
+  }
+}
+
+// Parse the storage, --encryption-key and --json options shared by list and inspect
+function parseReadOptions(args) {
+  const options = { query: '', storageOptions: {}, encryptionKey: '', json: false };
+  
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    
+    if (parseStorageFlag(args, i, options.storageOptions) !== -1) {
+      i++;
+    } else if (arg === '--encryption-key' || arg === '-e') {
+      options.encryptionKey = args[++i];
+    } else if (arg === '--json') {
+      options.json = true;
+    } else {
+      options.query = arg;
+    }
+  }
+  
+  return options;
+}
+
+// Execute the list command
+async function executeListCommand(args) {
+  const { storageOptions, encryptionKey, json } = parseReadOptions(args);
+  
+  // Validate required options
+  if (!encryptionKey) {
+    console.error('Error: Missing required arguments');
+    showCommandHelp('list');
+    process.exit(1);
+  }
+  
+  if (!isValidEncryptionKey(encryptionKey)) {
+    console.error('Error: Invalid encryption key format');
+    process.exit(1);
+  }
+  
+  const storage = openStorage(storageOptions);
+  const lastUsed = await getLastUsed(storage);
+  const keys = (await listKeyRecords(storage)).map(key => describeKeyRecord(key, encryptionKey, lastUsed.get(key.name)));
+  
+  if (json) {
+    console.log(JSON.stringify({ keys }, null, 2));
+    return;
+  }
+  
+  if (keys.length === 0) {
+    console.log(`No keys stored in ${storage.description}`);
+    return;
+  }
+  
+  console.log(`${keys.length} keys in ${storage.description}\n`);
+  console.log(`${'Key ID'.padEnd(18)}${'Key'.padEnd(22)}${'Label'.padEnd(24)}${'Status'.padEnd(10)}${'Expires'.padEnd(26)}Last used`);
+  keys.forEach(key => {
+    console.log(
+      `${key.id.padEnd(18)}${(key.key || '(other key)').substring(0, 21).padEnd(22)}` +
+      `${(key.label || '-').padEnd(24)}${key.state.padEnd(10)}` +
+      `${(key.expiresAt || 'never').padEnd(26)}${key.lastUsedAt || '-'}`
+    );
+  });
+  
+  const unreadable = keys.filter(key => key.key === null).length;
+  if (unreadable > 0) {
+    console.log(`\n⚠️ ${unreadable} keys were not encrypted with this encryption key`);
+  }
+}
+
+// Execute the inspect command
+async function executeInspectCommand(args) {
+  const { query, storageOptions, encryptionKey, json } = parseReadOptions(args);
+  
+  // Validate required options
+  if (!query || !encryptionKey) {
+    console.error('Error: Missing required arguments');
+    showCommandHelp('inspect');
+    process.exit(1);
+  }
+  
+  if (!isValidEncryptionKey(encryptionKey)) {
+    console.error('Error: Invalid encryption key format');
+    process.exit(1);
+  }
+  
+  const storage = openStorage(storageOptions);
+  const matches = await findKeyRecords(query, storage, encryptionKey);
+  
+  if (matches.length === 0) {
+    console.error(`Error: No key matches ${query.substring(0, 3)}...`);
+    process.exit(1);
+  }
+  
+  const lastUsed = await getLastUsed(storage);
+  const keys = matches.map(key => describeKeyRecord(key, encryptionKey, lastUsed.get(key.name)));
+  
+  if (json) {
+    console.log(JSON.stringify(keys.length === 1 ? keys[0] : { keys }, null, 2));
+    return;
+  }
+  
+  keys.forEach((key, index) => {
+    if (index > 0) {
+      console.log('');
+    }
+    console.log(`🔑 Key ${key.id}`);
+    for (const [field, value] of Object.entries(key)) {
+      if (field !== 'id') {
+        const text = value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+        console.log(`  ${(field + ':').padEnd(16)}${value === null ? '-' : text}`);
+      }
+    }
+  });
+}
+
+// Execute the revoke command
+async function executeRevokeCommand(args) {
+  // Parse options
+  let query = '';
+  const storageOptions = {};
+  let encryptionKey = '';
+  let reason = null;
+  let deleteEntry = false;
+  let all = false;
+  
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    
+    if (parseStorageFlag(args, i, storageOptions) !== -1) {
+      i++;
+    } else if (arg === '--encryption-key' || arg === '-e') {
+      encryptionKey = args[++i];
+    } else if (arg === '--reason' || arg === '-r') {
+      reason = args[++i];
+    } else if (arg === '--delete') {
+      deleteEntry = true;
+    } else if (arg === '--all') {
+      all = true;
+    } else {
+      query = arg;
+    }
+  }
+  
+  // Validate required options
+  if (!query || !encryptionKey) {
+    console.error('Error: Missing required arguments');
+    showCommandHelp('revoke');
+    process.exit(1);
+  }
+  
+  if (!isValidEncryptionKey(encryptionKey)) {
+    console.error('Error: Invalid encryption key format');
+    process.exit(1);
+  }
+  
+  const storage = openStorage(storageOptions);
+  const matches = await findKeyRecords(query, storage, encryptionKey);
+  
+  if (matches.length === 0) {
+    console.error(`Error: No key matches ${query.substring(0, 3)}...`);
+    process.exit(1);
+  }
+  
+  if (matches.length > 1 && !all) {
+    console.error(`Error: ${matches.length} keys have the label "${query}", pass --all to revoke them all`);
+    process.exit(1);
+  }
+  
+  const revoked = await revokeKeyRecords(matches, storage, { deleteEntry, reason });
+  
+  console.log(`\n🚫 Revoked ${revoked} of ${matches.length} API keys`);
+  if (revoked < matches.length) {
+    process.exit(1);
+  }
+}
+
+// Execute the rekey command
+async function executeRekeyCommand(args) {
+  // Parse options
+  const storageOptions = {};
+  let oldKey = '';
+  let newKey = '';
+  let prune = false;
+  let dryRun = false;
+  
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    
+    if (parseStorageFlag(args, i, storageOptions) !== -1) {
+      i++;
+    } else if (arg === '--old-key') {
+      oldKey = args[++i];
+    } else if (arg === '--new-key') {
+      newKey = args[++i];
+    } else if (arg === '--prune') {
+      prune = true;
+    } else if (arg === '--dry-run') {
+      dryRun = true;
+    }
+  }
+  
+  // Validate required options
+  if (!oldKey) {
+    console.error('Error: Missing required arguments');
+    showCommandHelp('rekey');
+    process.exit(1);
+  }
+  
+  if (!isValidEncryptionKey(oldKey) || (newKey && !isValidEncryptionKey(newKey))) {
+    console.error('Error: Invalid encryption key format');
+    process.exit(1);
+  }
+  
+  // A generated key isn't deployed yet, so nothing is written with it
+  if (!newKey) {
+    newKey = generateEncryptionKey();
+    console.log(`\n🔑 Generated new encryption key: ${newKey}`);
+    console.log('\n⚠️ Deploy it alongside the old key before rekeying:');
+    console.log(`npx wrangler secret put ENCRYPTION_KEY_PREVIOUS --text "${oldKey}"`);
+    console.log(`npx wrangler secret put ENCRYPTION_KEY --text "${newKey}"`);
+    console.log(`\nThen run the rekey again with --new-key "${newKey}"`);
+    return;
+  }
+  
+  const storage = openStorage(storageOptions);
+  const { rekeyed, pruned, skipped, failed } = await rekeyNamespace({ storage, oldKey, newKey, prune, dryRun });
+  
+  console.log(`\n🔄 Rekey ${dryRun ? 'dry run ' : ''}complete: ${rekeyed} re-encrypted, ${pruned} old entries removed, ${skipped} already current, ${failed} failed`);
+  if (failed > 0) {
+    process.exit(1);
+  }
+  if (!dryRun && !prune) {
+    console.log('🧹 Once the Worker has both keys, remove the old entries with: rekey --prune (same options)');
+  } else if (!dryRun) {
+    console.log('🔒 Remove the old key with: npx wrangler secret delete ENCRYPTION_KEY_PREVIOUS');
+  }
+}
+
+// Execute the backup command
+async function executeBackupCommand(args) {
+  // Parse options
+  const storageOptions = {};
+  let outputFile = '';
+  let passphrase = process.env.BACKUP_PASSPHRASE || '';
+  
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    
+    if (parseStorageFlag(args, i, storageOptions) !== -1) {
+      i++;
+    } else if (arg === '--output' || arg === '-o') {
+      outputFile = args[++i];
+    } else if (arg === '--passphrase' || arg === '-p') {
+      passphrase = args[++i];
+    }
+  }
+  
+  // Validate required options
+  if (!outputFile || !passphrase) {
+    console.error('Error: Missing required arguments');
+    showCommandHelp('backup');
+    process.exit(1);
+  }
+  
+  const storage = openStorage(storageOptions);
+  
+  try {
+    const archive = await createBackup(storage, passphrase);
+    writeBackupFile(archive, outputFile);
+    console.log(`\n💾 Backed up ${archive.entryCount} entries from ${storage.description} to ${outputFile}`);
+    console.log('🔐 Keep the passphrase safe, the archive cannot be restored without it');
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Execute the restore command
+async function executeRestoreCommand(args) {
+  // Parse options
+  const storageOptions = {};
+  let archiveFile = '';
+  let passphrase = process.env.BACKUP_PASSPHRASE || '';
+  let onConflict = 'skip';
+  let dryRun = false;
+  
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    
+    if (parseStorageFlag(args, i, storageOptions) !== -1) {
+      i++;
+    } else if (arg === '--passphrase' || arg === '-p') {
+      passphrase = args[++i];
+    } else if (arg === '--on-conflict') {
+      onConflict = args[++i];
+    } else if (arg === '--dry-run') {
+      dryRun = true;
+    } else if (!archiveFile) {
+      archiveFile = arg;
+    }
+  }
+  
+  // Validate required options
+  if (!archiveFile || !passphrase) {
+    console.error('Error: Missing required arguments');
+    showCommandHelp('restore');
+    process.exit(1);
+  }
+  
+  if (!CONFLICT_POLICIES.includes(onConflict)) {
+    console.error(`Error: --on-conflict must be one of ${CONFLICT_POLICIES.join(', ')}`);
+    process.exit(1);
+  }
+  
+  let entries;
+  try {
+    const archive = readBackupFile(archiveFile);
+    entries = openBackup(archive, passphrase);
+    console.log(`\n📦 Backup from ${archive.createdAt} with ${entries.length} entries`);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+  
+  const storage = openStorage(storageOptions);
+  
+  try {
+    const { restored, unchanged, conflicts, overwritten, expired } = await restoreBackup(entries, storage, { onConflict, dryRun });
+    
+    conflicts.forEach(name => {
+      console.log(`${onConflict === 'overwrite' ? '~ overwrite' : '= keep'}  ${name}`);
+    });
+    console.log(
+      `\n♻️ Restore ${dryRun ? 'dry run ' : ''}into ${storage.description} complete: ` +
+      `${restored} restored, ${overwritten} overwritten, ${unchanged} unchanged, ${conflicts.length - overwritten} conflicts kept, ${expired} expired`
+    );
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Execute the usage command
+async function executeUsageCommand(args) {
+  // Parse options
+  const storageOptions = {};
+  let month = new Date().toISOString().slice(0, 7);
+  let json = false;
+  
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    
+    if (parseStorageFlag(args, i, storageOptions) !== -1) {
+      i++;
+    } else if (arg === '--month' || arg === '-m') {
+      month = args[++i];
+    } else if (arg === '--json') {
+      json = true;
+    }
+  }
+  
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+    console.error('Error: Invalid month, expected YYYY-MM');
+    process.exit(1);
+  }
+  
+  const rows = await getUsageReport(openStorage(storageOptions), month);
+  
+  if (json) {
+    console.log(JSON.stringify({ month, keys: rows }, null, 2));
+    return;
+  }
+  
+  if (rows.length === 0) {
+    console.log(`No usage recorded for ${month}`);
+    return;
+  }
+  
+  console.log(`Usage for ${month}\n`);
+  console.log(`${'Key ID'.padEnd(18)}${'Owner'.padEnd(16)}${'Label'.padEnd(24)}${'Requests'.padStart(10)}${'Quota'.padStart(10)}`);
+  rows.forEach(row => {
+    console.log(
+      `${row.keyId.padEnd(18)}${(row.owner || '-').padEnd(16)}${(row.label || '-').padEnd(24)}` +
+      `${String(row.count).padStart(10)}${String(row.quota || '-').padStart(10)}`
+    );
+  });
+}
+
+// Execute the stale command
+async function executeStaleCommand(args) {
+  // Parse options
+  const storageOptions = {};
+  let days = 90;
+  let disable = false;
+  let json = false;
+  
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    
+    if (parseStorageFlag(args, i, storageOptions) !== -1) {
+      i++;
+    } else if (arg === '--days' || arg === '-d') {
+      days = Number(args[++i]);
+    } else if (arg === '--disable') {
+      disable = true;
+    } else if (arg === '--json') {
+      json = true;
+    }
+  }
+  
+  if (!Number.isInteger(days) || days <= 0) {
+    console.error('Error: --days must be a positive whole number');
+    process.exit(1);
+  }
+  
+  if (json && disable) {
+    console.error('Error: --json only lists keys, run --disable without it');
+    process.exit(1);
+  }
+  
+  const storage = openStorage(storageOptions);
+  const stale = findStaleKeys(await listKeyRecords(storage), await getLastUsed(storage), days);
+  
+  if (json) {
+    console.log(JSON.stringify({
+      days,
+      keys: stale.map(({ name, record, lastUsedAt, idleDays }) => ({
+        id: keyIdFromName(name),
+        owner: record.owner || null,
+        label: record.label || null,
+        status: record.status || 'active',
+        createdAt: record.createdAt || null,
+        lastUsedAt,
+        idleDays
+      }))
+    }, null, 2));
+  } else if (stale.length === 0) {
+    console.log(`No keys in ${storage.description} have gone unused for ${days} days`);
+  } else {
+    console.log(`${stale.length} keys in ${storage.description} unused for ${days} days or more\n`);
+    console.log(`${'Key ID'.padEnd(18)}${'Owner'.padEnd(16)}${'Label'.padEnd(24)}${'Status'.padEnd(10)}${'Last used'.padEnd(26)}Idle days`);
+    stale.forEach(({ name, record, lastUsedAt, idleDays }) => {
+      console.log(
+        `${keyIdFromName(name).padEnd(18)}${(record.owner || '-').padEnd(16)}${(record.label || '-').padEnd(24)}` +
+        `${(record.status || 'active').padEnd(10)}${(lastUsedAt || 'never').padEnd(26)}${idleDays === null ? '-' : idleDays}`
+      );
+    });
+  }
+  
+  if (!disable) {
+    return;
+  }
+  
+  const active = stale.filter(({ record }) => (record.status || 'active') === 'active');
+  if (active.length === 0) {
+    console.log('\nNo active stale keys to disable');
+    return;
+  }
+  
+  console.log('');
+  const disabled = await disableKeyRecords(active, storage);
+  console.log(`\n⏸️ Disabled ${disabled} of ${active.length} stale API keys`);
+  if (disabled < active.length) {
+    process.exit(1);
+  }
+}
+
+// Execute the abuse command
+async function executeAbuseCommand(args) {
+  // Parse options
+  const storageOptions = {};
+  let activeOnly = false;
+  let json = false;
+  
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    
+    if (parseStorageFlag(args, i, storageOptions) !== -1) {
+      i++;
+    } else if (arg === '--active') {
+      activeOnly = true;
+    } else if (arg === '--json') {
+      json = true;
+    }
+  }
+  
+  const storage = openStorage(storageOptions);
+  const lockouts = (await getLockoutReport(storage)).filter(({ active }) => active || !activeOnly);
+  
+  if (json) {
+    console.log(JSON.stringify({ lockouts }, null, 2));
+    return;
+  }
+  
+  if (lockouts.length === 0) {
+    console.log(`No ${activeOnly ? 'current ' : ''}lockouts recorded in ${storage.description}`);
+    return;
+  }
+  
+  const current = lockouts.filter(({ active }) => active).length;
+  console.log(`🚫 ${lockouts.length} lockouts in ${storage.description}, ${current} still in force\n`);
+  console.log(`${'Type'.padEnd(8)}${'Client or prefix hash'.padEnd(42)}${'Status'.padEnd(9)}${'Locked until'.padEnd(26)}${'Lockouts'.padStart(10)}${'Failures'.padStart(10)}`);
+  lockouts.forEach(({ kind, subject, lockedUntil, lockouts: count, totalFailures, active }) => {
+    console.log(
+      `${kind.padEnd(8)}${subject.padEnd(42)}${(active ? 'locked' : 'ended').padEnd(9)}${lockedUntil.padEnd(26)}` +
+      `${String(count).padStart(10)}${String(totalFailures).padStart(10)}`
+    );
+  });
+}
+
+// Seconds in each unit accepted by parseDuration
+const durationUnits = { s: 1, m: 60, h: 3600, d: 86400 };
+
+// Parse a duration such as 90, 15m, 2h or 7d into seconds, returns NaN if malformed
+function parseDuration(value) {
+  const match = /^(\d+)([smhd]?)$/.exec(String(value).trim());
+  return match ? Number(match[1]) * durationUnits[match[2] || 's'] : NaN;
+}
+
+// Execute the sign-url command
+function executeSignUrlCommand(args) {
+  let target = '';
+  let apiKey = '';
+  let encryptionKey = '';
+  let expires = '1h';
+  let pathPattern = '';
+  let ip = '';
+  
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    
+    if (arg === '--key' || arg === '-k') {
+      apiKey = args[++i];
+    } else if (arg === '--encryption-key' || arg === '-e') {
+      encryptionKey = args[++i];
+    } else if (arg === '--expires') {
+      expires = args[++i];
+    } else if (arg === '--path') {
+      pathPattern = args[++i];
+    } else if (arg === '--ip') {
+      ip = args[++i];
+    } else if (!target) {
+      target = arg;
+    }
+  }
+  
+  // Validate required options
+  if (!target || !apiKey || !encryptionKey) {
+    console.error('Error: Missing required arguments');
+    showCommandHelp('sign-url');
+    process.exit(1);
+  }
+  
+  if (!isValidEncryptionKey(encryptionKey)) {
+    console.error('Error: Invalid encryption key format');
+    process.exit(1);
+  }
+  
+  let url;
+  try {
+    url = new URL(target);
+  } catch (error) {
+    console.error('Error: <url> must be an absolute URL');
+    process.exit(1);
+  }
+  
+  const lifetime = parseDuration(expires);
+  if (!(lifetime > 0)) {
+    console.error('Error: --expires must be a positive number of seconds, optionally with s, m, h or d');
+    process.exit(1);
+  }
+  
+  const expiresAt = Math.floor(Date.now() / 1000) + lifetime;
+  let signedUrl;
+  try {
+    signedUrl = createSignedUrl(url, apiKey, encryptionKey, { expiresAt, path: pathPattern, ip });
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+  
+  console.log(signedUrl);
+  console.error(`\n⏱️ Expires ${new Date(expiresAt * 1000).toISOString()}`);
 }
 
 // Execute the encrypt command
@@ -332,5 +1526,8 @@ function executeEncryptCommand(args) {
   }
 }
 
-// Run the CLI
-parseArgs();
\ No newline at end of file
+// Run the CLI, reporting failures such as storage errors without a stack trace
+parseArgs().catch(error => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
\ No newline at end of file
@@ -0,0 +1,238 @@
+/**
+ * Parsers for API key import files
+ * 
+ * Supported formats:
+ * - json: an array of key strings or entry objects, { "keys": [...] }, or an
+ *   object mapping each key to its metadata
+ * - ndjson: one key string or entry object per line
+ * - csv: a header row naming the columns, then one key per row
+ * 
+ * Parsers return raw entries tagged with where they came from ("Line 4",
+ * "Entry 2") so validation errors can point at the offending row. Rows that
+ * can't be parsed carry an error instead of an entry, so every bad row is
+ * reported at once; only problems with the file as a whole are thrown.
+ */
+const path = require('path');
+
+const IMPORT_FORMATS = ['json', 'ndjson', 'csv'];
+
+// CSV column names (lowercased, without spaces, dashes or underscores) and the entry field they fill
+const CSV_COLUMNS = {
+  key: 'key',
+  apikey: 'key',
+  owner: 'owner',
+  label: 'label',
+  expires: 'expiresAt',
+  expiresat: 'expiresAt',
+  expiry: 'expiresAt',
+  status: 'status',
+  paths: 'paths',
+  methods: 'methods',
+  ips: 'ips',
+  countries: 'countries',
+  blockedcountries: 'blockedCountries',
+  allowedorigins: 'allowedOrigins',
+  ratelimit: 'rateLimit',
+  burst: 'burst',
+  quota: 'monthlyQuota',
+  monthlyquota: 'monthlyQuota',
+  origin: 'origin'
+};
+
+/**
+ * Picks the import format from a file's extension
+ * 
+ * @param {string} filePath Path to the import file
+ * @returns {string} json, ndjson or csv
+ */
+function detectImportFormat(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  
+  if (extension === '.csv') {
+    return 'csv';
+  }
+  if (extension === '.ndjson' || extension === '.jsonl') {
+    return 'ndjson';
+  }
+  return 'json';
+}
+
+/**
+ * Splits CSV text into rows of fields
+ * Handles quoted fields with commas, doubled quotes and line breaks
+ * 
+ * @param {string} content CSV text
+ * @returns {Array<{line: number, fields: string[]}>} Rows with the line each starts on
+ */
+function parseCsvRows(content) {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      fields.push(field);
+      rows.push({ line: rowLine, fields });
+      fields = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  
+  if (quoted) {
+    throw new Error(`Line ${rowLine}: unterminated quoted field`);
+  }
+  
+  if (field !== '' || fields.length > 0) {
+    fields.push(field);
+    rows.push({ line: rowLine, fields });
+  }
+  
+  // Blank lines carry no entry
+  return rows.filter(row => row.fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parses CSV import text into raw entries
+ * Entries use the flat paths, methods, ips, countries and burst fields normalizeKeyEntry accepts.
+ * Empty cells are left out so defaults from CLI flags still apply
+ * 
+ * @param {string} content CSV text with a header row
+ * @returns {Array<{source: string, entry?: Object, error?: string}>} Raw entries
+ */
+function parseCsvEntries(content) {
+  const [header, ...rows] = parseCsvRows(content);
+  
+  if (!header) {
+    return [];
+  }
+  
+  const columns = header.fields.map(name => {
+    const field = CSV_COLUMNS[name.trim().toLowerCase().replace(/[\s_-]/g, '')];
+    if (!field) {
+      throw new Error(`Line ${header.line}: unknown column "${name.trim()}" (expected ${Object.keys(CSV_COLUMNS).join(', ')})`);
+    }
+    return field;
+  });
+  
+  if (!columns.includes('key')) {
+    throw new Error(`Line ${header.line}: the header must have a "key" column`);
+  }
+  
+  return rows.map(({ line, fields }) => {
+    if (fields.length > columns.length) {
+      return { source: `Line ${line}`, error: `${fields.length} fields but the header has ${columns.length} columns` };
+    }
+    
+    const values = {};
+    columns.forEach((column, i) => {
+      const value = (fields[i] || '').trim();
+      if (value !== '') {
+        values[column] = value;
+      }
+    });
+    
+    return { source: `Line ${line}`, entry: values };
+  });
+}
+
+/**
+ * Parses NDJSON import text into raw entries
+ * 
+ * @param {string} content One JSON value per line
+ * @returns {Array<{source: string, entry?: *, error?: string}>} Raw entries
+ */
+function parseNdjsonEntries(content) {
+  return content.split(/\r?\n/)
+    .map((text, i) => ({ line: i + 1, text: text.trim() }))
+    .filter(({ text }) => text !== '')
+    .map(({ line, text }) => {
+      try {
+        return { source: `Line ${line}`, entry: JSON.parse(text) };
+      } catch (error) {
+        return { source: `Line ${line}`, error: `invalid JSON (${error.message})` };
+      }
+    });
+}
+
+/**
+ * Parses JSON import text into raw entries
+ * 
+ * @param {string} content JSON array, { "keys": [...] } or an object keyed by API key
+ * @returns {Array<{source: string, entry: *}>} Raw entries
+ */
+function parseJsonEntries(content) {
+  const data = JSON.parse(content);
+  
+  if (Array.isArray(data)) {
+    return data.map((entry, i) => ({ source: `Entry ${i + 1}`, entry }));
+  }
+  
+  if (data && typeof data === 'object' && Array.isArray(data.keys)) {
+    return data.keys.map((entry, i) => ({ source: `Entry ${i + 1}`, entry }));
+  }
+  
+  if (data && typeof data === 'object') {
+    return Object.entries(data).map(([key, metadata]) => ({
+      source: `Entry "${key.substring(0, 3)}..."`,
+      entry: metadata && typeof metadata === 'object' && !Array.isArray(metadata) ? { ...metadata, key } : null
+    }));
+  }
+  
+  throw new Error('API keys file must contain a JSON array or object');
+}
+
+/**
+ * Parses an import file's text into raw entries
+ * 
+ * @param {string} content File contents
+ * @param {string} format json, ndjson or csv
+ * @returns {Array<{source: string, entry?: *, error?: string}>} Raw entries, still to be validated
+ */
+function parseImportEntries(content, format) {
+  switch (format) {
+    case 'csv':
+      return parseCsvEntries(content);
+    case 'ndjson':
+      return parseNdjsonEntries(content);
+    case 'json':
+      return parseJsonEntries(content);
+    default:
+      throw new Error(`Unknown import format "${format}" (expected ${IMPORT_FORMATS.join(', ')})`);
+  }
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  detectImportFormat,
+  parseCsvRows,
+  parseImportEntries
+};
@@ -7,56 +7,794 @@
 const fs = require('fs');
 const { execSync } = require('child_process');
 const { 
+  KEY_INDEX_PREFIX,
   generateApiKey, 
   encryptApiKey, 
   decryptApiKey, 
+  computeKeyIndex,
+  computeKeyVersion,
+  computeUrlSignature,
   generateEncryptionKey,
   isValidEncryptionKey 
 } = require('./test-utils');
+const { createStorage } = require('./kv-storage');
+const { detectImportFormat, parseImportEntries } = require('./key-import');
+const {
+  KEY_STATUSES,
+  HTTP_METHODS,
+  RATE_PERIODS,
+  parseRateLimitSpec,
+  normalizeRateLimit,
+  normalizeMonthlyQuota,
+  normalizeKeyScopes,
+  normalizeKeyNetwork,
+  normalizeAllowedOrigins,
+  normalizeKeyMetadata,
+  parseAddress,
+  matchesPathPattern
+} = require('./key-metadata');
 
 /**
- * Reads API keys from a JSON file
+ * Formats a rate limit for display
  * 
- * @param {string} filePath Path to JSON file with API keys
- * @returns {string[]} Array of API keys
+ * @param {Object|null} rateLimit Normalized rate limit
+ * @returns {string} Human-readable rate limit
  */
-function readApiKeysFromFile(filePath) {
+function formatRateLimit(rateLimit) {
+  if (!rateLimit) {
+    return 'namespace default';
+  }
+  return `${rateLimit.requests}/${rateLimit.per} (burst ${rateLimit.burst || rateLimit.requests})`;
+}
+
+// Record fields an upload sets, compared to tell which stored keys would change
+const UPLOAD_FIELDS = ['owner', 'label', 'expiresAt', 'status', 'scopes', 'network', 'allowedOrigins', 'rateLimit', 'monthlyQuota', 'origin'];
+
+/**
+ * Normalizes an entry from a keys file into a key entry object
+ * Plain strings are treated as keys without metadata
+ * 
+ * @param {string|Object} entry API key string or object with a `key` field
+ * @param {Object} defaults Metadata applied when the entry does not set it
+ * @returns {{key: string, owner: string|null, label: string|null, expiresAt: string|null, status: string, scopes: Object|null, network: Object|null, allowedOrigins: string[]|null, rateLimit: Object|null, monthlyQuota: number|null, origin: string|null, provided: string[]}} Key entry, provided lists the UPLOAD_FIELDS the entry or the defaults set
+ */
+function normalizeKeyEntry(entry, defaults = {}) {
+  const fields = typeof entry === 'string' ? { key: entry } : entry;
+  
+  if (!fields || typeof fields !== 'object' || typeof fields.key !== 'string' || !fields.key) {
+    throw new Error('each entry must be an API key string or an object with a "key" string');
+  }
+  
+  const merged = { ...defaults, ...fields };
+  
+  // Flat paths, methods, ips, countries and burst fields (CSV columns) override the structured ones
+  const scopes = fields.paths || fields.methods ? { paths: fields.paths, methods: fields.methods } : merged.scopes;
+  const network = fields.ips || fields.countries || fields.blockedCountries
+    ? { ips: fields.ips, countries: fields.countries, blockedCountries: fields.blockedCountries }
+    : merged.network;
+  let rateLimit = merged.rateLimit;
+  if (fields.burst !== undefined && fields.burst !== '') {
+    if (!rateLimit) {
+      throw new Error('burst needs a rateLimit');
+    }
+    rateLimit = { ...(typeof rateLimit === 'string' ? parseRateLimitSpec(rateLimit) : rateLimit), burst: Number(fields.burst) };
+  }
+  
+  const given = { ...merged, scopes, network, rateLimit };
+  
+  return {
+    key: fields.key,
+    ...normalizeKeyMetadata(given),
+    provided: UPLOAD_FIELDS.filter(field => given[field] !== undefined)
+  };
+}
+
+/**
+ * Reads API keys from a JSON, NDJSON or CSV file
+ * JSON files hold an array of key strings and/or objects of the form
+ * { "key": "...", "owner": "...", "label": "...", "expiresAt": "...", "status": "active",
+ *   "scopes": { "paths": ["/media/partner-a/"], "methods": ["GET", "HEAD"] },
+ *   "network": { "ips": ["203.0.113.0/24"], "countries": ["GB"], "blockedCountries": [] },
+ *   "allowedOrigins": ["https://*.partner-a.example"],
+ *   "rateLimit": { "requests": 100, "per": "minute", "burst": 20 }, "monthlyQuota": 100000,
+ *   "origin": "https://media.partner-a.example" }
+ * (see key-import.js for the other layouts). Every entry is validated and all
+ * problems are reported with their line or entry number before exiting.
+ * 
+ * @param {string} filePath Path to the file with API keys
+ * @param {Object} defaults Metadata applied to entries that do not set it
+ * @param {string} format json, ndjson or csv (default: from the file extension)
+ * @returns {Object[]} Array of normalized key entries
+ */
+function readApiKeysFromFile(filePath, defaults = {}, format = detectImportFormat(filePath)) {
+  const entries = [];
+  const errors = [];
+  
   try {
-    const content = fs.readFileSync(filePath, 'utf8');
-    const keys = JSON.parse(content);
+    const firstSource = {};
     
-    if (!Array.isArray(keys)) {
-      throw new Error('API keys file must contain a JSON array');
+    for (const { source, entry, error } of parseImportEntries(fs.readFileSync(filePath, 'utf8'), format)) {
+      if (error) {
+        errors.push(`${source}: ${error}`);
+        continue;
+      }
+      
+      try {
+        const normalized = normalizeKeyEntry(entry, defaults);
+        if (firstSource[normalized.key]) {
+          throw new Error(`duplicate key, already given in ${firstSource[normalized.key]}`);
+        }
+        firstSource[normalized.key] = source;
+        entries.push(normalized);
+      } catch (validationError) {
+        errors.push(`${source}: ${validationError.message}`);
+      }
     }
-    
-    return keys;
   } catch (error) {
-    console.error(`Error reading API keys from ${filePath}:`, error.message);
+    errors.push(error.message);
+  }
+  
+  if (errors.length > 0) {
+    console.error(`Error reading API keys from ${filePath}:`);
+    errors.forEach(error => console.error(`  ${error}`));
     process.exit(1);
   }
+  
+  return entries;
+}
+
+/**
+ * Builds the JSON record stored in KV for a key entry
+ * 
+ * @param {Object} entry Normalized key entry
+ * @param {string} encryptionKey Encryption key
+ * @returns {Object} Key record with the encrypted key and its metadata
+ */
+function createKeyRecord(entry, encryptionKey) {
+  return {
+    encryptedKey: encryptApiKey(entry.key, encryptionKey),
+    keyVersion: computeKeyVersion(encryptionKey),
+    owner: entry.owner,
+    label: entry.label,
+    createdAt: new Date().toISOString(),
+    expiresAt: entry.expiresAt,
+    status: entry.status,
+    scopes: entry.scopes,
+    network: entry.network,
+    allowedOrigins: entry.allowedOrigins,
+    rateLimit: entry.rateLimit,
+    monthlyQuota: entry.monthlyQuota,
+    origin: entry.origin
+  };
+}
+
+/**
+ * Parses a stored KV value into a key record
+ * Values that are not JSON are bare encrypted keys written before key records existed
+ * 
+ * @param {string} value Stored KV value
+ * @returns {Object} Key record
+ */
+function parseKeyRecord(value) {
+  try {
+    const record = JSON.parse(value);
+    if (record && typeof record === 'object' && typeof record.encryptedKey === 'string') {
+      return record;
+    }
+  } catch (error) {
+    // Fall through to the bare encrypted key format
+  }
+  return { encryptedKey: value.trim(), status: 'active' };
+}
+
+/**
+ * Fetches the stored record for a plaintext API key
+ * 
+ * @param {string} apiKey API key to look up
+ * @param {Object} storage Storage backend (see kv-storage.js)
+ * @param {string} encryptionKey Encryption key
+ * @returns {Promise<{name: string, record: Object}|null>} KV name and record, or null if the key is not stored
+ */
+async function getKeyRecord(apiKey, storage, encryptionKey) {
+  const name = KEY_INDEX_PREFIX + computeKeyIndex(apiKey, encryptionKey);
+  const value = await storage.get(name);
+  
+  if (!value) {
+    return null;
+  }
+  
+  const record = parseKeyRecord(value);
+  
+  if (decryptApiKey(record.encryptedKey, encryptionKey) !== apiKey) {
+    return null;
+  }
+  
+  return { name, record };
+}
+
+/**
+ * Compares key entries with what a namespace already stores
+ * New keys are added and keys whose metadata differs are updated, keeping their
+ * lifecycle fields (createdAt, rotation links). An update only sets the fields the
+ * entry provides, the rest stay as stored. Unchanged and revoked keys are skipped.
+ * 
+ * @param {Object[]} entries Normalized key entries
+ * @param {Object} storage Storage backend (see kv-storage.js)
+ * @param {string} encryptionKey Encryption key
+ * @returns {Promise<Array<{action: string, entry: Object, name: string, record?: Object, changes: string[], reason?: string}>>} One step per entry
+ */
+async function planKeyUpload(entries, storage, encryptionKey) {
+  const storedNames = new Set((await storage.list(KEY_INDEX_PREFIX)).map(({ name }) => name));
+  const plan = [];
+  
+  for (const entry of entries) {
+    const name = KEY_INDEX_PREFIX + computeKeyIndex(entry.key, encryptionKey);
+    const value = storedNames.has(name) ? await storage.get(name) : null;
+    
+    if (!value) {
+      plan.push({ action: 'add', entry, name, record: createKeyRecord(entry, encryptionKey), changes: [] });
+      continue;
+    }
+    
+    const existing = parseKeyRecord(value);
+    if (existing.status === 'revoked') {
+      plan.push({ action: 'skip', entry, name, changes: [], reason: 'revoked' });
+      continue;
+    }
+    
+    const changes = entry.provided.filter(field =>
+      JSON.stringify(existing[field] === undefined ? null : existing[field]) !== JSON.stringify(entry[field]));
+    if (changes.length === 0) {
+      plan.push({ action: 'skip', entry, name, changes, reason: 'unchanged' });
+      continue;
+    }
+    
+    const record = { ...existing };
+    changes.forEach(field => { record[field] = entry[field]; });
+    plan.push({ action: 'update', entry, name, record, changes });
+  }
+  
+  return plan;
+}
+
+/**
+ * Writes the adds and updates of an upload plan in one bulk write
+ * 
+ * @param {Array<Object>} plan Plan from planKeyUpload
+ * @param {Object} storage Storage backend (see kv-storage.js)
+ * @returns {Promise<{added: number, updated: number, skipped: number, failed: number}>} Upload counts
+ */
+async function applyKeyUpload(plan, storage) {
+  const writes = plan.filter(({ action }) => action !== 'skip');
+  const skipped = plan.length - writes.length;
+  
+  try {
+    await storage.putMany(writes.map(({ name, record }) => ({ name, value: JSON.stringify(record) })));
+  } catch (error) {
+    console.error(`❌ Failed to upload ${writes.length} API keys: ${error.message}`);
+    return { added: 0, updated: 0, skipped, failed: writes.length };
+  }
+  
+  plan.forEach(({ action, entry, changes, reason }) => {
+    const key = `${entry.key.substring(0, 3)}...`;
+    if (action === 'add') {
+      console.log(`✅ Uploaded API key: ${key}`);
+    } else if (action === 'update') {
+      console.log(`🔄 Updated API key ${key} (${changes.join(', ')})`);
+    } else {
+      console.log(`⏭️ Skipped API key ${key} (${reason})`);
+    }
+  });
+  
+  return {
+    added: writes.filter(({ action }) => action === 'add').length,
+    updated: writes.filter(({ action }) => action === 'update').length,
+    skipped,
+    failed: 0
+  };
 }
 
 /**
  * Uploads API keys to KV store
+ * Each key is stored under its HMAC index with a JSON record holding the
+ * encrypted key and its metadata, so the Worker can find it with a single lookup.
+ * Keys already stored are updated or skipped (see planKeyUpload), and all
+ * writes go out in one bulk write.
  * 
- * @param {string[]} apiKeys Array of API keys
- * @param {string} namespace KV namespace name
+ * @param {Array<string|Object>} apiKeys Array of API keys or key entries
+ * @param {Object} storage Storage backend (see kv-storage.js)
  * @param {string} encryptionKey Encryption key
- * @returns {Promise<void>}
+ * @returns {Promise<{added: number, updated: number, skipped: number, failed: number}>} Upload counts
+ */
+async function uploadApiKeys(apiKeys, storage, encryptionKey) {
+  const entries = apiKeys.map(apiKey => normalizeKeyEntry(apiKey));
+  return applyKeyUpload(await planKeyUpload(entries, storage, encryptionKey), storage);
+}
+
+// Must match USAGE_PREFIX in src/usage.js
+const USAGE_PREFIX = 'usage:';
+
+/**
+ * Derives the short key ID shown in reports from a key's KV name
+ * 
+ * @param {string} name KV name of the key ("key:" + index)
+ * @returns {string} First 16 hex characters of the index
+ */
+function keyIdFromName(name) {
+  return name.slice(KEY_INDEX_PREFIX.length, KEY_INDEX_PREFIX.length + 16);
+}
+
+/**
+ * Reads the per-key usage counts the Worker recorded for a month
+ * 
+ * @param {Object} storage Storage backend (see kv-storage.js)
+ * @param {string} period Month as YYYY-MM
+ * @returns {Promise<Array<{keyId: string, owner: string|null, label: string|null, count: number, quota: number|null}>>} Usage rows, highest count first
+ */
+async function getUsageReport(storage, period) {
+  const prefix = `${USAGE_PREFIX}${period}:`;
+  
+  return (await storage.list(prefix))
+    .map(entry => {
+      const metadata = entry.metadata || {};
+      return {
+        keyId: keyIdFromName(entry.name.slice(prefix.length)),
+        owner: metadata.owner || null,
+        label: metadata.label || null,
+        count: metadata.count || 0,
+        quota: metadata.quota || null
+      };
+    })
+    .sort((a, b) => b.count - a.count);
+}
+
+// KV prefix of the entries where the Worker records when each key was last used
+const LAST_USED_PREFIX = 'last-used:';
+
+/**
+ * Reads when the Worker last let each key through
+ * 
+ * @param {Object} storage Storage backend (see kv-storage.js)
+ * @returns {Promise<Map<string, {lastUsedAt: string, lastUsedIp: string|null, lastUsedCountry: string|null}>>} Last use by key KV name
+ */
+async function getLastUsed(storage) {
+  const lastUsed = new Map();
+  
+  for (const entry of await storage.list(LAST_USED_PREFIX)) {
+    let metadata = entry.metadata;
+    if (!metadata) {
+      const value = await storage.get(entry.name);
+      metadata = value ? JSON.parse(value) : null;
+    }
+    if (metadata && metadata.lastUsedAt) {
+      lastUsed.set(entry.name.slice(LAST_USED_PREFIX.length), metadata);
+    }
+  }
+  
+  return lastUsed;
+}
+
+/**
+ * Picks the keys nobody has used for a number of days
+ * Keys that were never used count from their creation; revoked keys are left out
+ * 
+ * @param {Array<{name: string, record: Object}>} keys Stored keys
+ * @param {Map<string, Object>} lastUsed Last use by key KV name (see getLastUsed)
+ * @param {number} days Days without use after which a key is stale
+ * @param {number} now Current time in milliseconds
+ * @returns {Array<{name: string, record: Object, lastUsedAt: string|null, idleDays: number|null}>} Stale keys, longest idle first
+ */
+function findStaleKeys(keys, lastUsed, days, now = Date.now()) {
+  const cutoff = now - days * 24 * 60 * 60 * 1000;
+  
+  return keys
+    .filter(({ record }) => record.status !== 'revoked')
+    .map(key => {
+      const lastUsedAt = lastUsed.has(key.name) ? lastUsed.get(key.name).lastUsedAt : null;
+      const since = Date.parse(lastUsedAt || key.record.createdAt);
+      return { ...key, lastUsedAt, since: Number.isNaN(since) ? null : since };
+    })
+    .filter(({ since }) => since === null || since < cutoff)
+    .sort((a, b) => (a.since || 0) - (b.since || 0))
+    .map(({ since, ...key }) => ({
+      ...key,
+      idleDays: since === null ? null : Math.floor((now - since) / (24 * 60 * 60 * 1000))
+    }));
+}
+
+/**
+ * Disables stored keys; they can be re-enabled with the admin API
+ * 
+ * @param {Array<{name: string, record: Object}>} keys Keys to disable
+ * @param {Object} storage Storage backend (see kv-storage.js)
+ * @returns {Promise<number>} Number of keys disabled
+ */
+async function disableKeyRecords(keys, storage) {
+  try {
+    await storage.putMany(keys.map(({ name, record }) => ({
+      name,
+      value: JSON.stringify({ ...record, status: 'disabled' })
+    })));
+  } catch (error) {
+    console.error(`❌ Failed to disable ${keys.length} API keys: ${error.message}`);
+    return 0;
+  }
+  
+  keys.forEach(({ name, record }) =>
+    console.log(`✅ Disabled API key ${keyIdFromName(name)}${record.label ? ` (${record.label})` : ''}`));
+  return keys.length;
+}
+
+// KV prefix of the entries where the Worker records each brute-force lockout
+const LOCKOUT_PREFIX = 'lockout:';
+
+/**
+ * Reads the client IPs and key prefixes (as HMACs) the Worker locked out for sending invalid keys
+ * Entries are kept for a week after each lockout ends
+ * 
+ * @param {Object} storage Storage backend (see kv-storage.js)
+ * @param {number} now Current time in milliseconds
+ * @returns {Promise<Array<{kind: string, subject: string, lockouts: number, totalFailures: number, lockedAt: string, lockedUntil: string, active: boolean}>>} Lockouts, current ones first, then most recent first
+ */
+async function getLockoutReport(storage, now = Date.now()) {
+  const rows = [];
+  
+  for (const entry of await storage.list(LOCKOUT_PREFIX)) {
+    let metadata = entry.metadata;
+    if (!metadata) {
+      const value = await storage.get(entry.name);
+      metadata = value ? JSON.parse(value) : null;
+    }
+    if (metadata && metadata.lockedUntil) {
+      rows.push({ ...metadata, active: Date.parse(metadata.lockedUntil) > now });
+    }
+  }
+  
+  return rows.sort((a, b) => (b.active - a.active) || Date.parse(b.lockedAt) - Date.parse(a.lockedAt));
+}
+
+/**
+ * Lists every indexed key in a namespace with its record
+ * 
+ * @param {Object} storage Storage backend (see kv-storage.js)
+ * @returns {Promise<Array<{name: string, record: Object}>>} KV names and records
+ */
+async function listKeyRecords(storage) {
+  const keys = [];
+  
+  for (const { name } of await storage.list(KEY_INDEX_PREFIX)) {
+    const value = await storage.get(name);
+    if (value) {
+      keys.push({ name, record: parseKeyRecord(value) });
+    }
+  }
+  
+  return keys;
+}
+
+/**
+ * Masks an API key for display, keeping only its first characters
+ * 
+ * @param {string} apiKey Plaintext API key
+ * @param {number} visible Number of characters to keep
+ * @returns {string} Masked key
+ */
+function maskApiKey(apiKey, visible = 8) {
+  return apiKey.substring(0, visible) + '*'.repeat(Math.max(apiKey.length - visible, 4));
+}
+
+/**
+ * Describes a stored key for display, decrypting it to show a masked prefix
+ * The ciphertext is left out; records written with a different encryption key
+ * (see keyVersion) get a null key instead of a failed decryption
+ * 
+ * @param {{name: string, record: Object}} key Stored key
+ * @param {string} encryptionKey Encryption key
+ * @param {Object} lastUsed The key's last use (see getLastUsed), if recorded
+ * @returns {Object} Key ID, masked key, effective state, the record's metadata and last use
+ */
+function describeKeyRecord({ name, record }, encryptionKey, lastUsed = null) {
+  const { encryptedKey, ...metadata } = record;
+  let apiKey = null;
+  
+  if (!record.keyVersion || record.keyVersion === computeKeyVersion(encryptionKey)) {
+    apiKey = decryptApiKey(encryptedKey, encryptionKey);
+  }
+  
+  return {
+    id: keyIdFromName(name),
+    key: apiKey === null ? null : maskApiKey(apiKey),
+    state: getKeyRejectionReason(record) || 'active',
+    ...metadata,
+    ...lastUsed
+  };
+}
+
+/**
+ * Finds stored keys by plaintext key, key ID or label
+ * The query is tried as a plaintext key first, then as a key ID, then as a label
+ * 
+ * @param {string} query Plaintext API key, 16-character key ID or label
+ * @param {Object} storage Storage backend (see kv-storage.js)
+ * @param {string} encryptionKey Encryption key
+ * @returns {Promise<Array<{name: string, record: Object}>>} Matching keys (labels may match several)
+ */
+async function findKeyRecords(query, storage, encryptionKey) {
+  const byKey = await getKeyRecord(query, storage, encryptionKey);
+  if (byKey) {
+    return [byKey];
+  }
+  
+  if (/^[0-9a-f]{16}$/.test(query)) {
+    const entries = await storage.list(KEY_INDEX_PREFIX + query);
+    if (entries.length === 1) {
+      const value = await storage.get(entries[0].name);
+      return value ? [{ name: entries[0].name, record: parseKeyRecord(value) }] : [];
+    }
+  }
+  
+  return (await listKeyRecords(storage)).filter(({ record }) => record.label === query);
+}
+
+/**
+ * Revokes stored keys, either by marking their record revoked or deleting it
+ * Revoked records stay in KV so the Worker can answer with a specific "revoked" error
+ * 
+ * @param {Array<{name: string, record: Object}>} keys Keys to revoke
+ * @param {Object} storage Storage backend (see kv-storage.js)
+ * @param {Object} options Revocation options
+ * @param {boolean} options.deleteEntry Delete the KV entry instead of marking it revoked
+ * @param {string} options.reason Reason recorded with the revocation
+ * @returns {Promise<number>} Number of keys revoked
  */
-async function uploadApiKeys(apiKeys, namespace, encryptionKey) {
-  for (const apiKey of apiKeys) {
-    const encryptedKey = encryptApiKey(apiKey, encryptionKey);
+async function revokeKeyRecords(keys, storage, options = {}) {
+  const { deleteEntry = false, reason = null } = options;
+  const revokedAt = new Date().toISOString();
+  
+  try {
+    if (deleteEntry) {
+      await storage.deleteMany(keys.map(({ name }) => name));
+    } else {
+      await storage.putMany(keys.map(({ name, record }) => ({
+        name,
+        value: JSON.stringify({ ...record, status: 'revoked', revokedAt, revokedReason: reason })
+      })));
+    }
+  } catch (error) {
+    console.error(`❌ Failed to revoke ${keys.length} API keys: ${error.message}`);
+    return 0;
+  }
+  
+  keys.forEach(({ name, record }) =>
+    console.log(`✅ Revoked API key ${keyIdFromName(name)}${record.label ? ` (${record.label})` : ''}`));
+  return keys.length;
+}
+
+/**
+ * Works out where the usage snapshots of keys being rekeyed move to
+ * 
+ * @param {Object} storage Storage backend (see kv-storage.js)
+ * @param {Array<{name: string, newName: string}>} plan Keys being moved
+ * @returns {Promise<Array<{oldName: string, newName: string, value: string, metadata: Object|null}>>} Usage entries to move
+ */
+async function planUsageMoves(storage, plan) {
+  const newNames = new Map(plan.map(({ name, newName }) => [name, newName]));
+  const moves = [];
+  
+  // Entries are named usage:<YYYY-MM>:<key name>
+  for (const entry of await storage.list(USAGE_PREFIX)) {
+    const period = entry.name.slice(USAGE_PREFIX.length, USAGE_PREFIX.length + 7);
+    const name = entry.name.slice(USAGE_PREFIX.length + 8);
+    if (!newNames.has(name)) {
+      continue;
+    }
     
-    const command = `npx wrangler kv:key put --binding=${namespace} "${encryptedKey}" "true"`;
+    const value = await storage.get(entry.name);
+    if (value === null) {
+      continue;
+    }
     
+    const newName = newNames.get(name);
+    moves.push({
+      oldName: entry.name,
+      newName: `${USAGE_PREFIX}${period}:${newName}`,
+      value: JSON.stringify({ ...JSON.parse(value), name: newName }),
+      metadata: entry.metadata || null
+    });
+  }
+  
+  return moves;
+}
+
+/**
+ * Re-encrypts every key in a namespace with a new encryption key
+ * The index depends on the encryption key, so each record is copied to a new KV name
+ * (and key ID); replaces/replacedBy links are rewritten to the new IDs, and the
+ * key's last-used and usage entries are copied with it. Records keep the name their
+ * rate limit and usage counters were created under as counterName, so quotas
+ * carry on. Records already tagged with the new key's version are left alone, so
+ * an interrupted run can simply be repeated.
+ * The old entries stay until a run with prune, so a Worker that only has the old
+ * encryption key keeps resolving keys; that run removes the old entries of keys
+ * already copied, and moves any others without leaving a copy behind.
+ * Signed URLs issued before the rekey name the old key IDs and stop working.
+ * 
+ * @param {Object} options Rekey options
+ * @param {Object} options.storage Storage backend (see kv-storage.js)
+ * @param {string} options.oldKey Encryption key the records are currently encrypted with
+ * @param {string} options.newKey Encryption key to re-encrypt them with
+ * @param {boolean} options.prune Delete the entries under the old names
+ * @param {boolean} options.dryRun Only report what would change
+ * @returns {Promise<{rekeyed: number, pruned: number, skipped: number, failed: number}>} Rekey counts
+ */
+async function rekeyNamespace(options) {
+  const { storage, oldKey, newKey, prune = false, dryRun = false } = options;
+  const newVersion = computeKeyVersion(newKey);
+  const keys = await listKeyRecords(storage);
+  const names = new Set(keys.map(({ name }) => name));
+  const plan = [];
+  const copied = [];
+  const idMap = {};
+  let skipped = 0;
+  let failed = 0;
+  
+  console.log(`🔍 Found ${keys.length} keys in ${storage.description}`);
+  
+  // Decrypt everything first so links between keys can be remapped
+  for (const { name, record } of keys) {
+    if (record.keyVersion === newVersion) {
+      skipped++;
+      continue;
+    }
+    
+    const apiKey = decryptApiKey(record.encryptedKey, oldKey);
+    if (apiKey === null) {
+      console.error(`⚠️ Skipping key ${keyIdFromName(name)}: it does not decrypt with the old encryption key`);
+      failed++;
+      continue;
+    }
+    
+    const newName = KEY_INDEX_PREFIX + computeKeyIndex(apiKey, newKey);
+    idMap[keyIdFromName(name)] = keyIdFromName(newName);
+    
+    // Copied by an earlier run that kept the old entry
+    if (names.has(newName)) {
+      copied.push({ name, newName });
+      continue;
+    }
+    plan.push({ name, newName, apiKey, record });
+  }
+  
+  const remap = id => (id && idMap[id]) || id || null;
+  const pruned = prune ? [...plan, ...copied] : [];
+  if (!prune) {
+    skipped += copied.length;
+  }
+  
+  if (dryRun) {
+    plan.forEach(({ name, newName }) =>
+      console.log(`📝 Would copy key ${keyIdFromName(name)} to ${keyIdFromName(newName)}`));
+    pruned.forEach(({ name }) =>
+      console.log(`📝 Would remove the old entry of key ${keyIdFromName(name)}`));
+    return { rekeyed: plan.length, pruned: pruned.length, skipped, failed };
+  }
+  
+  // Last-used and usage entries are named after the key and are copied with it
+  const lastUsed = await getLastUsed(storage);
+  const movedLastUsed = plan
+    .filter(({ name }) => lastUsed.has(name))
+    .map(({ name, newName }) => ({ oldName: LAST_USED_PREFIX + name, newName: LAST_USED_PREFIX + newName, metadata: lastUsed.get(name) }));
+  const movedUsage = await planUsageMoves(storage, plan);
+  const prunedUsage = prune && copied.length > 0 ? await planUsageMoves(storage, copied) : [];
+  
+  try {
+    // Write the new entries before removing the old ones so no key ever disappears
+    await storage.putMany(plan.map(({ name, newName, apiKey, record }) => ({
+      name: newName,
+      value: JSON.stringify({
+        ...record,
+        encryptedKey: encryptApiKey(apiKey, newKey),
+        keyVersion: newVersion,
+        replaces: remap(record.replaces),
+        replacedBy: remap(record.replacedBy),
+        counterName: record.counterName || name
+      })
+    })));
+    await storage.putMany([
+      ...movedLastUsed.map(({ newName, metadata }) => ({ name: newName, value: JSON.stringify(metadata), metadata })),
+      ...movedUsage.map(({ newName, value, metadata }) => ({ name: newName, value, metadata }))
+    ]);
+  } catch (error) {
+    console.error(`❌ Failed to re-encrypt ${plan.length} keys: ${error.message}`);
+    return { rekeyed: 0, pruned: 0, skipped, failed: failed + plan.length };
+  }
+  
+  plan.forEach(({ name, newName }) =>
+    console.log(`✅ Re-encrypted key ${keyIdFromName(name)} → ${keyIdFromName(newName)}`));
+  
+  if (pruned.length > 0) {
     try {
-      execSync(command, { stdio: 'inherit' });
-      console.log(`✅ Uploaded API key: ${apiKey.substring(0, 3)}...`);
+      await storage.deleteMany([
+        ...pruned.map(({ name }) => name),
+        ...pruned.filter(({ name }) => lastUsed.has(name)).map(({ name }) => LAST_USED_PREFIX + name),
+        ...movedUsage.map(({ oldName }) => oldName),
+        ...prunedUsage.map(({ oldName }) => oldName)
+      ]);
     } catch (error) {
-      console.error(`❌ Failed to upload API key: ${apiKey.substring(0, 3)}...`);
+      console.error(`❌ Failed to remove the old entries of ${pruned.length} keys: ${error.message}`);
+      return { rekeyed: plan.length, pruned: 0, skipped, failed: failed + pruned.length };
+    }
+    pruned.forEach(({ name }) =>
+      console.log(`🗑️ Removed the old entry of key ${keyIdFromName(name)}`));
+  }
+  
+  return { rekeyed: plan.length, pruned: pruned.length, skipped, failed };
+}
+
+/**
+ * Migrates keys stored in the legacy layout (encrypted key as the KV name)
+ * to the indexed layout used by the Worker
+ * 
+ * @param {Object} options Migration options
+ * @param {Object} options.storage Storage backend (see kv-storage.js)
+ * @param {string} options.encryptionKey Encryption key
+ * @param {boolean} options.keepLegacy Keep the legacy entries after writing indexed ones
+ * @returns {Promise<{migrated: number, skipped: number}>} Migration counts
+ */
+async function migrateLegacyKeys(options) {
+  const { storage, encryptionKey, keepLegacy = false } = options;
+  const migrations = [];
+  let skipped = 0;
+  
+  // Legacy names are bare hex ciphertext, anything else is an indexed key or another record
+  const legacyNames = (await storage.list())
+    .map(({ name }) => name)
+    .filter(name => /^[0-9a-f]{66,}$/i.test(name));
+  console.log(`🔍 Found ${legacyNames.length} legacy entries in ${storage.description}`);
+  
+  for (const legacyName of legacyNames) {
+    const apiKey = decryptApiKey(legacyName, encryptionKey);
+    
+    if (apiKey === null) {
+      console.error(`⚠️ Skipping entry that does not decrypt with this key: ${legacyName.substring(0, 8)}...`);
+      skipped++;
+      continue;
+    }
+    
+    // The legacy name is already IV + authTag + ciphertext, so it can be reused in the record
+    const indexName = KEY_INDEX_PREFIX + computeKeyIndex(apiKey, encryptionKey);
+    const record = {
+      encryptedKey: legacyName,
+      keyVersion: computeKeyVersion(encryptionKey),
+      owner: null,
+      label: null,
+      createdAt: new Date().toISOString(),
+      expiresAt: null,
+      status: 'active',
+      scopes: null,
+      network: null,
+      allowedOrigins: null,
+      rateLimit: null,
+      monthlyQuota: null,
+      origin: null
+    };
+    
+    migrations.push({ legacyName, indexName, apiKey, record });
+  }
+  
+  try {
+    await storage.putMany(migrations.map(({ indexName, record }) => ({ name: indexName, value: JSON.stringify(record) })));
+    
+    if (!keepLegacy) {
+      await storage.deleteMany(migrations.map(({ legacyName }) => legacyName));
     }
+  } catch (error) {
+    console.error(`❌ Failed to migrate ${migrations.length} API keys: ${error.message}`);
+    return { migrated: 0, skipped: skipped + migrations.length };
   }
+  
+  migrations.forEach(({ apiKey }) => console.log(`✅ Migrated API key: ${apiKey.substring(0, 3)}...`));
+  return { migrated: migrations.length, skipped };
 }
 
 /**
@@ -80,7 +818,7 @@ function generateApiKeys(count, options = {}) {
 /**
  * Saves API keys to a JSON file
  * 
- * @param {string[]} apiKeys Array of API keys
+ * @param {Array<string|Object>} apiKeys Array of API keys or key entries
  * @param {string} filePath Output file path
  */
 function saveApiKeysToFile(apiKeys, filePath) {
@@ -110,43 +848,245 @@ function verifyApiKey(apiKey, encryptedKeys, encryptionKey) {
   return false;
 }
 
+// Query parameters of a signed URL, must match SIGNED_URL_PARAMS in src/signed-urls.js
+const SIGNED_URL_PARAMS = ['kid', 'exp', 'path', 'ip', 'sig'];
+
+/**
+ * Creates a signed, expiring URL that the Worker accepts in place of an API key
+ * Mirrors signUrl in src/signed-urls.js: the signature covers the target's host, so
+ * sign the URL clients will use. The key's status, scopes and limits are checked
+ * by the Worker when the URL is used. Throws when the path doesn't cover the
+ * target or the IP isn't an address, since the Worker would refuse such a URL
+ * 
+ * @param {string} target URL to sign
+ * @param {string} apiKey API key the URL stands in for
+ * @param {string} encryptionKey Encryption key
+ * @param {Object} options Signing options
+ * @param {number} options.expiresAt Expiry as a Unix timestamp in seconds
+ * @param {string} options.path Prefix or glob the URL is valid for (default: exactly the target path)
+ * @param {string} options.ip Client IP address the URL is bound to
+ * @returns {string} The signed URL
+ */
+function createSignedUrl(target, apiKey, encryptionKey, options) {
+  const url = new URL(target);
+  SIGNED_URL_PARAMS.forEach(param => url.searchParams.delete(param));
+  
+  if (options.path && (!options.path.startsWith('/') || !matchesPathPattern(url.pathname, options.path))) {
+    throw new Error(`path "${options.path}" must be a pattern starting with / that covers ${url.pathname}`);
+  }
+  if (options.ip && !parseAddress(options.ip)) {
+    throw new Error(`ip "${options.ip}" is not an IPv4 or IPv6 address`);
+  }
+  
+  const kid = computeKeyIndex(apiKey, encryptionKey);
+  const exp = String(options.expiresAt);
+  const scope = options.path ? `path:${options.path}` : `exact:${url.pathname}`;
+  const message = ['v2', kid, exp, url.host.toLowerCase(), scope, options.ip || ''].join('\n');
+  
+  url.searchParams.set('kid', kid);
+  url.searchParams.set('exp', exp);
+  if (options.path) {
+    url.searchParams.set('path', options.path);
+  }
+  if (options.ip) {
+    url.searchParams.set('ip', options.ip);
+  }
+  url.searchParams.set('sig', computeUrlSignature(message, encryptionKey));
+  
+  return url.toString();
+}
+
+/**
+ * Reads an exported file of encrypted keys
+ * Accepts an array of bare encrypted keys, an array of key records, wrangler's
+ * bulk format ([{ key, value }]) or an object mapping KV names to values
+ * 
+ * @param {string} filePath Path to the exported file
+ * @returns {Array<{name: string|null, record: Object}>} Entries with their KV name when the file has one
+ */
+function readEncryptedKeysFile(filePath) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const toRecord = value => typeof value === 'string' ? parseKeyRecord(value) : value;
+  
+  const entries = Array.isArray(data)
+    ? data.map(item => item && typeof item === 'object' && 'value' in item
+      ? { name: item.key || item.name || null, record: toRecord(item.value) }
+      : { name: null, record: toRecord(item) })
+    : Object.entries(data).map(([name, value]) => ({ name, record: toRecord(value) }));
+  
+  return entries.filter(({ name, record }) =>
+    record && typeof record.encryptedKey === 'string' && !(name && name.startsWith(USAGE_PREFIX)));
+}
+
+/**
+ * Finds the entry an API key was stored as among exported entries
+ * 
+ * @param {string} apiKey API key to look for
+ * @param {Array<{name: string|null, record: Object}>} entries Entries from readEncryptedKeysFile
+ * @param {string} encryptionKey Encryption key
+ * @returns {{name: string|null, record: Object}|null} Matching entry, or null
+ */
+function findKeyInEntries(apiKey, entries, encryptionKey) {
+  // Entries named by their index can be matched without decrypting every key
+  const indexName = KEY_INDEX_PREFIX + computeKeyIndex(apiKey, encryptionKey);
+  const indexed = entries.find(({ name }) => name === indexName);
+  if (indexed) {
+    return decryptApiKey(indexed.record.encryptedKey, encryptionKey) === apiKey ? indexed : null;
+  }
+  
+  return entries.find(({ name, record }) =>
+    (!name || !name.startsWith(KEY_INDEX_PREFIX)) &&
+    decryptApiKey(record.encryptedKey, encryptionKey) === apiKey) || null;
+}
+
+/**
+ * Returns why the Worker would reject a stored key, the same checks as src/keys.js
+ * 
+ * @param {Object} record Key record
+ * @param {number} now Time to check against, in milliseconds
+ * @returns {string|null} "revoked", "disabled", "expired" or "retired", or null if the key is usable
+ */
+function getKeyRejectionReason(record, now = Date.now()) {
+  if (record.status === 'revoked') {
+    return 'revoked';
+  }
+  if (record.status === 'disabled') {
+    return 'disabled';
+  }
+  if (record.expiresAt && Date.parse(record.expiresAt) <= now) {
+    return 'expired';
+  }
+  if (record.sunsetAt && Date.parse(record.sunsetAt) <= now) {
+    return 'retired';
+  }
+  return null;
+}
+
+// Default number of days old keys keep working after a rotation
+const DEFAULT_ROTATION_OVERLAP_DAYS = 30;
+
+/**
+ * Plans the replacement of one stored key with a new one
+ * The new key inherits the old key's owner, label, scopes and limits and records
+ * which key it replaces; the old key is marked deprecated with a sunset date
+ * after which the Worker stops accepting it
+ * 
+ * @param {{name: string, record: Object}} oldKey Stored key being replaced
+ * @param {string} newApiKey Plaintext of the replacement key
+ * @param {string} encryptionKey Encryption key
+ * @param {string} sunsetAt ISO date after which the old key stops working
+ * @returns {{replacement: Object, entries: Array<{name: string, value: string}>}} Entry for the new key and the KV writes
+ */
+function replaceApiKey(oldKey, newApiKey, encryptionKey, sunsetAt) {
+  const oldKeyId = keyIdFromName(oldKey.name);
+  const {
+    owner = null, label = null, scopes = null, network = null, allowedOrigins = null,
+    rateLimit = null, monthlyQuota = null, origin = null
+  } = oldKey.record;
+  
+  const entry = normalizeKeyEntry({ key: newApiKey, owner, label, scopes, network, allowedOrigins, rateLimit, monthlyQuota, origin });
+  const newName = KEY_INDEX_PREFIX + computeKeyIndex(newApiKey, encryptionKey);
+  const newRecord = { ...createKeyRecord(entry, encryptionKey), replaces: oldKeyId };
+  const deprecatedRecord = {
+    ...oldKey.record,
+    deprecatedAt: new Date().toISOString(),
+    sunsetAt,
+    replacedBy: keyIdFromName(newName)
+  };
+  
+  return {
+    replacement: { key: newApiKey, owner, label, replaces: oldKeyId },
+    entries: [
+      { name: newName, value: JSON.stringify(newRecord) },
+      { name: oldKey.name, value: JSON.stringify(deprecatedRecord) }
+    ]
+  };
+}
+
 /**
  * Manages API key rotation
+ * With an old keys file, every old key is replaced by a new key linked to it and
+ * kept working until its sunset date. Without one, new keys are only generated and uploaded.
  * 
  * @param {Object} options Rotation options
  * @param {string} options.oldKeysFile Path to file with old API keys
- * @param {string} options.namespace KV namespace name
+ * @param {Object} options.storage Storage backend (see kv-storage.js)
  * @param {string} options.encryptionKey Encryption key
- * @param {number} options.newKeysCount Number of new keys to generate
+ * @param {number} options.newKeysCount Number of new keys to generate when there is no old keys file
  * @param {string} options.outputFile Path to save new keys
+ * @param {number} options.overlapDays Days old keys keep working (default: 30)
+ * @param {string} options.sunsetAt ISO date old keys stop working, overrides overlapDays
  * @returns {Promise<void>}
  */
 async function rotateApiKeys(options) {
   const {
     oldKeysFile,
-    namespace,
+    storage,
     encryptionKey,
     newKeysCount = 5,
-    outputFile
+    outputFile,
+    overlapDays = DEFAULT_ROTATION_OVERLAP_DAYS,
+    sunsetAt = new Date(Date.now() + overlapDays * 24 * 60 * 60 * 1000).toISOString()
   } = options;
   
-  // Generate new keys
-  const newKeys = generateApiKeys(newKeysCount, { 
+  if (!oldKeysFile) {
+    // Generate new keys
+    const newKeys = generateApiKeys(newKeysCount, { 
+      prefix: 'rotated-',
+      formatted: true
+    });
+    
+    // Upload new keys
+    await uploadApiKeys(newKeys, storage, encryptionKey);
+    
+    // Save new keys to file
+    if (outputFile) {
+      saveApiKeysToFile(newKeys, outputFile);
+    }
+    
+    console.log('\n🔄 API key rotation complete!');
+    console.log(`📝 ${newKeysCount} new keys have been generated and uploaded`);
+    console.log('⚠️ No old keys file given, so no keys were deprecated. Pass --old-keys to retire the keys being replaced');
+    return;
+  }
+  
+  const oldEntries = readApiKeysFromFile(oldKeysFile);
+  const newKeys = generateApiKeys(oldEntries.length, { 
     prefix: 'rotated-',
     formatted: true
   });
+  const planned = [];
   
-  // Upload new keys
-  await uploadApiKeys(newKeys, namespace, encryptionKey);
+  for (const [i, oldEntry] of oldEntries.entries()) {
+    const oldKey = await getKeyRecord(oldEntry.key, storage, encryptionKey);
+    
+    if (!oldKey) {
+      console.error(`⚠️ Skipping API key that is not stored in ${storage.description}: ${oldEntry.key.substring(0, 3)}...`);
+      continue;
+    }
+    
+    planned.push({ oldEntry, oldKey, ...replaceApiKey(oldKey, newKeys[i], encryptionKey, sunsetAt) });
+  }
+  
+  // New keys and deprecated old keys go out in one bulk write, so there is never a gap
+  let replacements = [];
+  try {
+    await storage.putMany(planned.flatMap(({ entries }) => entries));
+    replacements = planned.map(({ replacement }) => replacement);
+    planned.forEach(({ oldEntry, oldKey, replacement }) =>
+      console.log(`✅ Replaced API key ${keyIdFromName(oldKey.name)}: ${oldEntry.key.substring(0, 3)}... → ${replacement.key.substring(0, 3)}...`));
+  } catch (error) {
+    console.error(`❌ Failed to replace ${planned.length} API keys: ${error.message}`);
+  }
   
   // Save new keys to file
-  if (outputFile) {
-    saveApiKeysToFile(newKeys, outputFile);
+  if (outputFile && replacements.length > 0) {
+    saveApiKeysToFile(replacements, outputFile);
   }
   
   console.log('\n🔄 API key rotation complete!');
-  console.log(`📝 ${newKeysCount} new keys have been generated and uploaded`);
-  console.log('⚠️ Remember to notify your users about the new keys and set a deprecation date for old keys');
+  console.log(`📝 ${replacements.length} of ${oldEntries.length} keys have been replaced`);
+  console.log(`⏳ Old keys keep working until ${sunsetAt}, responses to them carry Deprecation and Sunset headers`);
 }
 
 /**
@@ -167,11 +1107,46 @@ function setupWorkerSecret(encryptionKey) {
 }
 
 module.exports = {
+  KEY_STATUSES,
+  HTTP_METHODS,
+  RATE_PERIODS,
+  parseRateLimitSpec,
+  normalizeRateLimit,
+  formatRateLimit,
+  normalizeMonthlyQuota,
+  normalizeKeyScopes,
+  normalizeKeyNetwork,
+  normalizeAllowedOrigins,
+  normalizeKeyEntry,
   readApiKeysFromFile,
+  createKeyRecord,
+  planKeyUpload,
+  applyKeyUpload,
   uploadApiKeys,
+  createStorage,
+  parseKeyRecord,
+  getKeyRecord,
+  listKeyRecords,
+  findKeyRecords,
+  maskApiKey,
+  describeKeyRecord,
+  revokeKeyRecords,
+  rekeyNamespace,
+  keyIdFromName,
+  getUsageReport,
+  getLastUsed,
+  findStaleKeys,
+  disableKeyRecords,
+  getLockoutReport,
+  migrateLegacyKeys,
   generateApiKeys,
   saveApiKeysToFile,
   verifyApiKey,
+  createSignedUrl,
+  readEncryptedKeysFile,
+  findKeyInEntries,
+  getKeyRejectionReason,
+  replaceApiKey,
   rotateApiKeys,
   setupWorkerSecret
 };
\ No newline at end of file
@@ -0,0 +1,415 @@
+/**
+ * Key metadata validation
+ * 
+ * The rules for the metadata a key record may carry (status, expiry, scopes,
+ * network restrictions, allowed origins, rate limit, quota and origin), as the CLI
+ * applies them to uploads. The Worker's admin API applies the same rules from its
+ * own module, src/key-metadata.js, and parses IP ranges in src/network.js and
+ * path patterns in src/patterns.js; test/key-metadata.spec.js checks the two
+ * accept, normalize, match and refuse alike, so change both together.
+ */
+
+// Statuses a stored key record can have
+const KEY_STATUSES = ['active', 'disabled'];
+
+// HTTP methods a key can be scoped to
+const HTTP_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+
+// Two-character codes as found in request.cf.country (including XX and T1)
+const COUNTRY_CODE_PATTERN = /^[A-Z][A-Z0-9]$/;
+
+// Allowed origin pattern: [scheme://][*.]host[:port], as the Worker's cors.js matches them
+const ORIGIN_PATTERN = /^(?:https?:\/\/)?(?:\*\.)?[a-z0-9-]+(?:\.[a-z0-9-]+)*(?::\d{1,5})?$/i;
+
+// Periods a rate limit can be expressed in
+const RATE_PERIODS = ['second', 'minute', 'hour'];
+
+// Bits in an address of each IP version
+const ADDRESS_BITS = { 4: 32, 6: 128 };
+
+/**
+ * Splits a list given as an array or a comma-separated string
+ * 
+ * @param {string[]|string} value List
+ * @returns {string[]} Trimmed, non-empty items
+ */
+function toList(value) {
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parses a dotted IPv4 address
+ * 
+ * @param {string} text Address such as 203.0.113.7
+ * @returns {bigint|null} Address as a number, or null if malformed
+ */
+function parseIpv4(text) {
+  const parts = text.split('.');
+  if (parts.length !== 4 || parts.some(part => !/^\d{1,3}$/.test(part) || Number(part) > 255)) {
+    return null;
+  }
+  return parts.reduce((value, part) => (value << 8n) + BigInt(part), 0n);
+}
+
+/**
+ * Parses an IPv6 address, with :: compression and an optional trailing IPv4 part
+ * 
+ * @param {string} text Address such as 2001:db8::1
+ * @returns {bigint|null} Address as a number, or null if malformed
+ */
+function parseIpv6(text) {
+  let groups = text;
+  let embedded = 0n;
+  if (text.includes('.')) {
+    const split = text.lastIndexOf(':');
+    const ipv4 = parseIpv4(text.slice(split + 1));
+    if (ipv4 === null) {
+      return null;
+    }
+    groups = `${text.slice(0, split + 1)}0:0`;
+    embedded = ipv4;
+  }
+  
+  const halves = groups.split('::');
+  if (halves.length > 2) {
+    return null;
+  }
+  
+  const head = halves[0] ? halves[0].split(':') : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 2 ? missing < 1 : missing !== 0) {
+    return null;
+  }
+  
+  const all = [...head, ...new Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+  if (all.some(group => !/^[0-9a-f]{1,4}$/i.test(group))) {
+    return null;
+  }
+  
+  return all.reduce((value, group) => (value << 16n) + BigInt(parseInt(group, 16)), 0n) + embedded;
+}
+
+/**
+ * Parses an IPv4 or IPv6 address
+ * 
+ * @param {string} text Address
+ * @returns {{version: number, value: bigint}|null} Parsed address, or null if malformed
+ */
+function parseAddress(text) {
+  if (typeof text !== 'string') {
+    return null;
+  }
+  if (text.includes(':')) {
+    const value = parseIpv6(text);
+    return value === null ? null : { version: 6, value };
+  }
+  const value = parseIpv4(text);
+  return value === null ? null : { version: 4, value };
+}
+
+/**
+ * Parses an IPv4 or IPv6 range in CIDR notation; a bare address is a single host
+ * 
+ * @param {string} text Range such as 203.0.113.0/24 or 2001:db8::/32
+ * @returns {{version: number, value: bigint, bits: number}|null} Parsed range, or null if malformed
+ */
+function parseCidr(text) {
+  if (typeof text !== 'string') {
+    return null;
+  }
+  
+  const [addressText, bitsText, ...rest] = text.trim().split('/');
+  const address = parseAddress(addressText);
+  if (!address || rest.length > 0) {
+    return null;
+  }
+  
+  if (bitsText !== undefined && !/^\d{1,3}$/.test(bitsText)) {
+    return null;
+  }
+  
+  const maxBits = ADDRESS_BITS[address.version];
+  const bits = bitsText === undefined ? maxBits : Number(bitsText);
+  if (bits > maxBits) {
+    return null;
+  }
+  
+  return { ...address, bits };
+}
+
+/**
+ * Checks whether a path matches a prefix or glob pattern, as the Worker's patterns.js does
+ * A pattern without wildcards is a prefix; otherwise "*" and "?" match within a segment
+ * and "**" across segments, against the whole path
+ * 
+ * @param {string} path URL path
+ * @param {string} pattern Prefix or glob
+ * @returns {boolean} Whether the pattern covers the path
+ */
+function matchesPathPattern(path, pattern) {
+  if (!/[*?]/.test(pattern)) {
+    return path.startsWith(pattern);
+  }
+  
+  const source = pattern.replace(/\*\*|\*|\?|[.+^${}()|[\]\\]/g, token =>
+    ({ '**': '.*', '*': '[^/]*', '?': '[^/]' })[token] || `\\${token}`);
+  return new RegExp(`^${source}$`).test(path);
+}
+
+/**
+ * Normalizes key scopes into { paths, methods } lists
+ * Each list may be given as an array or a comma-separated string
+ * 
+ * @param {Object} scopes Scopes from a keys file, CLI flags or an admin request
+ * @returns {{paths?: string[], methods?: string[]}|null} Normalized scopes, or null when unrestricted
+ */
+function normalizeKeyScopes(scopes) {
+  if (!scopes) {
+    return null;
+  }
+  
+  const normalized = {};
+  
+  if (scopes.paths) {
+    normalized.paths = toList(scopes.paths);
+    const invalidPath = normalized.paths.find(pattern => !pattern.startsWith('/'));
+    if (invalidPath) {
+      throw new Error(`invalid path scope "${invalidPath}" (paths must start with /)`);
+    }
+  }
+  
+  if (scopes.methods) {
+    normalized.methods = toList(scopes.methods).map(method => method.toUpperCase());
+    const invalidMethod = normalized.methods.find(method => !HTTP_METHODS.includes(method));
+    if (invalidMethod) {
+      throw new Error(`invalid method scope "${invalidMethod}" (expected one of ${HTTP_METHODS.join(', ')})`);
+    }
+  }
+  
+  return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+/**
+ * Normalizes a key's network restrictions into { ips, countries, blockedCountries } lists
+ * Each list may be given as an array or a comma-separated string
+ * 
+ * @param {Object} network Restrictions from a keys file, CLI flags or an admin request
+ * @returns {{ips?: string[], countries?: string[], blockedCountries?: string[]}|null} Normalized restrictions, or null when unrestricted
+ */
+function normalizeKeyNetwork(network) {
+  if (!network) {
+    return null;
+  }
+  
+  const normalized = {};
+  
+  if (network.ips) {
+    normalized.ips = toList(network.ips);
+    const invalidRange = normalized.ips.find(range => !parseCidr(range));
+    if (invalidRange) {
+      throw new Error(`invalid IP range "${invalidRange}" (expected an IPv4 or IPv6 address or CIDR range)`);
+    }
+  }
+  
+  for (const field of ['countries', 'blockedCountries']) {
+    if (network[field]) {
+      normalized[field] = toList(network[field]).map(code => code.toUpperCase());
+      const invalidCode = normalized[field].find(code => !COUNTRY_CODE_PATTERN.test(code));
+      if (invalidCode) {
+        throw new Error(`invalid country code "${invalidCode}" (expected a two-letter code such as GB)`);
+      }
+    }
+  }
+  
+  return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+/**
+ * Normalizes the sites a browser-facing key may be used from
+ * 
+ * @param {string[]|string} allowedOrigins Patterns such as https://*.example.com, as an array or comma-separated string
+ * @returns {string[]|null} Lower-cased patterns, or null when the key may be used from anywhere
+ */
+function normalizeAllowedOrigins(allowedOrigins) {
+  if (!allowedOrigins) {
+    return null;
+  }
+  
+  const patterns = toList(allowedOrigins).map(pattern => pattern.toLowerCase());
+  
+  const invalidPattern = patterns.find(pattern => !ORIGIN_PATTERN.test(pattern));
+  if (invalidPattern) {
+    throw new Error(`invalid allowed origin "${invalidPattern}" (expected a host such as https://*.example.com)`);
+  }
+  
+  return patterns.length > 0 ? patterns : null;
+}
+
+/**
+ * Parses a rate limit written as "<requests>/<period>", e.g. "100/minute"
+ * The result is validated by normalizeRateLimit
+ * 
+ * @param {string} spec Rate limit string
+ * @returns {{requests: number, per: string}} Parsed rate limit
+ */
+function parseRateLimitSpec(spec) {
+  const [requests, per] = String(spec).split('/');
+  return { requests: Number(requests), per: (per || '').trim().toLowerCase() };
+}
+
+/**
+ * Normalizes a key's rate limit into { requests, per, burst }
+ * 
+ * @param {string|Object} rateLimit "<requests>/<period>" string or object
+ * @returns {{requests: number, per: string, burst?: number}|null} Normalized rate limit, or null for the namespace default
+ */
+function normalizeRateLimit(rateLimit) {
+  if (!rateLimit) {
+    return null;
+  }
+  
+  const limit = typeof rateLimit === 'string' ? parseRateLimitSpec(rateLimit) : rateLimit;
+  
+  if (!Number.isInteger(limit.requests) || limit.requests <= 0) {
+    throw new Error(`invalid rate limit requests "${limit.requests}" (expected a positive integer)`);
+  }
+  if (!RATE_PERIODS.includes(limit.per)) {
+    throw new Error(`invalid rate limit period "${limit.per}" (expected ${RATE_PERIODS.join(', ')})`);
+  }
+  if (limit.burst !== undefined && (!Number.isInteger(limit.burst) || limit.burst <= 0)) {
+    throw new Error(`invalid rate limit burst "${limit.burst}" (expected a positive integer)`);
+  }
+  
+  const normalized = { requests: limit.requests, per: limit.per };
+  if (limit.burst !== undefined) {
+    normalized.burst = limit.burst;
+  }
+  return normalized;
+}
+
+/**
+ * Normalizes a key's monthly request quota
+ * 
+ * @param {number|string} quota Maximum requests per calendar month
+ * @returns {number|null} Quota, or null for no quota
+ */
+function normalizeMonthlyQuota(quota) {
+  if (quota === undefined || quota === null || quota === '') {
+    return null;
+  }
+  
+  const value = Number(quota);
+  if (!Number.isInteger(value) || value <= 0) {
+    throw new Error(`invalid monthlyQuota "${quota}" (expected a positive integer)`);
+  }
+  return value;
+}
+
+/**
+ * Normalizes the origin a key's requests are forwarded to
+ * 
+ * @param {string} origin http(s) base URL, without a query or fragment
+ * @returns {string|null} Origin, or null to use the route's origin
+ */
+function normalizeOrigin(origin) {
+  if (origin === undefined || origin === null || origin === '') {
+    return null;
+  }
+  
+  let url;
+  try {
+    url = new URL(origin);
+  } catch (error) {
+    url = null;
+  }
+  if (!url || !['http:', 'https:'].includes(url.protocol) || url.search || url.hash) {
+    throw new Error(`invalid origin "${origin}" (expected an http(s) URL without a query)`);
+  }
+  return origin;
+}
+
+/**
+ * Normalizes a key's expiry date
+ * 
+ * @param {string} expiresAt ISO 8601 date
+ * @returns {string|null} Expiry as an ISO timestamp, or null when the key doesn't expire
+ */
+function normalizeExpiresAt(expiresAt) {
+  if (!expiresAt) {
+    return null;
+  }
+  
+  const time = Date.parse(expiresAt);
+  if (Number.isNaN(time)) {
+    throw new Error(`invalid expiresAt "${expiresAt}" (expected an ISO 8601 date)`);
+  }
+  return new Date(time).toISOString();
+}
+
+/**
+ * Normalizes a free-text field such as owner or label
+ * 
+ * @param {string} value Text
+ * @param {string} field Field name for the error message
+ * @returns {string|null} Text, or null when empty
+ */
+function normalizeText(value, field) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (typeof value !== 'string') {
+    throw new Error(`invalid ${field} (expected a string)`);
+  }
+  return value;
+}
+
+/**
+ * Validates and normalizes the metadata of a key record (everything but the key material)
+ * Throws an Error naming the first invalid field
+ * 
+ * @param {Object} fields Metadata from a keys file, CLI flags or an admin request
+ * @returns {{owner: string|null, label: string|null, expiresAt: string|null, status: string, scopes: Object|null, network: Object|null, allowedOrigins: string[]|null, rateLimit: Object|null, monthlyQuota: number|null, origin: string|null}} Normalized metadata
+ */
+function normalizeKeyMetadata(fields) {
+  const status = fields.status || 'active';
+  if (!KEY_STATUSES.includes(status)) {
+    throw new Error(`invalid status "${status}" (expected ${KEY_STATUSES.join(' or ')})`);
+  }
+  
+  return {
+    owner: normalizeText(fields.owner, 'owner'),
+    label: normalizeText(fields.label, 'label'),
+    expiresAt: normalizeExpiresAt(fields.expiresAt),
+    status,
+    scopes: normalizeKeyScopes(fields.scopes),
+    network: normalizeKeyNetwork(fields.network),
+    allowedOrigins: normalizeAllowedOrigins(fields.allowedOrigins),
+    rateLimit: normalizeRateLimit(fields.rateLimit),
+    monthlyQuota: normalizeMonthlyQuota(fields.monthlyQuota),
+    origin: normalizeOrigin(fields.origin)
+  };
+}
+
+module.exports = {
+  KEY_STATUSES,
+  HTTP_METHODS,
+  COUNTRY_CODE_PATTERN,
+  ORIGIN_PATTERN,
+  RATE_PERIODS,
+  ADDRESS_BITS,
+  parseAddress,
+  parseCidr,
+  matchesPathPattern,
+  normalizeKeyScopes,
+  normalizeKeyNetwork,
+  normalizeAllowedOrigins,
+  parseRateLimitSpec,
+  normalizeRateLimit,
+  normalizeMonthlyQuota,
+  normalizeOrigin,
+  normalizeExpiresAt,
+  normalizeKeyMetadata
+};
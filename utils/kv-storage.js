@@ -0,0 +1,386 @@
+/**
+ * Storage backends for the API key tools
+ * 
+ * Every backend exposes the same promise-based interface, so the key management
+ * functions don't care where the namespace lives:
+ *   get(name)            Value stored under name, or null
+ *   list(prefix)         Every { name, metadata, expiration? } entry whose name starts with prefix
+ *   putMany(entries)     Write [{ name, value, metadata?, expiration? }] entries
+ *   deleteMany(names)    Delete entries by name
+ *   put(name, value) / delete(name) are single-entry shortcuts
+ * expiration is the time an entry expires at, in seconds since the epoch as in KV.
+ * 
+ * - rest: Cloudflare KV REST API with bulk writes (CLOUDFLARE_ACCOUNT_ID,
+ *   CLOUDFLARE_API_TOKEN and the namespace ID)
+ * - wrangler: shells out to `npx wrangler` with the namespace binding name
+ * - file: a local JSON file in wrangler's bulk format, for offline work and tests
+ * - memory: an in-process map, for tests
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const STORAGE_BACKENDS = ['rest', 'wrangler', 'file', 'memory'];
+
+// Cloudflare accepts at most 10,000 entries per bulk request
+const BULK_BATCH_SIZE = 10000;
+
+const CLOUDFLARE_API_BASE = 'https://api.cloudflare.com/client/v4';
+
+/**
+ * Splits a list into batches of at most size items
+ * 
+ * @param {Array} items Items to split
+ * @param {number} size Maximum batch size
+ * @returns {Array<Array>} Batches
+ */
+function batches(items, size) {
+  const result = [];
+  for (let i = 0; i < items.length; i += size) {
+    result.push(items.slice(i, i + size));
+  }
+  return result;
+}
+
+/**
+ * Converts an entry to the { key, value, metadata?, expiration? } form of KV bulk writes
+ * 
+ * @param {Object} entry Entry with name, value and the optional metadata and expiration
+ * @returns {Object} Bulk entry
+ */
+function toBulkEntry({ name, value, metadata, expiration }) {
+  const entry = { key: name, value };
+  if (metadata) {
+    entry.metadata = metadata;
+  }
+  if (expiration) {
+    entry.expiration = expiration;
+  }
+  return entry;
+}
+
+/**
+ * Converts a listed key to an entry, keeping its expiration when it has one
+ * 
+ * @param {Object} key Listed key with name, metadata and the optional expiration
+ * @returns {{name: string, metadata: *, expiration?: number}} Listed entry
+ */
+function toListedEntry({ name, metadata, expiration }) {
+  return expiration ? { name, metadata, expiration } : { name, metadata };
+}
+
+/**
+ * Adds the single-entry shortcuts to a backend
+ * 
+ * @param {Object} storage Backend implementing get, list, putMany and deleteMany
+ * @returns {Object} The backend with put and delete added
+ */
+function withShortcuts(storage) {
+  return {
+    ...storage,
+    put: (name, value, metadata) => storage.putMany([{ name, value, metadata }]),
+    delete: name => storage.deleteMany([name])
+  };
+}
+
+/**
+ * Creates a backend that talks to the Cloudflare KV REST API
+ * List cursors are followed until the last page; writes and deletes use the bulk endpoints
+ * 
+ * @param {Object} options REST options
+ * @param {string} options.accountId Cloudflare account ID
+ * @param {string} options.namespaceId KV namespace ID (not the binding name)
+ * @param {string} options.apiToken API token with Workers KV Storage edit permission
+ * @param {Function} options.fetch fetch implementation (default: global fetch)
+ * @returns {Object} Storage backend
+ */
+function createRestStorage(options) {
+  const { accountId, namespaceId, apiToken, fetch: fetchImpl = globalThis.fetch } = options;
+  const baseUrl = `${CLOUDFLARE_API_BASE}/accounts/${accountId}/storage/kv/namespaces/${namespaceId}`;
+  
+  // Send a request and unwrap the API's { success, errors, result } envelope
+  async function request(method, urlPath, body) {
+    const response = await fetchImpl(baseUrl + urlPath, {
+      method,
+      headers: {
+        Authorization: `Bearer ${apiToken}`,
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json().catch(() => null);
+    
+    if (!response.ok || !data || data.success === false) {
+      const message = data && data.errors && data.errors.length > 0
+        ? data.errors.map(error => error.message).join(', ')
+        : `HTTP ${response.status}`;
+      throw new Error(`KV API ${method} ${urlPath.split('?')[0]} failed: ${message}`);
+    }
+    
+    return data;
+  }
+  
+  return withShortcuts({
+    description: `namespace ${namespaceId}`,
+    
+    async get(name) {
+      const response = await fetchImpl(`${baseUrl}/values/${encodeURIComponent(name)}`, {
+        headers: { Authorization: `Bearer ${apiToken}` }
+      });
+      if (response.status === 404) {
+        return null;
+      }
+      if (!response.ok) {
+        throw new Error(`KV API GET /values failed: HTTP ${response.status}`);
+      }
+      return response.text();
+    },
+    
+    async list(prefix = '') {
+      const entries = [];
+      let cursor = '';
+      
+      do {
+        const query = new URLSearchParams({ limit: '1000' });
+        if (prefix) {
+          query.set('prefix', prefix);
+        }
+        if (cursor) {
+          query.set('cursor', cursor);
+        }
+        
+        const data = await request('GET', `/keys?${query}`);
+        entries.push(...data.result.map(toListedEntry));
+        cursor = data.result_info && data.result_info.cursor;
+      } while (cursor);
+      
+      return entries;
+    },
+    
+    async putMany(entries) {
+      for (const batch of batches(entries, BULK_BATCH_SIZE)) {
+        await request('PUT', '/bulk', batch.map(toBulkEntry));
+      }
+    },
+    
+    async deleteMany(names) {
+      for (const batch of batches(names, BULK_BATCH_SIZE)) {
+        await request('POST', '/bulk/delete', batch);
+      }
+    }
+  });
+}
+
+/**
+ * Creates a backend that shells out to wrangler for every operation
+ * Arguments are passed without a shell so values need no quoting; bulk writes
+ * go through a temporary file that is removed afterwards
+ * 
+ * @param {Object} options Wrangler options
+ * @param {string} options.namespace KV namespace binding name
+ * @returns {Object} Storage backend
+ */
+function createWranglerStorage(options) {
+  const { namespace } = options;
+  
+  // Run a wrangler kv:bulk command with the given JSON written to a temporary file
+  function bulk(action, data, extraArgs = []) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-key-tools-'));
+    const file = path.join(dir, 'bulk.json');
+    
+    try {
+      fs.writeFileSync(file, JSON.stringify(data), { mode: 0o600 });
+      execFileSync('npx', ['wrangler', 'kv:bulk', action, `--binding=${namespace}`, file, ...extraArgs], { stdio: 'inherit' });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+  
+  return withShortcuts({
+    description: namespace,
+    
+    // Only wrangler's not-found answers mean a missing key: a 404 from the API, or
+    // "Value not found" for local storage. Anything else (no login, a wrong binding,
+    // wrangler missing) is thrown so it can't pass for an absent key
+    async get(name) {
+      let output;
+      try {
+        output = execFileSync('npx', ['wrangler', 'kv:key', 'get', `--binding=${namespace}`, name], {
+          encoding: 'utf8',
+          stdio: ['ignore', 'pipe', 'pipe']
+        });
+      } catch (error) {
+        // Drop colours and the log file notice, keeping wrangler's message
+        const stderr = String(error.stderr || '').replace(/\x1b\[[0-9;]*m/g, '');
+        if (/\b404\b|key not found/i.test(stderr)) {
+          return null;
+        }
+        const reason = stderr.split('\n')
+          .map(line => line.replace(/^.*\[ERROR\]\s*/, '').trim())
+          .find(line => line && !line.startsWith('🪵')) || error.message;
+        throw new Error(`wrangler could not read ${name} from ${namespace}: ${reason}`);
+      }
+      
+      return output.trim() === 'Value not found' ? null : output;
+    },
+    
+    // wrangler follows the list cursor itself and prints every page as one array
+    async list(prefix = '') {
+      const args = ['wrangler', 'kv:key', 'list', `--binding=${namespace}`];
+      if (prefix) {
+        args.push(`--prefix=${prefix}`);
+      }
+      
+      const output = execFileSync('npx', args, {
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'inherit']
+      });
+      
+      return JSON.parse(output).map(toListedEntry);
+    },
+    
+    async putMany(entries) {
+      if (entries.length > 0) {
+        bulk('put', entries.map(toBulkEntry));
+      }
+    },
+    
+    async deleteMany(names) {
+      if (names.length > 0) {
+        bulk('delete', names, ['--force']);
+      }
+    }
+  });
+}
+
+/**
+ * Creates a backend that keeps the namespace in memory
+ * Entries past their expiration are left out, as KV does
+ * 
+ * @param {Object} options Memory options
+ * @param {Object} options.entries Initial values, mapping names to values or { value, metadata?, expiration? }
+ * @param {Function} options.onChange Called with the entries after every write
+ * @param {string} options.description Name shown in messages
+ * @returns {Object} Storage backend, with an extra entries() snapshot
+ */
+function createMemoryStorage(options = {}) {
+  const { entries: initial = {}, onChange = () => {}, description = 'memory' } = options;
+  const store = new Map(Object.entries(initial).map(([name, value]) =>
+    [name, typeof value === 'string' ? { value } : value]));
+  const snapshot = () => [...store.entries()].map(([name, entry]) => ({ name, ...entry }));
+  const isLive = name => store.has(name) && !(store.get(name).expiration <= Date.now() / 1000);
+  
+  return withShortcuts({
+    description,
+    entries: snapshot,
+    
+    async get(name) {
+      return isLive(name) ? store.get(name).value : null;
+    },
+    
+    async list(prefix = '') {
+      return [...store.keys()]
+        .filter(name => name.startsWith(prefix) && isLive(name))
+        .sort()
+        .map(name => toListedEntry({ name, ...store.get(name) }));
+    },
+    
+    async putMany(entries) {
+      for (const entry of entries) {
+        const { key: name, ...stored } = toBulkEntry(entry);
+        store.set(name, stored);
+      }
+      onChange(snapshot());
+    },
+    
+    async deleteMany(names) {
+      names.forEach(name => store.delete(name));
+      onChange(snapshot());
+    }
+  });
+}
+
+/**
+ * Creates a backend stored in a local JSON file
+ * The file uses wrangler's bulk format ([{ key, value, metadata?, expiration? }]), so it can
+ * be uploaded with `wrangler kv:bulk put` or checked with `verify --file`
+ * 
+ * @param {Object} options File options
+ * @param {string} options.file Path to the JSON file, created on first write
+ * @returns {Object} Storage backend
+ */
+function createFileStorage(options) {
+  const { file } = options;
+  const entries = {};
+  
+  if (fs.existsSync(file)) {
+    for (const { key, ...stored } of JSON.parse(fs.readFileSync(file, 'utf8'))) {
+      entries[key] = stored;
+    }
+  }
+  
+  const save = current => {
+    const data = current.map(toBulkEntry);
+    fs.writeFileSync(file, JSON.stringify(data, null, 2), { mode: 0o600 });
+  };
+  
+  return createMemoryStorage({ entries, onChange: save, description: file });
+}
+
+/**
+ * Creates the storage backend selected by options or the environment
+ * Without an explicit backend (option or API_KEY_STORAGE), the REST API is used
+ * when its credentials are configured and wrangler otherwise
+ * 
+ * @param {Object} options Storage options
+ * @param {string} options.backend rest, wrangler, file or memory
+ * @param {string} options.namespace KV namespace binding name (wrangler)
+ * @param {string} options.namespaceId KV namespace ID (rest, default: KV_NAMESPACE_ID)
+ * @param {string} options.accountId Cloudflare account ID (rest, default: CLOUDFLARE_ACCOUNT_ID)
+ * @param {string} options.apiToken Cloudflare API token (rest, default: CLOUDFLARE_API_TOKEN)
+ * @param {string} options.file JSON file path (file)
+ * @param {Object} env Environment variables (default: process.env)
+ * @returns {Object} Storage backend
+ */
+function createStorage(options = {}, env = process.env) {
+  const accountId = options.accountId || env.CLOUDFLARE_ACCOUNT_ID;
+  const namespaceId = options.namespaceId || env.KV_NAMESPACE_ID;
+  const apiToken = options.apiToken || env.CLOUDFLARE_API_TOKEN;
+  
+  let backend = options.backend || env.API_KEY_STORAGE;
+  if (!backend) {
+    backend = options.file ? 'file' : accountId && namespaceId && apiToken ? 'rest' : 'wrangler';
+  }
+  
+  switch (backend) {
+    case 'rest':
+      if (!accountId || !namespaceId || !apiToken) {
+        throw new Error('The rest storage needs CLOUDFLARE_ACCOUNT_ID, CLOUDFLARE_API_TOKEN and a namespace ID (--namespace-id or KV_NAMESPACE_ID)');
+      }
+      return createRestStorage({ accountId, namespaceId, apiToken, fetch: options.fetch });
+    case 'wrangler':
+      if (!options.namespace) {
+        throw new Error('The wrangler storage needs a KV namespace binding name (--namespace)');
+      }
+      return createWranglerStorage({ namespace: options.namespace });
+    case 'file':
+      if (!options.file) {
+        throw new Error('The file storage needs a file path (--kv-file)');
+      }
+      return createFileStorage({ file: options.file });
+    case 'memory':
+      return createMemoryStorage(options);
+    default:
+      throw new Error(`Unknown storage backend "${backend}", expected one of ${STORAGE_BACKENDS.join(', ')}`);
+  }
+}
+
+module.exports = {
+  STORAGE_BACKENDS,
+  createStorage,
+  createRestStorage,
+  createWranglerStorage,
+  createFileStorage,
+  createMemoryStorage
+};
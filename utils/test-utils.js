@@ -6,6 +6,12 @@
  */
 const crypto = require('crypto');
 
+// Must match KEY_INDEX_LABEL, KEY_VERSION_LABEL, URL_SIGNING_LABEL and KEY_INDEX_PREFIX in src/crypto.js
+const KEY_INDEX_LABEL = 'api-key-index';
+const KEY_VERSION_LABEL = 'api-key-version';
+const URL_SIGNING_LABEL = 'api-key-url-signing';
+const KEY_INDEX_PREFIX = 'key:';
+
 /**
  * Generates a cryptographically secure random API key with configurable options
  * 
@@ -102,6 +108,58 @@ function decryptApiKey(encryptedKey, encryptionKey) {
   }
 }
 
+/**
+ * Computes the deterministic KV index for an API key
+ * The Worker derives the same value in src/crypto.js, so validation is a single KV lookup
+ * 
+ * @param {string} apiKey The API key to index
+ * @param {string} encryptionKey The encryption key (hex string)
+ * @returns {string} The HMAC-SHA256 index as hex
+ */
+function computeKeyIndex(apiKey, encryptionKey) {
+  const normalizedKey = encryptionKey.replace(/-/g, ''); // Remove any dashes
+  const indexKey = crypto
+    .createHmac('sha256', Buffer.from(normalizedKey, 'hex'))
+    .update(KEY_INDEX_LABEL)
+    .digest();
+  
+  return crypto.createHmac('sha256', indexKey).update(apiKey).digest('hex');
+}
+
+/**
+ * Computes the fingerprint of an encryption key
+ * Records store it as keyVersion so it is clear which encryption key wrote them
+ * 
+ * @param {string} encryptionKey The encryption key (hex string)
+ * @returns {string} First 8 hex characters of an HMAC-SHA256 of a fixed label
+ */
+function computeKeyVersion(encryptionKey) {
+  const normalizedKey = encryptionKey.replace(/-/g, ''); // Remove any dashes
+  return crypto
+    .createHmac('sha256', Buffer.from(normalizedKey, 'hex'))
+    .update(KEY_VERSION_LABEL)
+    .digest('hex')
+    .slice(0, 8);
+}
+
+/**
+ * Signs the canonical string of a signed URL
+ * The Worker checks it with computeUrlSignature in src/crypto.js
+ * 
+ * @param {string} message Canonical string (see createSignedUrl in key-management.js)
+ * @param {string} encryptionKey The encryption key (hex string)
+ * @returns {string} The HMAC-SHA256 signature as hex
+ */
+function computeUrlSignature(message, encryptionKey) {
+  const normalizedKey = encryptionKey.replace(/-/g, ''); // Remove any dashes
+  const signingKey = crypto
+    .createHmac('sha256', Buffer.from(normalizedKey, 'hex'))
+    .update(URL_SIGNING_LABEL)
+    .digest();
+  
+  return crypto.createHmac('sha256', signingKey).update(message).digest('hex');
+}
+
 /**
  * Generates a new encryption key
  * 
@@ -186,30 +244,41 @@ function createMockEnvironment(options = {}) {
     encryptionKey = generateEncryptionKey()
   } = options;
   
-  // Encrypt the valid API keys
-  const encryptedKeys = validApiKeys.map(key => 
-    encryptApiKey(key, encryptionKey)
-  );
+  // Store key records under their index, as uploadApiKeys does
+  const entries = new Map(validApiKeys.map(key => [
+    KEY_INDEX_PREFIX + computeKeyIndex(key, encryptionKey),
+    JSON.stringify({
+      encryptedKey: encryptApiKey(key, encryptionKey),
+      keyVersion: computeKeyVersion(encryptionKey),
+      owner: null,
+      label: null,
+      createdAt: new Date().toISOString(),
+      expiresAt: null,
+      status: 'active'
+    })
+  ]));
   
   // Create a mock environment that can be used in tests
   return {
     ENCRYPTION_KEY: encryptionKey,
     API_KEYS: {
       list: async () => ({
-        keys: encryptedKeys.map(key => ({ name: key }))
+        keys: Array.from(entries.keys()).map(name => ({ name })),
+        list_complete: true
       }),
-      get: async (key) => {
-        // This mimics the behavior in the actual implementation
-        return 'true';
-      }
+      get: async (name) => entries.has(name) ? entries.get(name) : null
     }
   };
 }
 
 module.exports = {
+  KEY_INDEX_PREFIX,
   generateApiKey,
   encryptApiKey,
   decryptApiKey,
+  computeKeyIndex,
+  computeKeyVersion,
+  computeUrlSignature,
   generateEncryptionKey,
   isValidEncryptionKey,
   validateApiKey,
@@ -10,10 +10,27 @@ const {
   generateEncryptionKey,
   encryptApiKey,
   decryptApiKey,
+  computeKeyIndex,
+  computeKeyVersion,
   isValidEncryptionKey,
   validateApiKey,
   createTestKeyData
 } = require('./test-utils');
+const { createStorage } = require('./kv-storage');
+const { parseImportEntries } = require('./key-import');
+const { createBackup, openBackup, restoreBackup } = require('./backup');
+const {
+  uploadApiKeys,
+  getKeyRecord,
+  listKeyRecords,
+  revokeKeyRecords,
+  getLastUsed,
+  findStaleKeys,
+  disableKeyRecords,
+  getLockoutReport,
+  rekeyNamespace,
+  createSignedUrl
+} = require('./key-management');
 
 console.log('🧪 Starting API Key Utilities Tests');
 console.log('===================================\n');
@@ -80,4 +97,203 @@ const invalidKeyResult = validateApiKey(invalidKey, encryptedKeys, testEncryptio
 console.log(`  Invalid key valid: ${invalidKeyResult} (should be false)`);
 console.log('✅ Validation tests passed\n');
 
-console.log('✅ All tests completed successfully');
\ No newline at end of file
+// Test key indexing
+console.log('Testing key indexing:');
+const index1 = computeKeyIndex(testKey, encryptionKey);
+const index2 = computeKeyIndex(testKey, encryptionKey);
+const otherIndex = computeKeyIndex(testKey, wrongKey);
+
+console.log(`Index for test key: ${index1}`);
+console.log(`Index is deterministic: ${index1 === index2}`);
+console.log(`Index depends on encryption key: ${index1 !== otherIndex}`);
+console.log(`Key version: ${computeKeyVersion(encryptionKey)}`);
+console.log(`Key version depends on encryption key: ${computeKeyVersion(encryptionKey) !== computeKeyVersion(wrongKey)}`);
+console.log('✅ Key indexing tests passed\n');
+
+// Test import file parsing
+console.log('Testing import parsing:');
+const csvEntries = parseImportEntries('key,owner,methods\r\ncsv-key-1,"Acme, Inc.","GET,HEAD"\n\ncsv-key-2,,\n', 'csv');
+const ndjsonEntries = parseImportEntries('"ndjson-key-1"\n{"key":"ndjson-key-2"}\nnot json\n', 'ndjson');
+const jsonEntries = parseImportEntries('["json-key-1", {"key": "json-key-2"}]', 'json');
+
+console.log(`CSV rows parsed: ${csvEntries.length} (should be 2)`);
+console.log(`CSV quoted fields kept: ${csvEntries[0].entry.owner === 'Acme, Inc.' && csvEntries[0].entry.methods === 'GET,HEAD'}`);
+console.log(`CSV line numbers: ${csvEntries.map(({ source }) => source).join(', ')} (should be Line 2, Line 4)`);
+console.log(`NDJSON bad line reported: ${ndjsonEntries[2].source === 'Line 3' && Boolean(ndjsonEntries[2].error)}`);
+console.log(`JSON entry numbers: ${jsonEntries.map(({ source }) => source).join(', ')} (should be Entry 1, Entry 2)`);
+console.log('✅ Import parsing tests passed\n');
+
+// Test the storage backends without touching Cloudflare
+async function testStorage() {
+  console.log('Testing storage backends:');
+  const storage = createStorage({ backend: 'memory' });
+  await uploadApiKeys(['storage-key-1', { key: 'storage-key-2', label: 'second' }], storage, encryptionKey);
+  
+  const stored = await getKeyRecord('storage-key-2', storage, encryptionKey);
+  console.log(`Uploaded key found: ${stored !== null && stored.record.label === 'second'}`);
+  
+  await uploadApiKeys([{ key: 'storage-key-2', owner: 'acme' }], storage, encryptionKey);
+  const updated = await getKeyRecord('storage-key-2', storage, encryptionKey);
+  console.log(`Re-upload keeps fields it doesn't set: ${updated.record.owner === 'acme' && updated.record.label === 'second'}`);
+  
+  await revokeKeyRecords([updated], storage, { reason: 'test' });
+  const keys = await listKeyRecords(storage);
+  console.log(`Listed keys: ${keys.length} (should be 2)`);
+  console.log(`Revoked key marked: ${keys.some(({ record }) => record.status === 'revoked')}`);
+  
+  // A fake REST API that returns the key list in two pages
+  const requests = [];
+  const fakeFetch = async (url, init = {}) => {
+    requests.push(`${init.method || 'GET'} ${url}`);
+    const cursor = new URL(url).searchParams.get('cursor');
+    const body = url.includes('/keys?')
+      ? { success: true, result: [{ name: cursor ? 'key:b' : 'key:a' }], result_info: { cursor: cursor ? '' : 'page-2' } }
+      : { success: true, result: null };
+    return new Response(JSON.stringify(body), { status: 200 });
+  };
+  const rest = createStorage({ backend: 'rest', accountId: 'account', namespaceId: 'namespace', apiToken: 'token', fetch: fakeFetch });
+  
+  const listed = await rest.list('key:');
+  console.log(`REST list follows cursors: ${listed.map(({ name }) => name).join(',') === 'key:a,key:b'}`);
+  await rest.putMany([{ name: 'key:a', value: '{}' }, { name: 'key:b', value: '{}' }]);
+  console.log(`REST writes in bulk: ${requests.filter(request => request.startsWith('PUT')).length === 1}`);
+  console.log('✅ Storage tests passed\n');
+}
+
+async function testBackup() {
+  console.log('Testing backup and restore:');
+  const source = createStorage({ backend: 'memory' });
+  await uploadApiKeys(['backup-key-1', { key: 'backup-key-2', label: 'second' }], source, encryptionKey);
+  
+  const archive = await createBackup(source, 'backup passphrase');
+  const entries = openBackup(archive, 'backup passphrase');
+  console.log(`Archive holds every entry: ${entries.length === 2 && archive.entryCount === 2}`);
+  
+  const wrongPassphrase = (() => {
+    try {
+      openBackup(archive, 'other passphrase');
+      return false;
+    } catch (error) {
+      return true;
+    }
+  })();
+  console.log(`Wrong passphrase rejected: ${wrongPassphrase}`);
+  
+  const costly = { ...archive, kdf: { ...archive.kdf, N: 2 ** 30 } };
+  const costlyRefused = (() => {
+    try {
+      openBackup(costly, 'backup passphrase');
+      return false;
+    } catch (error) {
+      return error.message.startsWith('Unsupported backup key derivation parameters');
+    }
+  })();
+  console.log(`Excessive scrypt costs refused before deriving: ${costlyRefused}`);
+  
+  const target = createStorage({ backend: 'memory' });
+  const restored = await restoreBackup(entries, target);
+  const found = await getKeyRecord('backup-key-2', target, encryptionKey);
+  console.log(`Restored into empty namespace: ${restored.restored === 2 && found !== null && found.record.label === 'second'}`);
+  
+  await target.put(entries[0].name, '{}');
+  const skipped = await restoreBackup(entries, target);
+  console.log(`Conflicts skipped by default: ${skipped.conflicts.length === 1 && skipped.unchanged === 1 && await target.get(entries[0].name) === '{}'}`);
+  
+  // Expiring entries keep their expiration, and ones that have expired since are left out
+  const expiration = Math.floor(Date.now() / 1000) + 3600;
+  await source.putMany([{ name: 'usage:2025-01:expiring', value: '{}', expiration }]);
+  const expiring = openBackup(await createBackup(source, 'backup passphrase'), 'backup passphrase');
+  const lapsed = { name: 'usage:2024-12:lapsed', value: '{}', expiration: Math.floor(Date.now() / 1000) - 60 };
+  const fresh = createStorage({ backend: 'memory' });
+  const withExpirations = await restoreBackup([...expiring, lapsed], fresh);
+  const listed = await fresh.list('usage:');
+  console.log(`Expirations restored: ${listed.length === 1 && listed[0].expiration === expiration && withExpirations.expired === 1}`);
+  console.log('✅ Backup tests passed\n');
+}
+
+async function testStale() {
+  console.log('Testing stale key detection:');
+  const storage = createStorage({ backend: 'memory' });
+  await uploadApiKeys(['stale-key-1', 'stale-key-2', 'stale-key-3'], storage, encryptionKey);
+  
+  const [idle, busy, revoked] = await Promise.all(['stale-key-1', 'stale-key-2', 'stale-key-3']
+    .map(apiKey => getKeyRecord(apiKey, storage, encryptionKey)));
+  const lastUsed = { lastUsedAt: new Date().toISOString(), lastUsedIp: null, lastUsedCountry: null };
+  await storage.put(`last-used:${busy.name}`, JSON.stringify(lastUsed), lastUsed);
+  await revokeKeyRecords([revoked], storage);
+  
+  const later = Date.now() + 100 * 24 * 60 * 60 * 1000;
+  const stale = findStaleKeys(await listKeyRecords(storage), await getLastUsed(storage), 90, later);
+  console.log(`Unused keys found: ${stale.length === 2 && !stale.some(({ name }) => name === revoked.name)} (revoked keys skipped)`);
+  
+  const recent = findStaleKeys(await listKeyRecords(storage), await getLastUsed(storage), 90);
+  console.log(`New keys are not stale: ${recent.length === 0}`);
+  
+  await disableKeyRecords(stale.filter(({ name }) => name === idle.name), storage);
+  const disabled = await getKeyRecord('stale-key-1', storage, encryptionKey);
+  console.log(`Stale key disabled: ${disabled.record.status === 'disabled'}`);
+  console.log('✅ Stale key tests passed\n');
+}
+
+async function testRekey() {
+  console.log('Testing rekeying:');
+  const storage = createStorage({ backend: 'memory' });
+  await uploadApiKeys(['rekey-key-1'], storage, encryptionKey);
+  const before = await getKeyRecord('rekey-key-1', storage, encryptionKey);
+  const usage = { name: before.name, period: '2025-01', count: 42, quota: 50 };
+  await storage.put(`usage:2025-01:${before.name}`, JSON.stringify(usage), { count: 42, quota: 50 });
+  
+  const newKey = generateEncryptionKey();
+  await rekeyNamespace({ storage, oldKey: encryptionKey, newKey });
+  const after = await getKeyRecord('rekey-key-1', storage, newKey);
+  console.log(`Counters keep their original name: ${after.record.counterName === before.name}`);
+  
+  const kept = await getKeyRecord('rekey-key-1', storage, encryptionKey);
+  console.log(`Old index still resolves until pruned: ${kept !== null && kept.name === before.name}`);
+  
+  const copied = JSON.parse(await storage.get(`usage:2025-01:${after.name}`));
+  console.log(`Usage snapshots are copied with the key: ${copied.count === 42 && copied.name === after.name}`);
+  
+  const { rekeyed, pruned } = await rekeyNamespace({ storage, oldKey: encryptionKey, newKey, prune: true });
+  const orphaned = await storage.get(`usage:2025-01:${before.name}`);
+  const gone = await getKeyRecord('rekey-key-1', storage, encryptionKey);
+  const current = await getKeyRecord('rekey-key-1', storage, newKey);
+  console.log(`Pruning removes only the old entries: ${rekeyed === 0 && pruned === 1 && gone === null && orphaned === null && current.name === after.name}`);
+  console.log('✅ Rekey tests passed\n');
+}
+
+async function testAbuse() {
+  console.log('Testing the lockout report:');
+  const storage = createStorage({ backend: 'memory' });
+  const now = Date.now();
+  const lockout = (kind, subject, lockedAt, lockedUntil) =>
+    ({ kind, subject, lockouts: 1, totalFailures: 10, lockedAt: new Date(lockedAt).toISOString(), lockedUntil: new Date(lockedUntil).toISOString() });
+  const ended = lockout('ip', '198.51.100.4', now - 7200000, now - 3600000);
+  const current = lockout('prefix', '4f1c9a0d2e7b6c5a8f3e1d0b9a7c6e5f', now - 60000, now + 60000);
+  await storage.put(`lockout:ip:${ended.subject}`, JSON.stringify(ended), ended);
+  await storage.put(`lockout:prefix:${current.subject}`, JSON.stringify(current), current);
+  
+  const report = await getLockoutReport(storage, now);
+  console.log(`Current lockouts listed first: ${report.length === 2 && report[0].subject === current.subject && report[0].active && !report[1].active}`);
+  console.log('✅ Lockout report tests passed\n');
+}
+
+function testSignedUrls() {
+  console.log('Testing signed URLs:');
+  const sign = options => {
+    try {
+      return createSignedUrl('https://media.example.com/media/videos/a.mp4', 'signing-key', encryptionKey, { expiresAt: 2000000000, ...options });
+    } catch (error) {
+      return null;
+    }
+  };
+  
+  console.log(`Covering paths and addresses accepted: ${sign({ path: '/media/videos/**', ip: '2001:db8::7' }) !== null && sign({ path: '/media/' }) !== null}`);
+  console.log(`Paths that don't cover the URL refused: ${sign({ path: '/media/images/' }) === null && sign({ path: '/media/*.mp4' }) === null}`);
+  console.log(`Malformed addresses refused: ${sign({ ip: '203.0.113.300' }) === null && sign({ ip: '203.0.113.0/24' }) === null}`);
+  console.log('✅ Signed URL tests passed\n');
+}
+
+testStorage().then(testBackup).then(testStale).then(testRekey).then(testAbuse).then(testSignedUrls).then(() => {
+  console.log('✅ All tests completed successfully');
+});
\ No newline at end of file